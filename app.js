@@ -1,7 +1,8 @@
-// Basic PMBOK editor with persistence (diagrams and documents saved as base64 in IndexedDB)
+// Basic PMBOK editor with persistence (diagrams and documents saved as Blobs in IndexedDB)
 // Uses mermaid.js for diagram rendering and pdf.js for viewing PDFs.
 
-mermaid.initialize({ startOnLoad: false, securityLevel: 'loose' });
+// strict: diagram labels are sanitized and click handlers can't run scripts
+mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
 
 // PDF.js worker
 if (window['pdfjsLib']) {
@@ -12,7 +13,7 @@ if (window['pdfjsLib']) {
 // ---------- IndexedDB (for storing large files like images, PDFs, PPTX) ----------
 let db;
 const DB_NAME = "PMBOK-Files";
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 
 function initDB() {
   return new Promise((resolve, reject) => {
@@ -20,8 +21,30 @@ function initDB() {
 
     req.onupgradeneeded = function (e) {
       db = e.target.result;
-      if (!db.objectStoreNames.contains("files")) {
-        db.createObjectStore("files", { keyPath: "id" });
+      const files = db.objectStoreNames.contains("files")
+        ? e.target.transaction.objectStore("files")
+        : db.createObjectStore("files", { keyPath: "id" });
+
+      // v2: text extracted from PDFs, keyed by fileId, for project search
+      if (!db.objectStoreNames.contains("textIndex")) {
+        db.createObjectStore("textIndex", { keyPath: "id" });
+      }
+
+      // v3: every file belongs to a project. Files saved before projects
+      // existed go to the default project the old localStorage data moves to.
+      if (!files.indexNames.contains("projectId")) {
+        files.createIndex("projectId", "projectId");
+      }
+
+      // v4: base64 data URLs become Blobs. Hashes can't be computed inside
+      // the upgrade transaction, backfillFileHashes() fills them in later.
+      if (e.oldVersion > 0 && e.oldVersion < 4) {
+        files.openCursor().onsuccess = (ev) => {
+          const cursor = ev.target.result;
+          if (!cursor) return;
+          cursor.update(migrateFileRecord(cursor.value));
+          cursor.continue();
+        };
       }
     };
 
@@ -37,12 +60,49 @@ function initDB() {
   });
 }
 
-function saveFileToDB(id, data) {
+// Upgrades a v1-v3 record ({ id, data: dataURL, projectId? }) to a Blob record
+function migrateFileRecord(record) {
+  if (!record.projectId) record = { ...record, projectId: DEFAULT_PROJECT_ID };
+  if (typeof record.data !== "string") return record;
+
+  const blob = dataUrlToBlob(record.data);
+  return {
+    id: record.id,
+    projectId: record.projectId,
+    blob,
+    name: null,
+    mime: blob.type,
+    size: blob.size,
+    hash: null,
+  };
+}
+
+// Stored files are { id, projectId, blob, name, mime, size, hash } plus the
+// annotations of images. `file` is a Blob/File, or a record read with
+// loadFileFromDB() to copy it as is.
+async function saveFileToDB(
+  id,
+  file,
+  { projectId = projectRegistry.activeId, name, annotations } = {}
+) {
+  const record = file.blob
+    ? { ...file, id, projectId }
+    : {
+        id,
+        projectId,
+        blob: file,
+        name: name || file.name || null,
+        mime: file.type || "application/octet-stream",
+        size: file.size,
+        hash: await hashBlob(file),
+      };
+  if (!file.blob && annotations && annotations.length) record.annotations = annotations;
+
   return new Promise((resolve, reject) => {
     try {
       const tx = db.transaction("files", "readwrite");
       const store = tx.objectStore("files");
-      store.put({ id, data });
+      store.put(record);
       tx.oncomplete = () => resolve();
       tx.onerror = (err) => {
         console.error("saveFileToDB tx error", err);
@@ -55,13 +115,14 @@ function saveFileToDB(id, data) {
   });
 }
 
+// Resolves with the stored record ({ blob, name, mime, size, hash, ... }) or null
 function loadFileFromDB(id) {
   return new Promise((resolve, reject) => {
     try {
       const tx = db.transaction("files", "readonly");
       const store = tx.objectStore("files");
       const req = store.get(id);
-      req.onsuccess = () => resolve(req.result?.data || null);
+      req.onsuccess = () => resolve(req.result || null);
       req.onerror = (err) => {
         console.error("loadFileFromDB error", err);
         reject(err);
@@ -90,13 +151,135 @@ function deleteFileFromDB(id) {
     }
   });
 }
+
+function listProjectFileIdsFromDB(projectId) {
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = db.transaction("files", "readonly");
+      const req = tx.objectStore("files").index("projectId").getAllKeys(projectId);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = (err) => {
+        console.error("listProjectFileIdsFromDB error", err);
+        reject(err);
+      };
+    } catch (err) {
+      console.error("listProjectFileIdsFromDB catch", err);
+      reject(err);
+    }
+  });
+}
+
+// Lists { id, projectId, size } for every stored file without keeping the data
+function listFileRecordsFromDB() {
+  return new Promise((resolve, reject) => {
+    try {
+      const records = [];
+      const tx = db.transaction("files", "readonly");
+      const req = tx.objectStore("files").openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(records);
+        const { id, projectId, size } = cursor.value;
+        records.push({ id, projectId, size: size || 0 });
+        cursor.continue();
+      };
+      req.onerror = (err) => {
+        console.error("listFileRecordsFromDB error", err);
+        reject(err);
+      };
+    } catch (err) {
+      console.error("listFileRecordsFromDB catch", err);
+      reject(err);
+    }
+  });
+}
+
+// Computes the hashes the v4 migration couldn't (it runs in the background)
+async function backfillFileHashes() {
+  if (!db) return;
+
+  const ids = await new Promise((resolve, reject) => {
+    const pending = [];
+    const req = db.transaction("files", "readonly").objectStore("files").openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(pending);
+      if (!cursor.value.hash && cursor.value.blob) pending.push(cursor.value.id);
+      cursor.continue();
+    };
+    req.onerror = (err) => reject(err);
+  });
+
+  for (const id of ids) {
+    try {
+      const record = await loadFileFromDB(id);
+      if (!record || record.hash) continue;
+      const hash = await hashBlob(record.blob);
+      if (hash) await saveFileToDB(id, { ...record, hash }, { projectId: record.projectId });
+    } catch (err) {
+      console.warn("No se pudo calcular el hash del archivo:", err);
+    }
+  }
+}
+
+function saveTextIndexToDB(id, pages) {
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = db.transaction("textIndex", "readwrite");
+      tx.objectStore("textIndex").put({ id, pages });
+      tx.oncomplete = () => resolve();
+      tx.onerror = (err) => {
+        console.error("saveTextIndexToDB tx error", err);
+        reject("Error guardando índice de texto en DB");
+      };
+    } catch (err) {
+      console.error("saveTextIndexToDB error", err);
+      reject(err);
+    }
+  });
+}
+
+function loadAllTextIndexesFromDB() {
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = db.transaction("textIndex", "readonly");
+      const req = tx.objectStore("textIndex").getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = (err) => {
+        console.error("loadAllTextIndexesFromDB error", err);
+        reject(err);
+      };
+    } catch (err) {
+      console.error("loadAllTextIndexesFromDB catch", err);
+      reject(err);
+    }
+  });
+}
+
+function deleteTextIndexFromDB(id) {
+  return new Promise((resolve, reject) => {
+    try {
+      const tx = db.transaction("textIndex", "readwrite");
+      tx.objectStore("textIndex").delete(id);
+      tx.oncomplete = () => resolve();
+      tx.onerror = (err) => {
+        console.error("deleteTextIndexFromDB error", err);
+        reject(err);
+      };
+    } catch (err) {
+      console.error("deleteTextIndexFromDB catch", err);
+      reject(err);
+    }
+  });
+}
 // ------------------------------------------------------------------------------
 
 // ---------- App state ----------
+// chapters is the root level of the section tree: every section has
+// children, diagrams and documents. currentSection is the selected node.
 let appState = {
   chapters: [],
-  currentChapter: null,
-  currentSubchapter: null,
+  currentSection: null,
 };
 
 // ---------- Helpers ----------
@@ -104,6 +287,73 @@ function generateId() {
   return "id-" + Math.random().toString(36).slice(2, 10);
 }
 
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return (bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0) + " " + units[i];
+}
+
+// Approximate size in bytes of a legacy inline data URL (base64 encoded)
+function storedDataSize(data) {
+  if (!data) return 0;
+  const comma = data.indexOf(",");
+  return Math.floor(((data.length - comma - 1) * 3) / 4);
+}
+
+function base64ToUint8Array(base64) {
+  const raw = atob(base64);
+  const uint8 = new Uint8Array(raw.length);
+
+  for (let i = 0; i < raw.length; i++) {
+    uint8[i] = raw.charCodeAt(i);
+  }
+
+  return uint8;
+}
+
+// "data:application/pdf;base64,...." -> Blob
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(",");
+  const mime = header.slice(5).split(";")[0] || "application/octet-stream";
+  return new Blob([base64ToUint8Array(base64)], { type: mime });
+}
+
+// Only used when IndexedDB is unavailable and files have to stay inline
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// SHA-256 of the content as hex, or null where crypto.subtle is unavailable
+async function hashBlob(blob) {
+  if (!window.crypto || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return [...new Uint8Array(digest)]
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Shows a Blob in an <img>, releasing the object URL once it is decoded
+function showBlobImage(img, blob) {
+  const url = URL.createObjectURL(blob);
+  img.onload = img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+}
+
 function formatDate(d) {
   if (!d) return "";
   const date = new Date(d);
@@ -111,20 +361,242 @@ function formatDate(d) {
 }
 
 function saveAppState() {
-  localStorage.setItem("pmbokEditor", JSON.stringify(appState));
+  localStorage.setItem(
+    projectStorageKey(projectRegistry.activeId),
+    JSON.stringify(appState)
+  );
 }
 
 function loadAppState() {
-  const saved = localStorage.getItem("pmbokEditor");
+  const saved = localStorage.getItem(projectStorageKey(projectRegistry.activeId));
   if (saved) {
     try {
-      appState = JSON.parse(saved);
+      appState = migrateAppState(JSON.parse(saved));
     } catch (e) {
       console.error(e);
     }
   }
 }
 
+// Converts projects saved with the fixed chapters[].subchapters[] model into
+// the section tree. Safe to run on projects that are already migrated.
+function migrateAppState(state) {
+  const normalize = (section) => {
+    if (!Array.isArray(section.children))
+      section.children = section.subchapters || [];
+    delete section.subchapters;
+    if (!section.diagrams) section.diagrams = [];
+    if (!section.documents) section.documents = [];
+    if (!section.registers) section.registers = [];
+    section.children.forEach(normalize);
+  };
+
+  if (!Array.isArray(state.chapters)) state.chapters = [];
+  state.chapters.forEach(normalize);
+
+  if (!("currentSection" in state))
+    state.currentSection = state.currentSubchapter || state.currentChapter || null;
+  delete state.currentChapter;
+  delete state.currentSubchapter;
+
+  return state;
+}
+
+// ---------- Safe rendering ----------
+// User text (titles, descriptions, metadata) always goes through escapeHtml()
+// before reaching innerHTML, Mermaid code only through textContent.
+// Imported projects are cleaned with sanitizeImportedChapters() first.
+
+// Ids end up in HTML attributes and selectors, so imported ones must look like ours
+const SAFE_ID_PATTERN = /^[\w-]+$/;
+
+// Mermaid lines carrying markup or handlers that could run code
+const UNSAFE_MERMAID_LINE =
+  /<\s*\/?\s*(script|iframe|object|embed|style)\b|javascript\s*:|\bon[a-z]+\s*=/i;
+
+function createMermaidElement(code) {
+  const el = document.createElement("div");
+  el.className = "mermaid";
+  el.textContent = code;
+  return el;
+}
+
+function renderMermaidIn(container) {
+  try {
+    mermaid.init(undefined, container.querySelectorAll(".mermaid"));
+  } catch (e) {}
+}
+
+// Removes markup that could run code from a plain-text field.
+// Returns { text, removed } with the original text when nothing was found.
+function stripUnsafeMarkup(text) {
+  if (typeof text !== "string" || !text.includes("<"))
+    return { text, removed: false };
+
+  if (window.DOMPurify) {
+    // FORCE_BODY: a leading <script> would otherwise be parsed into <head>
+    // and dropped without showing up in DOMPurify.removed
+    const clean = DOMPurify.sanitize(text, { FORCE_BODY: true });
+    if (!DOMPurify.removed.length) return { text, removed: false };
+    // fields are plain text: keep what the harmless markup said
+    const tpl = document.createElement("template");
+    tpl.innerHTML = clean;
+    return { text: tpl.content.textContent, removed: true };
+  }
+
+  // only real tags: a lone "<" (costo < presupuesto, A <-- B) is text
+  const clean = text.replace(/<\/?[a-z][^>]*>/gi, "");
+  return { text: clean, removed: clean !== text };
+}
+
+// Cleans an imported section tree in place. Returns a description of every
+// place where something was removed, for the import report.
+function sanitizeImportedChapters(chapters) {
+  const removed = [];
+
+  const cleanField = (obj, key, label, where) => {
+    if (obj[key] == null) return;
+    if (typeof obj[key] !== "string") obj[key] = String(obj[key]);
+    const result = stripUnsafeMarkup(obj[key]);
+    if (!result.removed) return;
+    obj[key] = result.text;
+    removed.push(`${where()} — ${label}`);
+  };
+
+  const cleanId = (obj, where) => {
+    if (typeof obj.id === "string" && SAFE_ID_PATTERN.test(obj.id)) return;
+    obj.id = generateId();
+    removed.push(`${where()} — identificador no válido`);
+  };
+
+  const cleanMetadata = (obj, where) => {
+    if (obj.tags != null) {
+      const tags = Array.isArray(obj.tags) ? obj.tags : [];
+      obj.tags = parseTags(tags.filter((t) => typeof t === "string").join(","));
+      obj.tags.forEach((tag, i) => cleanField(obj.tags, i, "etiqueta", where));
+    }
+    if (obj.status != null && !ITEM_STATUSES.some((s) => s.id === obj.status))
+      delete obj.status;
+    cleanField(obj, "owner", "responsable", where);
+  };
+
+  const cleanLinks = (obj, where) => {
+    if (obj.links == null) return;
+    const links = Array.isArray(obj.links) ? obj.links : [];
+    obj.links = links.filter(
+      (link) =>
+        link &&
+        typeof link.targetId === "string" &&
+        SAFE_ID_PATTERN.test(link.targetId)
+    );
+    if (obj.links.length !== links.length) removed.push(`${where()} — enlace no válido`);
+    obj.links.forEach((link) => {
+      link.type = referenceType(link.type).id;
+      cleanId(link, where);
+    });
+  };
+
+  walkSections(chapters, (section, ancestors) => {
+    const where = () => sectionPath(section, ancestors);
+    cleanField(section, "title", "título", where);
+    // the description is Markdown, sanitized when rendered (markdownToSafeHtml);
+    // stripping tags here would also eat autolinks such as <https://...>
+    if (section.description != null && typeof section.description !== "string")
+      section.description = String(section.description);
+    cleanId(section, where);
+    cleanMetadata(section, where);
+    cleanLinks(section, where);
+
+    forEachAttachment([{ ...section, children: [] }], (item, kind) => {
+      const itemWhere = () => `${where()} › ${item.title}`;
+      cleanField(item, "title", "título", itemWhere);
+      cleanField(item, "description", "descripción", itemWhere);
+      cleanId(item, itemWhere);
+      cleanMetadata(item, itemWhere);
+      cleanLinks(item, itemWhere);
+
+      if (kind === "document") {
+        cleanField(item, "type", "tipo", itemWhere);
+        cleanField(item, "date", "fecha", itemWhere);
+        cleanField(item, "versionNote", "nota de la versión", itemWhere);
+
+        if (item.versions != null && !Array.isArray(item.versions)) delete item.versions;
+        if (item.versions)
+          item.versions = item.versions.filter((v) => v && typeof v === "object");
+        (item.versions || []).forEach((v, i) => {
+          const versionWhere = () => `${itemWhere()} (versión ${i + 1})`;
+          cleanField(v, "type", "tipo", versionWhere);
+          cleanField(v, "date", "fecha", versionWhere);
+          cleanField(v, "note", "nota", versionWhere);
+          cleanId(v, versionWhere);
+        });
+      } else if (item.type === "mermaid" && typeof item.content === "string") {
+        const lines = item.content.split("\n");
+        const kept = lines.filter((line) => !UNSAFE_MERMAID_LINE.test(line));
+        if (kept.length !== lines.length) {
+          item.content = kept.join("\n");
+          removed.push(
+            `${itemWhere()} — ${lines.length - kept.length} línea(s) de código Mermaid`
+          );
+        }
+      }
+    });
+
+    (section.registers || []).forEach((register) => {
+      const itemWhere = () => `${where()} › ${register.title}`;
+      cleanField(register, "title", "título", itemWhere);
+      cleanField(register, "description", "descripción", itemWhere);
+      cleanId(register, itemWhere);
+      if (!Array.isArray(register.columns)) register.columns = [];
+      if (!Array.isArray(register.rows)) register.rows = [];
+
+      // column keys are used as ids too; invalid ones get a new key
+      const keys = new Map();
+      register.columns.forEach((column) => {
+        cleanField(column, "label", "nombre de columna", itemWhere);
+        if (!Object.keys(REGISTER_COLUMN_TYPES).includes(column.type)) column.type = "text";
+        if (Array.isArray(column.options))
+          column.options.forEach((_, i) =>
+            cleanField(column.options, i, "opciones de columna", itemWhere)
+          );
+        else delete column.options;
+
+        const key =
+          typeof column.key === "string" && SAFE_ID_PATTERN.test(column.key)
+            ? column.key
+            : generateId();
+        if (key !== column.key) removed.push(`${itemWhere()} — identificador no válido`);
+        keys.set(column.key, key);
+        column.key = key;
+      });
+
+      register.rows.forEach((row) => {
+        cleanId(row, itemWhere);
+        const values = row.values && typeof row.values === "object" ? row.values : {};
+        row.values = {};
+        keys.forEach((key, original) => {
+          const value = values[original];
+          if (typeof value === "number") row.values[key] = value;
+          else if (typeof value === "string") {
+            row.values[key] = value;
+            cleanField(row.values, key, "celda", itemWhere);
+          }
+        });
+      });
+
+      if (register.chart && typeof register.chart !== "object") register.chart = null;
+      if (register.chart) {
+        const chart = register.chart;
+        ["x", "y", "label"].forEach((axis) => (chart[axis] = keys.get(chart[axis])));
+        cleanField(chart, "title", "título del gráfico", itemWhere);
+        if (!chart.x || !chart.y) register.chart = null;
+      }
+    });
+  });
+
+  return removed;
+}
+
 // ---------- Elements ----------
 const chaptersList = document.getElementById("chaptersList");
 const addChapterBtn = document.getElementById("addChapterBtn");
@@ -137,13 +609,44 @@ const editorSectionTitle = document.getElementById("editorSectionTitle");
 const addSubchapterBtn = document.getElementById("addSubchapterBtn");
 const addDiagramBtn = document.getElementById("addDiagramBtn");
 const addDocumentBtn = document.getElementById("addDocumentBtn");
+const addRegisterBtn = document.getElementById("addRegisterBtn");
+const exportSectionDiagramsBtn = document.getElementById("exportSectionDiagramsBtn");
 const chapterTitle = document.getElementById("chapterTitle");
 const chapterDescription = document.getElementById("chapterDescription");
+const descriptionSplit = document.getElementById("descriptionSplit");
+const descriptionPreview = document.getElementById("descriptionPreview");
+const descriptionPreviewToggle = document.getElementById("descriptionPreviewToggle");
+const descriptionImageFile = document.getElementById("descriptionImageFile");
+const moveSectionUpBtn = document.getElementById("moveSectionUpBtn");
+const moveSectionDownBtn = document.getElementById("moveSectionDownBtn");
+const moveSectionToBtn = document.getElementById("moveSectionToBtn");
+const chapterMetadata = {
+  tags: document.getElementById("chapterTags"),
+  status: document.getElementById("chapterStatus"),
+  owner: document.getElementById("chapterOwner"),
+};
+
+const referencesSection = document.getElementById("referencesSection");
+const addSectionLinkBtn = document.getElementById("addSectionLinkBtn");
+const sectionLinks = document.getElementById("sectionLinks");
+const backlinksList = document.getElementById("backlinksList");
 
 const diagramEditor = document.getElementById("diagramEditor");
+const diagramEditorTitle = document.getElementById("diagramEditorTitle");
 const diagramTitle = document.getElementById("diagramTitle");
 const diagramDescription = document.getElementById("diagramDescription");
 const diagramCode = document.getElementById("diagramCode");
+const diagramCodeGutter = document.getElementById("diagramCodeGutter");
+const diagramCodeHighlight = document.getElementById("diagramCodeHighlight");
+const diagramCodeSuggestions = document.getElementById("diagramCodeSuggestions");
+const diagramCodeStatus = document.getElementById("diagramCodeStatus");
+const diagramSplit = document.getElementById("diagramSplit");
+const diagramSplitHandle = document.getElementById("diagramSplitHandle");
+const diagramTemplateSelect = document.getElementById("diagramTemplateSelect");
+const insertDiagramTemplateBtn = document.getElementById("insertDiagramTemplateBtn");
+const saveDiagramTemplateBtn = document.getElementById("saveDiagramTemplateBtn");
+const deleteDiagramTemplateBtn = document.getElementById("deleteDiagramTemplateBtn");
+const linkDiagramNodeBtn = document.getElementById("linkDiagramNodeBtn");
 const diagramImage = document.getElementById("diagramImage");
 const diagramFileName = document.getElementById("diagramFileName");
 const mermaidInputGroup = document.getElementById("mermaidInputGroup");
@@ -151,8 +654,14 @@ const imageInputGroup = document.getElementById("imageInputGroup");
 const diagramPreview = document.getElementById("diagramPreview");
 const saveDiagramBtn = document.getElementById("saveDiagramBtn");
 const cancelDiagramBtn = document.getElementById("cancelDiagramBtn");
+const diagramMetadata = {
+  tags: document.getElementById("diagramTags"),
+  status: document.getElementById("diagramStatus"),
+  owner: document.getElementById("diagramOwner"),
+};
 
 const documentEditor = document.getElementById("documentEditor");
+const documentEditorTitle = document.getElementById("documentEditorTitle");
 const documentTitle = document.getElementById("documentTitle");
 const documentDescription = document.getElementById("documentDescription");
 const documentDate = document.getElementById("documentDate");
@@ -160,18 +669,64 @@ const documentFile = document.getElementById("documentFile");
 const documentFileName = document.getElementById("documentFileName");
 const saveDocumentBtn = document.getElementById("saveDocumentBtn");
 const cancelDocumentBtn = document.getElementById("cancelDocumentBtn");
+const documentMetadata = {
+  tags: document.getElementById("documentTags"),
+  status: document.getElementById("documentStatus"),
+  owner: document.getElementById("documentOwner"),
+};
+const ownerSuggestions = document.getElementById("ownerSuggestions");
+
+const registerEditor = document.getElementById("registerEditor");
+const registerEditorTitle = document.getElementById("registerEditorTitle");
+const registerTitle = document.getElementById("registerTitle");
+const registerDescription = document.getElementById("registerDescription");
+const addRegisterRowBtn = document.getElementById("addRegisterRowBtn");
+const addRegisterColumnBtn = document.getElementById("addRegisterColumnBtn");
+const clearRegisterFiltersBtn = document.getElementById("clearRegisterFiltersBtn");
+const exportRegisterCsvBtn = document.getElementById("exportRegisterCsvBtn");
+const importRegisterCsvBtn = document.getElementById("importRegisterCsvBtn");
+const registerCsvFile = document.getElementById("registerCsvFile");
+const closeRegisterBtn = document.getElementById("closeRegisterBtn");
+const registerTable = document.getElementById("registerTable");
+const registerChart = document.getElementById("registerChart");
 
 const diagramsList = document.getElementById("diagramsList");
+const diagramsFilters = document.getElementById("diagramsFilters");
 const documentsList = document.getElementById("documentsList");
+const documentsFilters = document.getElementById("documentsFilters");
+const registersList = document.getElementById("registersList");
 
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
 const saveBtn = document.getElementById("saveBtn");
 const loadBtn = document.getElementById("loadBtn");
 const resetBtn = document.getElementById("resetBtn");
+const exportBtn = document.getElementById("exportBtn");
+const exportSiteBtn = document.getElementById("exportSiteBtn");
+const exportDiagramsBtn = document.getElementById("exportDiagramsBtn");
+const exportMarkdownBtn = document.getElementById("exportMarkdownBtn");
+const importMarkdownBtn = document.getElementById("importMarkdownBtn");
+const importMarkdownFile = document.getElementById("importMarkdownFile");
+const importMarkdownFolder = document.getElementById("importMarkdownFolder");
+const importBtn = document.getElementById("importBtn");
+const importFile = document.getElementById("importFile");
+const storageBtn = document.getElementById("storageBtn");
+const shortcutsBtn = document.getElementById("shortcutsBtn");
+const metadataOverviewBtn = document.getElementById("metadataOverviewBtn");
 
 const modal = document.getElementById("modal");
 const modalContent = document.getElementById("modalContent");
 const modalClose = document.getElementById("modalClose");
 
+const projectSelect = document.getElementById("projectSelect");
+const renameProjectBtn = document.getElementById("renameProjectBtn");
+const duplicateProjectBtn = document.getElementById("duplicateProjectBtn");
+const deleteProjectBtn = document.getElementById("deleteProjectBtn");
+const saveTemplateBtn = document.getElementById("saveTemplateBtn");
+
+const searchInput = document.getElementById("searchInput");
+const searchResults = document.getElementById("searchResults");
+
 // ---------- Init ----------
 async function init() {
   // Initialize IndexedDB first (if supported)
@@ -181,42 +736,39 @@ async function init() {
     console.warn("IndexedDB no disponible o fallo de inicialización, se intentará continuar con localStorage (limitado).", err);
   }
 
+  loadProjectRegistry();
   loadAppState();
 
-  if (!appState.chapters || appState.chapters.length === 0)
-    createInitialChapters();
+  // only a project that was never saved gets the sample chapters; one created
+  // from the empty template stays empty
+  if (!hasSavedState(projectRegistry.activeId)) createInitialChapters();
 
+  renderProjectSelect();
   renderChapters();
 
-  if (appState.currentChapter) selectChapter(appState.currentChapter);
+  if (appState.currentSection) selectSection(appState.currentSection);
 
   setupEventListeners();
 
   documentDate.valueAsDate = new Date();
+
+  loadSearchIndex();
+  backfillFileHashes();
 }
 
 function createInitialChapters() {
   appState.chapters = [
     {
-      id: generateId(),
-      title: "Capítulo 1: Introducción",
+      ...createSection("Capítulo 1: Introducción"),
       description: "Conceptos ...",
-      expanded: true,
-      subchapters: [],
-      diagrams: [],
-      documents: [],
     },
     {
-      id: generateId(),
-      title: "Capítulo 2: Entorno",
+      ...createSection("Capítulo 2: Entorno"),
       description: "Factores organizacionales",
       expanded: false,
-      subchapters: [],
-      diagrams: [],
-      documents: [],
     },
   ];
-  appState.currentChapter = appState.chapters[0].id;
+  appState.currentSection = appState.chapters[0].id;
   saveAppState();
 }
 
@@ -225,39 +777,65 @@ function setupEventListeners() {
   addChapterBtn.addEventListener("click", addNewChapter);
 
   expandAllBtn.addEventListener("click", () => {
-    appState.chapters.forEach((c) => (c.expanded = true));
+    walkSections(appState.chapters, (s) => (s.expanded = true));
     renderChapters();
     saveAppState();
   });
 
   collapseAllBtn.addEventListener("click", () => {
-    appState.chapters.forEach((c) => (c.expanded = false));
+    walkSections(appState.chapters, (s) => (s.expanded = false));
     renderChapters();
     saveAppState();
   });
 
-  addSubchapterBtn.addEventListener("click", addNewSubchapter);
+  addSubchapterBtn.addEventListener("click", () => addNewSubsection());
   addDiagramBtn.addEventListener("click", showDiagramEditor);
   addDocumentBtn.addEventListener("click", showDocumentEditor);
+  addRegisterBtn.addEventListener("click", showNewRegisterDialog);
+  addSectionLinkBtn.addEventListener("click", () => addItemLink(appState.currentSection));
+  document.addEventListener("click", handleReferenceClick);
+
+  moveSectionUpBtn.addEventListener("click", () =>
+    moveSectionBy(appState.currentSection, -1)
+  );
+  moveSectionDownBtn.addEventListener("click", () =>
+    moveSectionBy(appState.currentSection, 1)
+  );
+  moveSectionToBtn.addEventListener("click", () =>
+    promptMoveSection(appState.currentSection)
+  );
 
   chapterTitle.addEventListener("input", saveCurrentChapter);
-  chapterDescription.addEventListener("input", saveCurrentChapter);
+  [chapterMetadata, diagramMetadata, documentMetadata].forEach((fields) =>
+    fillStatusSelect(fields.status)
+  );
+  chapterMetadata.tags.addEventListener("input", saveCurrentChapter);
+  chapterMetadata.status.addEventListener("change", saveCurrentChapter);
+  chapterMetadata.owner.addEventListener("input", saveCurrentChapter);
+  chapterDescription.addEventListener("input", () => {
+    saveCurrentChapter();
+    scheduleDescriptionPreview();
+  });
+  chapterDescription.addEventListener("keydown", handleDescriptionShortcut);
+  chapterDescription.addEventListener("paste", handleDescriptionPaste);
+  chapterDescription.addEventListener("drop", handleDescriptionPaste);
+
+  document.querySelectorAll(".markdown-toolbar [data-md]").forEach((btn) =>
+    btn.addEventListener("click", () => DESCRIPTION_TOOLBAR_ACTIONS[btn.dataset.md]())
+  );
+  descriptionImageFile.addEventListener("change", async () => {
+    const files = [...descriptionImageFile.files];
+    descriptionImageFile.value = "";
+    for (const file of files) await insertDescriptionImage(file);
+  });
+  descriptionPreviewToggle.addEventListener("change", () => {
+    descriptionSplit.classList.toggle("no-preview", !descriptionPreviewToggle.checked);
+    if (descriptionPreviewToggle.checked) renderDescriptionPreview();
+  });
 
   document.querySelectorAll(".type-option").forEach((btn) => {
     btn.addEventListener("click", () => {
-      document
-        .querySelectorAll(".type-option")
-        .forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-
-      if (btn.dataset.type === "mermaid") {
-        mermaidInputGroup.classList.remove("hidden");
-        imageInputGroup.classList.add("hidden");
-      } else {
-        mermaidInputGroup.classList.add("hidden");
-        imageInputGroup.classList.remove("hidden");
-      }
-
+      setDiagramType(btn.dataset.type);
       updateDiagramPreview();
     });
   });
@@ -269,27 +847,45 @@ function setupEventListeners() {
     updateDiagramPreview();
   });
 
-  diagramCode.addEventListener("input", updateDiagramPreview);
+  diagramCode.addEventListener("input", () => {
+    renderDiagramCodeHighlight();
+    scheduleDiagramCodeCheck();
+    updateCodeSuggestions(false);
+  });
+  diagramCode.addEventListener("keydown", handleDiagramCodeKeyDown);
+  diagramCode.addEventListener("scroll", syncDiagramCodeScroll);
+  diagramCode.addEventListener("blur", hideCodeSuggestions);
+  diagramCode.addEventListener("click", hideCodeSuggestions);
+  diagramCodeSuggestions.addEventListener("mousedown", (e) => {
+    // keep the focus in the textarea while picking a suggestion
+    e.preventDefault();
+    const li = e.target.closest("li[data-index]");
+    if (li) acceptCodeSuggestion(Number(li.dataset.index));
+  });
+  diagramCodeStatus.addEventListener("click", goToDiagramCodeError);
+  initDiagramSplit();
+  insertDiagramTemplateBtn.addEventListener("click", insertDiagramTemplate);
+  saveDiagramTemplateBtn.addEventListener("click", saveDiagramAsTemplate);
+  deleteDiagramTemplateBtn.addEventListener("click", deleteDiagramTemplate);
+  linkDiagramNodeBtn.addEventListener("click", linkDiagramNode);
+  diagramTemplateSelect.addEventListener("change", updateDiagramTemplateButtons);
   diagramTitle.addEventListener("input", updateDiagramPreview);
   diagramDescription.addEventListener("input", updateDiagramPreview);
 
   saveDiagramBtn.addEventListener("click", saveDiagram);
-  cancelDiagramBtn.addEventListener("click", () =>
-    diagramEditor.classList.add("hidden")
-  );
+  cancelDiagramBtn.addEventListener("click", () => {
+    diagramEditor.classList.add("hidden");
+    editingDiagramId = null;
+  });
 
   document.querySelectorAll(".doc-type-option").forEach((btn) => {
     btn.addEventListener("click", () => {
-      document
-        .querySelectorAll(".doc-type-option")
-        .forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-
-      if (btn.dataset.type === "pdf") documentFile.accept = ".pdf";
-      else documentFile.accept = ".ppt,.pptx";
+      setDocumentType(btn.dataset.type);
 
       documentFile.value = "";
-      documentFileName.textContent = "Ningún archivo seleccionado";
+      documentFileName.textContent = editingDocId
+        ? "Se conservará el archivo actual"
+        : "Ningún archivo seleccionado";
     });
   });
 
@@ -300,9 +896,26 @@ function setupEventListeners() {
   });
 
   saveDocumentBtn.addEventListener("click", saveDocument);
-  cancelDocumentBtn.addEventListener("click", () =>
-    documentEditor.classList.add("hidden")
-  );
+  cancelDocumentBtn.addEventListener("click", () => {
+    documentEditor.classList.add("hidden");
+    editingDocId = null;
+  });
+
+  registerTitle.addEventListener("input", saveRegisterFields);
+  registerDescription.addEventListener("input", saveRegisterFields);
+  addRegisterRowBtn.addEventListener("click", addRegisterRow);
+  addRegisterColumnBtn.addEventListener("click", promptRegisterColumn);
+  clearRegisterFiltersBtn.addEventListener("click", () => {
+    registerView.filters = {};
+    renderRegisterEditor();
+  });
+  exportRegisterCsvBtn.addEventListener("click", exportRegisterCsv);
+  importRegisterCsvBtn.addEventListener("click", () => registerCsvFile.click());
+  registerCsvFile.addEventListener("change", () => {
+    if (registerCsvFile.files.length) importRegisterCsv(registerCsvFile.files[0]);
+    registerCsvFile.value = "";
+  });
+  closeRegisterBtn.addEventListener("click", closeRegisterEditor);
 
   saveBtn.addEventListener("click", () => {
     saveAppState();
@@ -310,900 +923,8485 @@ function setupEventListeners() {
   });
 
   loadBtn.addEventListener("click", () => {
+    recordHistory("Cargar proyecto");
     loadAppState();
     renderChapters();
-    if (appState.chapters.length) selectChapter(appState.chapters[0].id);
+    if (appState.chapters.length) selectSection(appState.chapters[0].id);
     alert("Proyecto cargado");
   });
 
-  resetBtn.addEventListener("click", () => {
-    if (confirm("¿Crear nuevo proyecto?")) {
-      localStorage.removeItem("pmbokEditor");
-      appState = { chapters: [], currentChapter: null };
-      createInitialChapters();
-      renderChapters();
-    }
+  resetBtn.addEventListener("click", async () => {
+    const choice = await chooseProjectTemplate();
+    if (choice) createProject(choice.name, instantiateTemplate(choice.template));
   });
 
-  modalClose.addEventListener("click", closeModal);
-}
-
-// ---------- Chapters ----------
-function renderChapters() {
-  chaptersList.innerHTML = "";
-
-  appState.chapters.forEach((chap) => {
-    const li = document.createElement("li");
-    li.className = "chapter-item" + (chap.expanded ? " expanded" : "");
-
-    li.innerHTML = `
-      <div class="chapter-header ${
-        appState.currentChapter === chap.id ? "active" : ""
-      }" data-id="${chap.id}">
-        <span>${chap.title}</span>
-        <div>
-          <button class="edit">✎</button>
-          <button class="delete">×</button>
-        </div>
-      </div>
+  projectSelect.addEventListener("change", () => switchProject(projectSelect.value));
+  renameProjectBtn.addEventListener("click", renameProject);
+  duplicateProjectBtn.addEventListener("click", duplicateProject);
+  deleteProjectBtn.addEventListener("click", () =>
+    deleteProject(projectRegistry.activeId)
+  );
+  saveTemplateBtn.addEventListener("click", saveProjectAsTemplate);
 
-      <ul class="subchapters-list">
-        ${chap.subchapters
-          .map(
-            (s) =>
-              `<li class="subchapter-item" data-id="${s.id}">
-                <span>${s.title}</span>
-              </li>`
-          )
-          .join("")}
-      </ul>
-    `;
+  undoBtn.addEventListener("click", undo);
+  redoBtn.addEventListener("click", redo);
 
-    chaptersList.appendChild(li);
+  document.addEventListener("keydown", handleShortcutKeyDown);
+  [diagramsList, documentsList, registersList].forEach((list) =>
+    list.addEventListener("keydown", handleCardKeyDown)
+  );
+  shortcutsBtn.addEventListener("click", showShortcutHelp);
+  renderShortcutHints();
 
-    li.querySelector(".chapter-header").addEventListener("click", (e) => {
-      const id = e.currentTarget.dataset.id;
-      toggleChapterExpansion(id);
-      selectChapter(id);
-    });
+  exportBtn.addEventListener("click", exportProject);
+  exportSiteBtn.addEventListener("click", exportStaticSite);
+  exportDiagramsBtn.addEventListener("click", () =>
+    exportDiagramsArchive(appState.chapters, getActiveProject().name)
+  );
+  exportSectionDiagramsBtn.addEventListener("click", () => {
+    const section = getCurrentSection();
+    if (section) exportDiagramsArchive([section], section.title);
+  });
+  exportMarkdownBtn.addEventListener("click", exportMarkdown);
+  importMarkdownBtn.addEventListener("click", chooseMarkdownSource);
+  [importMarkdownFile, importMarkdownFolder].forEach((input) =>
+    input.addEventListener("change", () => {
+      const files = [...input.files];
+      input.value = "";
+      if (files.length) importMarkdown(files);
+    })
+  );
+  storageBtn.addEventListener("click", openStoragePanel);
+  metadataOverviewBtn.addEventListener("click", () => showMetadataOverview());
 
-    li.querySelector(".edit").addEventListener("click", (e) => {
-      e.stopPropagation();
-      selectChapter(chap.id);
-    });
+  importBtn.addEventListener("click", () => importFile.click());
 
-    li.querySelector(".delete").addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (confirm("¿Eliminar capítulo?")) {
-        appState.chapters = appState.chapters.filter((c) => c.id !== chap.id);
-        appState.currentChapter = null;
-        renderChapters();
-        saveAppState();
-      }
-    });
+  importFile.addEventListener("change", () => {
+    if (importFile.files.length) importProject(importFile.files[0]);
+    importFile.value = "";
+  });
 
-    li.querySelectorAll(".subchapter-item").forEach((item) => {
-      item.addEventListener("click", () => {
-        selectSubchapter(item.dataset.id);
-      });
-    });
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 200);
   });
-}
 
-function addNewChapter() {
-  const newC = {
-    id: generateId(),
-    title: "Nuevo Capítulo",
-    description: "",
-    expanded: true,
-    subchapters: [],
-    diagrams: [],
-    documents: [],
-  };
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      const first = searchResults.querySelector(".search-result");
+      if (first) first.click();
+    } else if (e.key === "Escape") {
+      searchInput.value = "";
+      runSearch();
+    }
+  });
 
-  appState.chapters.push(newC);
-  selectChapter(newC.id);
-  renderChapters();
-  saveAppState();
+  modalClose.addEventListener("click", closeModal);
 }
 
-function addNewSubchapter() {
-  if (!appState.currentChapter)
-    return alert("Selecciona un capítulo primero");
-
-  const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
+// ---------- Projects ----------
+// The registry lists the projects; each project's appState lives under its
+// own localStorage key and its files carry its id in IndexedDB.
+const PROJECTS_KEY = "pmbokProjects";
+const LEGACY_STATE_KEY = "pmbokEditor";
+const DEFAULT_PROJECT_ID = "default";
 
-  const sub = {
-    id: generateId(),
-    title: "Nuevo Subcapítulo",
-    description: "",
-    diagrams: [],
-    documents: [],
-  };
+let projectRegistry = { activeId: DEFAULT_PROJECT_ID, projects: [] };
 
-  ch.subchapters.push(sub);
-  ch.expanded = true;
-  saveAppState();
-  renderChapters();
-  selectSubchapter(sub.id);
+function projectStorageKey(id) {
+  return LEGACY_STATE_KEY + ":" + id;
 }
 
-function toggleChapterExpansion(id) {
-  const ch = appState.chapters.find((c) => c.id === id);
-  if (!ch) return;
-  ch.expanded = !ch.expanded;
-  renderChapters();
-  saveAppState();
+function hasSavedState(projectId) {
+  return localStorage.getItem(projectStorageKey(projectId)) !== null;
 }
 
-function selectChapter(id) {
-  appState.currentChapter = id;
-  appState.currentSubchapter = null;
+function saveProjectRegistry() {
+  localStorage.setItem(PROJECTS_KEY, JSON.stringify(projectRegistry));
+}
 
-  const ch = appState.chapters.find((c) => c.id === id);
-  if (!ch) return;
+function loadProjectRegistry() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROJECTS_KEY));
+    if (saved && Array.isArray(saved.projects)) projectRegistry = saved;
+  } catch (e) {
+    console.error(e);
+  }
 
-  editorTitle.textContent = "Editor: " + ch.title;
-  editorSectionTitle.textContent = "Editar Capítulo";
+  // First run with projects: the single-project data becomes the default project
+  if (!projectRegistry.projects.length) {
+    const legacy = localStorage.getItem(LEGACY_STATE_KEY);
+    if (legacy) {
+      localStorage.setItem(projectStorageKey(DEFAULT_PROJECT_ID), legacy);
+      localStorage.removeItem(LEGACY_STATE_KEY);
+    }
+    projectRegistry = {
+      activeId: DEFAULT_PROJECT_ID,
+      projects: [
+        {
+          id: DEFAULT_PROJECT_ID,
+          name: "Mi proyecto",
+          createdAt: new Date().toISOString(),
+        },
+      ],
+    };
+    saveProjectRegistry();
+  }
 
-  chapterTitle.value = ch.title;
-  chapterDescription.value = ch.description;
+  if (!projectRegistry.projects.some((p) => p.id === projectRegistry.activeId))
+    projectRegistry.activeId = projectRegistry.projects[0].id;
+}
 
-  chapterEditor.classList.remove("hidden");
+function getActiveProject() {
+  return projectRegistry.projects.find((p) => p.id === projectRegistry.activeId);
+}
 
-  renderCurrentDiagrams();
-  renderCurrentDocuments();
-  renderChapters();
+function renderProjectSelect() {
+  projectSelect.innerHTML = projectRegistry.projects
+    .map(
+      (p) =>
+        `<option value="${escapeHtml(p.id)}" ${
+          p.id === projectRegistry.activeId ? "selected" : ""
+        }>${escapeHtml(p.name)}</option>`
+    )
+    .join("");
+  deleteProjectBtn.disabled = projectRegistry.projects.length < 2;
 }
 
-function selectSubchapter(subId) {
-  if (!appState.currentChapter) return;
+function switchProject(id) {
+  if (!projectRegistry.projects.some((p) => p.id === id)) return;
 
-  const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-  const sub = ch.subchapters.find((s) => s.id === subId);
+  saveAppState();
+  projectRegistry.activeId = id;
+  saveProjectRegistry();
 
-  appState.currentSubchapter = subId;
+  appState = { chapters: [], currentSection: null };
+  loadAppState();
+  if (!hasSavedState(id)) createInitialChapters();
 
-  editorTitle.textContent = "Editor: " + sub.title;
-  editorSectionTitle.textContent = "Editar Subcapítulo";
+  // the undo history refers to the previous project's state and files
+  undoHistory.undo = [];
+  undoHistory.redo = [];
+  updateHistoryButtons();
 
-  chapterTitle.value = sub.title;
-  chapterDescription.value = sub.description;
+  editingDiagramId = null;
+  editingDocId = null;
+  diagramEditor.classList.add("hidden");
+  documentEditor.classList.add("hidden");
+  closeRegisterEditor();
+  searchInput.value = "";
+  runSearch();
 
-  renderCurrentDiagrams();
-  renderCurrentDocuments();
+  renderProjectSelect();
   renderChapters();
+  const first = appState.currentSection || appState.chapters[0]?.id;
+  if (first) selectSection(first);
+  else clearSectionSelection();
+  indexPendingDocuments();
 }
 
-function saveCurrentChapter() {
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
+// chapters: initial section tree (e.g. from a template); omitted, the project
+// starts with the sample chapters
+function createProject(name, chapters) {
+  const project = { id: generateId(), name, createdAt: new Date().toISOString() };
+  projectRegistry.projects.push(project);
+  saveProjectRegistry();
+
+  if (chapters) {
+    localStorage.setItem(
+      projectStorageKey(project.id),
+      JSON.stringify({ chapters, currentSection: chapters[0]?.id || null })
     );
-
-    sub.title = chapterTitle.value;
-    sub.description = chapterDescription.value;
-  } else if (appState.currentChapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-
-    ch.title = chapterTitle.value;
-    ch.description = chapterDescription.value;
   }
-
-  renderChapters();
-  saveAppState();
+  switchProject(project.id);
 }
 
-// ---------- Diagrams ----------
-let editingDiagramId = null;
+function renameProject() {
+  const project = getActiveProject();
+  const name = prompt("Nuevo nombre del proyecto:", project.name);
+  if (!name || !name.trim()) return;
 
-function showDiagramEditor() {
-  if (!appState.currentChapter)
-    return alert("Selecciona un capítulo o subcapítulo");
+  project.name = name.trim();
+  saveProjectRegistry();
+  renderProjectSelect();
+}
 
-  diagramEditor.classList.remove("hidden");
-  documentEditor.classList.add("hidden");
+// Copies the active project, giving every section, item and file a new id
+// so the copy is fully independent from the original.
+async function duplicateProject() {
+  const source = getActiveProject();
+  const name = prompt("Nombre de la copia:", source.name + " (copia)");
+  if (!name || !name.trim()) return;
 
-  editingDiagramId = null;
+  const project = {
+    id: generateId(),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+  };
 
-  diagramTitle.value = "";
-  diagramDescription.value = "";
-  diagramCode.value = "";
-  diagramImage.value = "";
-  diagramFileName.textContent = "Ningún archivo seleccionado";
+  const state = JSON.parse(JSON.stringify(appState));
+  const fileIdMap = remapProjectIds(state.chapters);
+  state.currentSection = state.chapters[0]?.id || null;
 
-  mermaidInputGroup.classList.remove("hidden");
-  imageInputGroup.classList.add("hidden");
+  if (db) {
+    for (const [oldId, newId] of fileIdMap) {
+      try {
+        const record = await loadFileFromDB(oldId);
+        if (record) await saveFileToDB(newId, record, { projectId: project.id });
 
-  updateDiagramPreview();
-}
+        const pages = documentTextIndex.get(oldId);
+        if (pages) {
+          documentTextIndex.set(newId, pages);
+          await saveTextIndexToDB(newId, pages);
+        }
+      } catch (err) {
+        console.error("Error copiando archivo del proyecto:", err);
+      }
+    }
+  }
 
-function updateDiagramPreview() {
-  const title = diagramTitle.value || "Sin título";
-  const desc = diagramDescription.value || "";
-  const type = document.querySelector(".type-option.active").dataset.type;
+  localStorage.setItem(projectStorageKey(project.id), JSON.stringify(state));
+  projectRegistry.projects.push(project);
+  saveProjectRegistry();
+  switchProject(project.id);
+}
 
-  if (type === "mermaid") {
-    const code = diagramCode.value.trim();
+// Deletes a project with its saved state and every file stored for it
+async function deleteProject(id) {
+  const project = projectRegistry.projects.find((p) => p.id === id);
+  if (!project) return;
+  if (projectRegistry.projects.length < 2)
+    return alert("No se puede eliminar el único proyecto");
+  if (!confirm(`¿Eliminar el proyecto "${project.name}" y todos sus archivos?`))
+    return;
 
-    if (code) {
-      diagramPreview.innerHTML = `
-        <div>
-          <strong>${title}</strong>
-          <div>${desc}</div>
-          <div class="mermaid">${code}</div>
-        </div>
-      `;
-      try {
-        mermaid.init(
-          undefined,
-          diagramPreview.querySelectorAll(".mermaid")
+  if (db) {
+    try {
+      // files imported before ids were renewed may still be used elsewhere
+      const shared = new Set();
+      projectRegistry.projects
+        .filter((p) => p.id !== id)
+        .forEach((p) =>
+          collectReferencedFileIds(readProjectState(p.id).chapters).forEach((fileId) =>
+            shared.add(fileId)
+          )
         );
-      } catch (e) {}
-    } else {
-      diagramPreview.innerHTML = `
-        <div>
-          <strong>${title}</strong>
-          <div>${desc}</div>
-          <div>Ingresa código Mermaid</div>
-        </div>
-      `;
-    }
-  } else {
-    if (diagramImage.files && diagramImage.files.length) {
-      const file = diagramImage.files[0];
-      const url = URL.createObjectURL(file);
 
-      diagramPreview.innerHTML = `
-        <div>
-          <strong>${title}</strong>
-          <div>${desc}</div>
-          <img src="${url}" style="max-width:100%;height:auto;border-radius:6px" />
-        </div>
-      `;
-    } else {
-      diagramPreview.innerHTML = `
-        <div>
-          <strong>${title}</strong>
-          <div>${desc}</div>
-          <div>Selecciona una imagen</div>
-        </div>
-      `;
+      const fileIds = await listProjectFileIdsFromDB(id);
+      for (const fileId of fileIds.filter((fileId) => !shared.has(fileId))) {
+        await deleteFileFromDB(fileId);
+        dropDocumentTextIndex(fileId);
+      }
+    } catch (err) {
+      console.error("Error eliminando archivos del proyecto:", err);
     }
   }
+
+  localStorage.removeItem(projectStorageKey(id));
+  projectRegistry.projects = projectRegistry.projects.filter((p) => p.id !== id);
+
+  if (projectRegistry.activeId === id) {
+    // switchProject would save the deleted state again under its key
+    projectRegistry.activeId = projectRegistry.projects[0].id;
+    appState = { chapters: [], currentSection: null };
+    loadAppState();
+    switchProject(projectRegistry.activeId);
+  } else {
+    saveProjectRegistry();
+    renderProjectSelect();
+  }
 }
 
-function saveDiagram() {
-  const title = diagramTitle.value.trim();
-  const desc = diagramDescription.value.trim();
-  const type = document.querySelector(".type-option.active").dataset.type;
+// ---------- Project templates ----------
+// Templates are trees of { title, description, children } without ids;
+// instantiateTemplate() turns one into real sections for a new project.
 
-  if (!title) return alert("Ingresa título");
+const USER_TEMPLATES_KEY = "pmbokTemplates";
 
-  if (type === "mermaid") {
-    const content = diagramCode.value.trim();
-    if (!content) return alert("Ingresa código Mermaid");
+const PMBOK6_PROCESS_GROUPS = {
+  I: ["Inicio", "Procesos para definir y autorizar el proyecto o una fase."],
+  P: ["Planificación", "Procesos para establecer el alcance, los objetivos y el curso de acción."],
+  E: ["Ejecución", "Procesos para completar el trabajo definido en el plan."],
+  M: ["Monitoreo y Control", "Procesos para hacer seguimiento, revisar y regular el avance y el desempeño."],
+  C: ["Cierre", "Procesos para finalizar formalmente el proyecto, fase o contrato."],
+};
 
-    // Mermeid diagrams store content directly
-    const diagram = {
-      id: editingDiagramId || generateId(),
+// [area, description, [[group, process, description], ...]]
+const PMBOK6_KNOWLEDGE_AREAS = [
+  ["4. Gestión de la Integración", "Identificar, unificar y coordinar los procesos y actividades de la dirección de proyectos.", [
+    ["I", "4.1 Desarrollar el Acta de Constitución del Proyecto", "Autorizar formalmente el proyecto y al director del proyecto."],
+    ["P", "4.2 Desarrollar el Plan para la Dirección del Proyecto", "Definir, preparar y coordinar todos los planes subsidiarios."],
+    ["E", "4.3 Dirigir y Gestionar el Trabajo del Proyecto", "Liderar y llevar a cabo el trabajo definido en el plan."],
+    ["E", "4.4 Gestionar el Conocimiento del Proyecto", "Usar el conocimiento existente y crear nuevo conocimiento."],
+    ["M", "4.5 Monitorear y Controlar el Trabajo del Proyecto", "Hacer seguimiento del progreso frente a los objetivos del plan."],
+    ["M", "4.6 Realizar el Control Integrado de Cambios", "Revisar, aprobar y gestionar todas las solicitudes de cambio."],
+    ["C", "4.7 Cerrar el Proyecto o Fase", "Finalizar todas las actividades del proyecto, fase o contrato."],
+  ]],
+  ["5. Gestión del Alcance", "Asegurar que el proyecto incluya todo el trabajo requerido, y únicamente ese trabajo.", [
+    ["P", "5.1 Planificar la Gestión del Alcance", "Documentar cómo se definirá, validará y controlará el alcance."],
+    ["P", "5.2 Recopilar Requisitos", "Determinar y documentar las necesidades de los interesados."],
+    ["P", "5.3 Definir el Alcance", "Desarrollar una descripción detallada del proyecto y del producto."],
+    ["P", "5.4 Crear la EDT/WBS", "Subdividir los entregables en componentes más manejables."],
+    ["M", "5.5 Validar el Alcance", "Formalizar la aceptación de los entregables completados."],
+    ["M", "5.6 Controlar el Alcance", "Monitorear el estado del alcance y gestionar sus cambios."],
+  ]],
+  ["6. Gestión del Cronograma", "Gestionar la terminación del proyecto en el tiempo previsto.", [
+    ["P", "6.1 Planificar la Gestión del Cronograma", "Establecer políticas y procedimientos para el cronograma."],
+    ["P", "6.2 Definir las Actividades", "Identificar las acciones necesarias para producir los entregables."],
+    ["P", "6.3 Secuenciar las Actividades", "Identificar y documentar las relaciones entre actividades."],
+    ["P", "6.4 Estimar la Duración de las Actividades", "Estimar los períodos de trabajo necesarios para cada actividad."],
+    ["P", "6.5 Desarrollar el Cronograma", "Analizar secuencias, duraciones y recursos para crear el modelo de programación."],
+    ["M", "6.6 Controlar el Cronograma", "Monitorear el estado y gestionar cambios a la línea base del cronograma."],
+  ]],
+  ["7. Gestión de los Costos", "Planificar, estimar, presupuestar y controlar los costos del proyecto.", [
+    ["P", "7.1 Planificar la Gestión de los Costos", "Definir cómo se estimarán, presupuestarán y controlarán los costos."],
+    ["P", "7.2 Estimar los Costos", "Aproximar los recursos monetarios necesarios."],
+    ["P", "7.3 Determinar el Presupuesto", "Sumar los costos estimados para establecer la línea base de costos."],
+    ["M", "7.4 Controlar los Costos", "Monitorear el estado de los costos y gestionar cambios a la línea base."],
+  ]],
+  ["8. Gestión de la Calidad", "Incorporar la política de calidad de la organización en el proyecto.", [
+    ["P", "8.1 Planificar la Gestión de la Calidad", "Identificar requisitos y estándares de calidad."],
+    ["E", "8.2 Gestionar la Calidad", "Convertir el plan de calidad en actividades ejecutables."],
+    ["M", "8.3 Controlar la Calidad", "Monitorear y registrar los resultados de las actividades de calidad."],
+  ]],
+  ["9. Gestión de los Recursos", "Identificar, adquirir y gestionar los recursos necesarios.", [
+    ["P", "9.1 Planificar la Gestión de los Recursos", "Definir cómo estimar, adquirir, gestionar y utilizar los recursos."],
+    ["P", "9.2 Estimar los Recursos de las Actividades", "Estimar los recursos del equipo y los materiales necesarios."],
+    ["E", "9.3 Adquirir Recursos", "Obtener miembros del equipo, instalaciones, equipos y materiales."],
+    ["E", "9.4 Desarrollar el Equipo", "Mejorar las competencias y la interacción del equipo."],
+    ["E", "9.5 Dirigir al Equipo", "Hacer seguimiento del desempeño y resolver problemas del equipo."],
+    ["M", "9.6 Controlar los Recursos", "Asegurar que los recursos estén disponibles según lo planificado."],
+  ]],
+  ["10. Gestión de las Comunicaciones", "Asegurar que la información del proyecto se gestione de forma oportuna y adecuada.", [
+    ["P", "10.1 Planificar la Gestión de las Comunicaciones", "Desarrollar un enfoque y un plan de comunicaciones."],
+    ["E", "10.2 Gestionar las Comunicaciones", "Recopilar, distribuir y almacenar la información del proyecto."],
+    ["M", "10.3 Monitorear las Comunicaciones", "Asegurar que se satisfagan las necesidades de información."],
+  ]],
+  ["11. Gestión de los Riesgos", "Identificar, analizar, responder y monitorear los riesgos del proyecto.", [
+    ["P", "11.1 Planificar la Gestión de los Riesgos", "Definir cómo realizar las actividades de gestión de riesgos."],
+    ["P", "11.2 Identificar los Riesgos", "Identificar riesgos individuales y fuentes de riesgo general."],
+    ["P", "11.3 Realizar el Análisis Cualitativo de Riesgos", "Priorizar riesgos evaluando su probabilidad e impacto."],
+    ["P", "11.4 Realizar el Análisis Cuantitativo de Riesgos", "Analizar numéricamente el efecto combinado de los riesgos."],
+    ["P", "11.5 Planificar la Respuesta a los Riesgos", "Desarrollar opciones y acciones para abordar los riesgos."],
+    ["E", "11.6 Implementar la Respuesta a los Riesgos", "Ejecutar los planes acordados de respuesta a los riesgos."],
+    ["M", "11.7 Monitorear los Riesgos", "Hacer seguimiento de los riesgos y evaluar la efectividad de las respuestas."],
+  ]],
+  ["12. Gestión de las Adquisiciones", "Comprar o adquirir productos, servicios o resultados externos.", [
+    ["P", "12.1 Planificar la Gestión de las Adquisiciones", "Documentar las decisiones de compra e identificar proveedores."],
+    ["E", "12.2 Efectuar las Adquisiciones", "Obtener respuestas de proveedores, seleccionarlos y adjudicar contratos."],
+    ["M", "12.3 Controlar las Adquisiciones", "Gestionar las relaciones de adquisición y el desempeño de los contratos."],
+  ]],
+  ["13. Gestión de los Interesados", "Identificar a los interesados y lograr su participación eficaz.", [
+    ["I", "13.1 Identificar a los Interesados", "Identificar y analizar a las personas afectadas por el proyecto."],
+    ["P", "13.2 Planificar el Involucramiento de los Interesados", "Desarrollar enfoques para involucrar a los interesados."],
+    ["E", "13.3 Gestionar la Participación de los Interesados", "Comunicarse y trabajar con los interesados para satisfacer sus expectativas."],
+    ["M", "13.4 Monitorear el Involucramiento de los Interesados", "Monitorear las relaciones y adaptar las estrategias de involucramiento."],
+  ]],
+];
+
+const PMBOK7_PRINCIPLES = [
+  ["Ser un administrador diligente, respetuoso y cuidadoso", "Actuar con integridad, cuidado y confiabilidad."],
+  ["Crear un ambiente colaborativo del equipo del proyecto", "Equipos que trabajan juntos con objetivos compartidos."],
+  ["Involucrarse eficazmente con los interesados", "Involucrar a los interesados de forma proactiva para generar valor."],
+  ["Enfocarse en el valor", "Evaluar continuamente la alineación con los resultados esperados."],
+  ["Reconocer, evaluar y responder a las interacciones del sistema", "Ver el proyecto como un sistema de componentes interdependientes."],
+  ["Demostrar comportamientos de liderazgo", "Adaptar el estilo de liderazgo a las personas y la situación."],
+  ["Adaptar en función del contexto", "Diseñar el enfoque de desarrollo según el contexto del proyecto."],
+  ["Incorporar la calidad en los procesos y los entregables", "Cumplir los criterios de aceptación de los entregables."],
+  ["Navegar en la complejidad", "Evaluar y navegar la complejidad para lograr los objetivos."],
+  ["Optimizar las respuestas a los riesgos", "Maximizar las oportunidades y minimizar las amenazas."],
+  ["Adoptar la adaptabilidad y la resiliencia", "Integrar la capacidad de adaptarse y recuperarse de contratiempos."],
+  ["Permitir el cambio para lograr el estado futuro previsto", "Preparar a los afectados para adoptar el cambio."],
+];
+
+const PMBOK7_DOMAINS = [
+  ["Interesados", "Actividades y funciones asociadas con los interesados."],
+  ["Equipo", "Personas responsables de producir los entregables del proyecto."],
+  ["Enfoque de Desarrollo y Ciclo de Vida", "Enfoque de desarrollo, cadencia y fases del ciclo de vida."],
+  ["Planificación", "Organización y coordinación necesarias para entregar los resultados."],
+  ["Trabajo del Proyecto", "Procesos, recursos físicos y entorno de aprendizaje del proyecto."],
+  ["Entrega", "Entrega del alcance y la calidad que el proyecto debe lograr."],
+  ["Medición", "Evaluación del desempeño y acciones para mantenerlo."],
+  ["Incertidumbre", "Riesgo, ambigüedad y complejidad del proyecto."],
+];
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: "pmbok6",
+    name: "PMBOK 6ª edición",
+    description: "10 áreas de conocimiento con sus procesos por grupo de procesos.",
+    sections: PMBOK6_KNOWLEDGE_AREAS.map(([title, description, processes]) => ({
       title,
-      description: desc,
-      type: "mermaid",
-      content,
-    };
-    finishSavingDiagram(diagram);
-  } else {
-    if (!diagramImage.files.length)
-      return alert("Selecciona una imagen");
+      description,
+      children: Object.entries(PMBOK6_PROCESS_GROUPS)
+        .map(([key, [group, groupDescription]]) => ({
+          title: group,
+          description: groupDescription,
+          children: processes
+            .filter(([g]) => g === key)
+            .map(([, process, processDescription]) => ({
+              title: process,
+              description: processDescription,
+            })),
+        }))
+        // areas don't have processes in every group
+        .filter((group) => group.children.length),
+    })),
+  },
+  {
+    id: "pmbok7",
+    name: "PMBOK 7ª edición",
+    description: "12 principios de la dirección de proyectos y 8 dominios de desempeño.",
+    sections: [
+      {
+        title: "Principios de la Dirección de Proyectos",
+        description: "Guías de comportamiento para la dirección de proyectos.",
+        children: PMBOK7_PRINCIPLES.map(([title, description], i) => ({
+          title: `${i + 1}. ${title}`,
+          description,
+        })),
+      },
+      {
+        title: "Dominios de Desempeño",
+        description: "Grupos de actividades relacionadas, críticas para lograr los resultados.",
+        children: PMBOK7_DOMAINS.map(([title, description], i) => ({
+          title: `${i + 1}. ${title}`,
+          description,
+        })),
+      },
+    ],
+  },
+  {
+    id: "empty",
+    name: "Proyecto vacío",
+    description: "Sin capítulos.",
+    sections: [],
+  },
+];
+
+function loadUserTemplates() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_TEMPLATES_KEY)) || [];
+  } catch (e) {
+    console.error(e);
+    return [];
+  }
+}
 
-    const file = diagramImage.files[0];
-    const reader = new FileReader();
+function saveUserTemplates(templates) {
+  localStorage.setItem(USER_TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+// Section tree for a new project; chapters start collapsed except the first
+function instantiateTemplate(template) {
+  const build = (node) => ({
+    ...createSection(node.title),
+    description: node.description || "",
+    children: (node.children || []).map(build),
+  });
+  const chapters = template.sections.map(build);
+  chapters.forEach((chapter, i) => (chapter.expanded = i === 0));
+  return chapters;
+}
+
+// Keeps the titles and descriptions of the section tree, not its content
+function saveProjectAsTemplate() {
+  const name = prompt("Nombre de la plantilla:", getActiveProject().name);
+  if (!name || !name.trim()) return;
+
+  const strip = (section) => ({
+    title: section.title,
+    description: section.description || "",
+    children: (section.children || []).map(strip),
+  });
+
+  const templates = loadUserTemplates();
+  templates.push({
+    id: generateId(),
+    name: name.trim(),
+    description: `Estructura de "${getActiveProject().name}".`,
+    createdAt: new Date().toISOString(),
+    sections: appState.chapters.map(strip),
+  });
+  saveUserTemplates(templates);
+  alert("Plantilla guardada");
+}
+
+// Asks for the new project's name and template.
+// Resolves with { name, template } or null (cancelled).
+function chooseProjectTemplate() {
+  return new Promise((resolve) => {
+    const render = () => {
+      const userTemplates = loadUserTemplates();
+      const option = (t, removable, checked) => `
+        <label class="template-option">
+          <input type="radio" name="projectTemplate" value="${escapeHtml(t.id)}" ${
+            checked ? "checked" : ""
+          } />
+          <span class="template-info">
+            <strong>${escapeHtml(t.name)}</strong>
+            <div class="meta">${escapeHtml(t.description)}</div>
+          </span>
+          ${
+            removable
+              ? `<button class="delete-template" data-id="${escapeHtml(t.id)}">Eliminar</button>`
+              : ""
+          }
+        </label>`;
 
-    reader.onload = function (e) {
-      const base64 = e.target.result; // data:*/*;base64,...
+      const name = document.getElementById("newProjectName");
+      modalContent.innerHTML = `
+        <h3>Nuevo proyecto</h3>
+        <label>Nombre:
+          <input id="newProjectName" value="${escapeHtml(
+            name ? name.value : `Proyecto ${projectRegistry.projects.length + 1}`
+          )}" />
+        </label>
+        <div class="template-list">
+          ${BUILT_IN_TEMPLATES.map((t, i) => option(t, false, i === 0)).join("")}
+          ${userTemplates.length ? "<h4>Mis plantillas</h4>" : ""}
+          ${userTemplates.map((t) => option(t, true, false)).join("")}
+        </div>
+        <div class="panel-actions">
+          <button id="createProjectOkBtn">Crear</button>
+          <button id="createProjectCancelBtn">Cancelar</button>
+        </div>
+      `;
 
-      const diagramId = editingDiagramId || generateId();
+      modalContent.querySelectorAll(".delete-template").forEach((btn) => {
+        btn.onclick = (e) => {
+          e.preventDefault();
+          if (!confirm("¿Eliminar la plantilla?")) return;
+          saveUserTemplates(loadUserTemplates().filter((t) => t.id !== btn.dataset.id));
+          render();
+        };
+      });
 
-      const diagram = {
-        id: diagramId,
-        title,
-        description: desc,
-        type: "image",
-        content: null, // we will load from DB
-        fileId: diagramId,
+      document.getElementById("createProjectOkBtn").onclick = () => {
+        const projectName = document.getElementById("newProjectName").value.trim();
+        if (!projectName) return alert("Ingresa un nombre");
+        const id = modalContent.querySelector("input[name=projectTemplate]:checked").value;
+        const template = [...BUILT_IN_TEMPLATES, ...loadUserTemplates()].find(
+          (t) => t.id === id
+        );
+        finish({ name: projectName, template });
       };
+      document.getElementById("createProjectCancelBtn").onclick = () => finish(null);
+    };
 
-      // Save file to IndexedDB, then finish saving diagram metadata
-      if (db) {
-        saveFileToDB(diagram.fileId, base64)
-          .then(() => {
-            finishSavingDiagram(diagram);
-          })
-          .catch((err) => {
-            console.error("Error guardando imagen en DB:", err);
-            alert("Error guardando la imagen en IndexedDB. Intentando guardar en memoria (limitado).");
-            // fallback: store in content (not ideal, but keeps behavior)
-            diagram.content = base64;
-            finishSavingDiagram(diagram);
-          });
-      } else {
-        // No DB available — fallback to storing in local JSON (may hit limits)
-        diagram.content = base64;
-        finishSavingDiagram(diagram);
-      }
+    const onClose = () => resolve(null);
+    modalClose.addEventListener("click", onClose, { once: true });
+
+    const finish = (value) => {
+      modalClose.removeEventListener("click", onClose);
+      closeModal();
+      resolve(value);
     };
 
-    reader.readAsDataURL(file);
+    render();
+    modal.classList.remove("hidden");
+    document.getElementById("newProjectName").select();
+  });
+}
+
+// ---------- Undo / redo ----------
+// Each entry holds the project as it was before an edit (JSON string) plus
+// the stored files that edit touched ({ id, data }, data null = absent), so
+// undoing a delete also puts the IndexedDB file back.
+const HISTORY_LIMIT = 50;
+const HISTORY_COALESCE_MS = 1500;
+const undoHistory = { undo: [], redo: [] };
+
+// Call right before mutating appState. Consecutive edits with the same
+// coalesceKey (e.g. typing in a title) collapse into a single entry.
+function recordHistory(label, { files = [], coalesceKey = null } = {}) {
+  const top = undoHistory.undo[undoHistory.undo.length - 1];
+  const now = Date.now();
+
+  if (
+    coalesceKey &&
+    top &&
+    top.coalesceKey === coalesceKey &&
+    now - top.time < HISTORY_COALESCE_MS &&
+    !undoHistory.redo.length
+  ) {
+    top.time = now;
+    return;
   }
+
+  undoHistory.undo.push({
+    label,
+    state: JSON.stringify(appState),
+    files: [...files],
+    coalesceKey,
+    time: now,
+  });
+  if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+  undoHistory.redo = [];
+  updateHistoryButtons();
 }
 
-function finishSavingDiagram(diagram) {
-  diagram.id = diagram.id || generateId();
+// Reads the current content of stored files so an entry can restore them
+async function snapshotFiles(ids) {
+  const files = [];
+  for (const id of ids) {
+    let data = null;
+    if (db) {
+      try {
+        data = await loadFileFromDB(id);
+      } catch (err) {
+        console.warn("No se pudo leer el archivo para el historial:", err);
+      }
+    }
+    files.push({ id, data });
+  }
+  return files;
+}
 
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
+// Deletes a stored file, keeping a copy in the latest history entry first
+async function deleteStoredFile(fileId) {
+  if (!fileId || !db) return;
 
-    if (!sub.diagrams) sub.diagrams = [];
+  const entry = undoHistory.undo[undoHistory.undo.length - 1];
+  if (entry && !entry.files.some((f) => f.id === fileId)) {
+    const [file] = await snapshotFiles([fileId]);
+    entry.files.push(file);
+  }
 
-    if (editingDiagramId) {
-      const idx = sub.diagrams.findIndex((d) => d.id === diagram.id);
-      if (idx >= 0) sub.diagrams[idx] = diagram;
-    } else {
-      sub.diagrams.push(diagram);
-    }
-  } else {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
+  try {
+    await deleteFileFromDB(fileId);
+  } catch (err) {
+    console.warn("No se pudo eliminar archivo en DB:", err);
+  }
+  dropDocumentTextIndex(fileId);
+}
 
-    if (!ch.diagrams) ch.diagrams = [];
+// Restores entry and pushes the current state onto the opposite stack
+async function applyHistoryEntry(entry, oppositeStack) {
+  const current = {
+    label: entry.label,
+    state: JSON.stringify(appState),
+    files: await snapshotFiles(entry.files.map((f) => f.id)),
+    coalesceKey: null,
+    time: Date.now(),
+  };
 
-    if (editingDiagramId) {
-      const idx = ch.diagrams.findIndex((d) => d.id === diagram.id);
-      if (idx >= 0) ch.diagrams[idx] = diagram;
-    } else {
-      ch.diagrams.push(diagram);
+  for (const f of entry.files) {
+    if (!db) break;
+    try {
+      if (f.data) await saveFileToDB(f.id, f.data);
+      else await deleteFileFromDB(f.id);
+    } catch (err) {
+      console.error("Error restaurando archivo del historial:", err);
     }
+    dropDocumentTextIndex(f.id);
   }
 
+  appState = JSON.parse(entry.state);
+  oppositeStack.push(current);
+
+  editingDiagramId = null;
+  editingDocId = null;
   diagramEditor.classList.add("hidden");
-  renderCurrentDiagrams();
+  documentEditor.classList.add("hidden");
+
   saveAppState();
+  renderChapters();
+  if (appState.currentSection && findSection(appState.currentSection)) {
+    selectSection(appState.currentSection);
+  } else {
+    appState.currentSection = null;
+    editorTitle.textContent = "Editor PMBOK";
+    renderCurrentDiagrams();
+    renderCurrentDocuments();
+    renderCurrentRegisters();
+    renderReferencesPanel();
+  }
+  // registers are edited in place: keep the open one, now showing the restored rows
+  if (editingRegisterId) renderRegisterEditor();
+
+  updateHistoryButtons();
+  indexPendingDocuments();
 }
 
-function renderCurrentDiagrams() {
-  let diagrams = [];
+async function undo() {
+  const entry = undoHistory.undo.pop();
+  if (entry) await applyHistoryEntry(entry, undoHistory.redo);
+}
 
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
+async function redo() {
+  const entry = undoHistory.redo.pop();
+  if (entry) await applyHistoryEntry(entry, undoHistory.undo);
+}
 
-    diagrams = sub?.diagrams || [];
-  } else if (appState.currentChapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    diagrams = ch?.diagrams || [];
-  }
+function updateHistoryButtons() {
+  const nextUndo = undoHistory.undo[undoHistory.undo.length - 1];
+  const nextRedo = undoHistory.redo[undoHistory.redo.length - 1];
 
-  renderDiagrams(diagrams);
+  undoBtn.disabled = !nextUndo;
+  redoBtn.disabled = !nextRedo;
+  undoBtn.title = nextUndo ? `Deshacer: ${nextUndo.label} (Ctrl+Z)` : "Deshacer (Ctrl+Z)";
+  redoBtn.title = nextRedo
+    ? `Rehacer: ${nextRedo.label} (Ctrl+Shift+Z)`
+    : "Rehacer (Ctrl+Shift+Z)";
 }
 
-function renderDiagrams(diagrams) {
-  if (!diagrams || diagrams.length === 0) {
-    diagramsList.innerHTML = `<div class="card">No hay diagramas</div>`;
-    return;
+// ---------- Section tree ----------
+function createSection(title) {
+  return {
+    id: generateId(),
+    title,
+    description: "",
+    expanded: true,
+    children: [],
+    diagrams: [],
+    documents: [],
+    registers: [],
+  };
+}
+
+// Depth-first walk; fn(section, ancestors) gets the ancestors from the root down
+function walkSections(sections, fn, ancestors = []) {
+  sections.forEach((section) => {
+    fn(section, ancestors);
+    walkSections(section.children || [], fn, [...ancestors, section]);
+  });
+}
+
+// Returns { section, siblings, ancestors } for the section with that id, or null
+function findSectionEntry(id, sections = appState.chapters, ancestors = []) {
+  for (const section of sections) {
+    if (section.id === id) return { section, siblings: sections, ancestors };
+
+    const found = findSectionEntry(id, section.children || [], [
+      ...ancestors,
+      section,
+    ]);
+    if (found) return found;
   }
+  return null;
+}
 
-  diagramsList.innerHTML = "";
+function findSection(id) {
+  const entry = findSectionEntry(id);
+  return entry ? entry.section : null;
+}
 
-  diagrams.forEach((d) => {
-    const el = document.createElement("div");
-    el.className = "card";
+// Returns the section being edited, or null if none is selected
+function getCurrentSection() {
+  return appState.currentSection ? findSection(appState.currentSection) : null;
+}
 
-    el.innerHTML = `
-      <div class="title">${d.title}</div>
-      <div class="meta">${d.description || ""}</div>
-    `;
+function sectionPath(section, ancestors) {
+  return [...ancestors, section].map((s) => s.title).join(" › ");
+}
 
-    if (d.type === "mermaid") {
-      const cont = document.createElement("div");
-      cont.className = "mermaid";
-      cont.textContent = d.content;
-      el.appendChild(cont);
-
-      setTimeout(() => {
-        try {
-          mermaid.init(undefined, el.querySelectorAll(".mermaid"));
-        } catch (e) {}
-      }, 10);
-    } else {
-      const img = document.createElement("img");
-      img.style.maxWidth = "100%";
-      img.alt = d.title;
+// ---------- Chapters ----------
+function renderChapters() {
+  chaptersList.innerHTML = "";
 
-      // If the diagram has a fileId, load from IndexedDB asynchronously.
-      if (d.fileId && db) {
-        loadFileFromDB(d.fileId)
-          .then((dataUrl) => {
-            if (dataUrl) img.src = dataUrl;
-            else if (d.content) img.src = d.content; // fallback
-            else img.alt = "Imagen no disponible";
-          })
-          .catch((err) => {
-            console.error("Error cargando imagen desde DB:", err);
-            if (d.content) img.src = d.content;
-            else img.alt = "Imagen no disponible";
-          });
-      } else if (d.content) {
-        // backward compatibility when file stored inline
-        img.src = d.content;
-      } else {
-        img.alt = "Imagen no disponible";
-      }
+  appState.chapters.forEach((section) => {
+    chaptersList.appendChild(renderSectionNode(section, 0));
+  });
+}
 
-      el.appendChild(img);
+function renderSectionNode(section, depth) {
+  const children = section.children || [];
+
+  const li = document.createElement("li");
+  li.className =
+    "section-item" +
+    (depth === 0 ? " chapter-item" : "") +
+    (section.expanded ? " expanded" : "");
+
+  li.innerHTML = `
+    <div class="${depth === 0 ? "chapter-header" : "section-header"} ${
+      appState.currentSection === section.id ? "active" : ""
+    }" data-id="${escapeHtml(section.id)}">
+      <button class="toggle" title="Expandir/contraer" ${
+        children.length ? "" : "disabled"
+      }>${children.length ? (section.expanded ? "▾" : "▸") : "•"}</button>
+      <span class="section-title">${escapeHtml(section.title)}</span>
+      <div class="section-actions">
+        <button class="add-child" title="Agregar subsección">+</button>
+        <button class="delete" title="Eliminar">×</button>
+      </div>
+    </div>
+    <ul class="section-children"></ul>
+  `;
+
+  const header = li.firstElementChild;
+  header.tabIndex = 0;
+
+  header.addEventListener("click", () => selectSection(section.id));
+
+  header.addEventListener("keydown", (e) => {
+    if (e.target !== header) return;
+    if (e.key === "Enter") {
+      selectSection(section.id);
+    } else if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      e.preventDefault();
+      moveSectionBy(section.id, e.key === "ArrowUp" ? -1 : 1);
+      focusSectionHeader(section.id);
     }
+  });
 
-    const actions = document.createElement("div");
-    actions.style.display = "flex";
-    actions.style.gap = "8px";
+  attachSectionDragHandlers(header, section);
 
-    const btnView = document.createElement("button");
-    btnView.textContent = "Abrir";
-    btnView.onclick = () => openModalForDiagram(d);
+  header.querySelector(".toggle").addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleSectionExpansion(section.id);
+  });
 
-    const btnDel = document.createElement("button");
-    btnDel.textContent = "Eliminar";
-    btnDel.onclick = () => {
-      if (confirm("¿Eliminar diagrama?")) deleteDiagramById(d.id);
-    };
+  header.querySelector(".add-child").addEventListener("click", (e) => {
+    e.stopPropagation();
+    addNewSubsection(section.id);
+  });
 
-    actions.appendChild(btnView);
-    actions.appendChild(btnDel);
-    el.appendChild(actions);
+  header.querySelector(".delete").addEventListener("click", (e) => {
+    e.stopPropagation();
+    const question =
+      depth === 0
+        ? "¿Eliminar capítulo?"
+        : "¿Eliminar sección y todas sus subsecciones?";
+    const subtree = [...buildReferenceTargets([section]).keys()];
+    if (confirm(question + incomingReferencesWarning(subtree))) deleteSection(section.id);
+  });
+
+  const childList = li.querySelector(".section-children");
+  children.forEach((child) => {
+    childList.appendChild(renderSectionNode(child, depth + 1));
+  });
+
+  return li;
+}
+
+function addNewChapter() {
+  const newC = createSection("Nuevo Capítulo");
+
+  recordHistory("Agregar capítulo");
+  appState.chapters.push(newC);
+  selectSection(newC.id);
+  saveAppState();
+}
+
+function addNewSubsection(parentId = appState.currentSection) {
+  const parent = parentId && findSection(parentId);
+  if (!parent) return alert("Selecciona un capítulo o sección primero");
+
+  const child = createSection("Nueva Sección");
+
+  recordHistory("Agregar sección");
+  parent.children.push(child);
+  parent.expanded = true;
+  saveAppState();
+  selectSection(child.id);
+}
+
+function toggleSectionExpansion(id) {
+  const section = findSection(id);
+  if (!section) return;
+  section.expanded = !section.expanded;
+  renderChapters();
+  saveAppState();
+}
+
+// Removes a section with all its descendants. If the selection was inside it,
+// the parent (or the first chapter) becomes the current section.
+function deleteSection(id) {
+  const entry = findSectionEntry(id);
+  if (!entry) return;
+
+  recordHistory("Eliminar sección");
+  entry.siblings.splice(entry.siblings.indexOf(entry.section), 1);
+
+  // files of the whole subtree go too (copies stay in the undo history)
+  forEachAttachment([entry.section], (item) => {
+    if (item.fileId) deleteStoredFile(item.fileId);
+  });
+  forEachDocumentVersion([entry.section], (v) => {
+    if (v.fileId) deleteStoredFile(v.fileId);
+  });
+  // a pasted image may have been copied into another description
+  const stillUsed = collectReferencedFileIds(appState.chapters);
+  forEachDescriptionFile([entry.section], (fileId) => {
+    if (!stillUsed.has(fileId)) deleteStoredFile(fileId);
+  });
+  dropDanglingReferences(appState.chapters);
+
+  if (appState.currentSection && !findSection(appState.currentSection)) {
+    const next =
+      entry.ancestors[entry.ancestors.length - 1] || appState.chapters[0];
+
+    if (next) selectSection(next.id);
+    else clearSectionSelection();
+  }
+
+  renderChapters();
+  saveAppState();
+}
+
+// Used when the project has no sections left to select
+function clearSectionSelection() {
+  appState.currentSection = null;
+  resetListViews();
+  editorTitle.textContent = "Editor PMBOK";
+  chapterEditor.classList.add("hidden");
+  renderCurrentDiagrams();
+  renderCurrentDocuments();
+  renderCurrentRegisters();
+  renderReferencesPanel();
+}
+
+function selectSection(id) {
+  const entry = findSectionEntry(id);
+  if (!entry) return;
+
+  const { section, ancestors } = entry;
+  if (appState.currentSection !== id) {
+    resetListViews();
+    // the open editors belong to the previous section
+    editingDiagramId = null;
+    editingDocId = null;
+    diagramEditor.classList.add("hidden");
+    documentEditor.classList.add("hidden");
+    closeRegisterEditor();
+  }
+  appState.currentSection = id;
+
+  // keep the selected node visible in the tree
+  ancestors.forEach((a) => (a.expanded = true));
+
+  editorTitle.textContent = "Editor: " + sectionPath(section, ancestors);
+  editorSectionTitle.textContent = ancestors.length
+    ? "Editar Sección"
+    : "Editar Capítulo";
+
+  chapterTitle.value = section.title;
+  chapterDescription.value = section.description || "";
+  renderDescriptionPreview();
+  fillMetadataFields(chapterMetadata, section);
+
+  chapterEditor.classList.remove("hidden");
+
+  renderCurrentDiagrams();
+  renderCurrentDocuments();
+  renderCurrentRegisters();
+  renderReferencesPanel();
+  renderChapters();
+}
+
+function saveCurrentChapter() {
+  const section = getCurrentSection();
+
+  if (section) {
+    recordHistory("Editar sección", { coalesceKey: "section:" + section.id });
+    section.title = chapterTitle.value;
+    section.description = chapterDescription.value;
+    Object.assign(section, readMetadataFields(chapterMetadata));
+  }
+
+  renderChapters();
+  saveAppState();
+}
+
+// ---------- Markdown descriptions ----------
+// Section descriptions are Markdown source; the preview renders it with marked
+// and cleans the HTML with DOMPurify. Images pasted into a description are
+// stored in IndexedDB and referenced from the source as pmbok-file:<fileId>.
+
+const DESCRIPTION_FILE_SCHEME = "pmbok-file:";
+const DESCRIPTION_FILE_REF = /pmbok-file:([\w-]+)/g;
+
+// DOMPurify's default URI check plus our file and reference schemes
+const MARKDOWN_URI_PATTERN =
+  /^(?:(?:https?|mailto|tel|pmbok-file|pmbok-ref):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i;
+
+let descriptionPreviewTimer = null;
+
+function descriptionFileIds(text) {
+  return [...String(text || "").matchAll(DESCRIPTION_FILE_REF)].map((m) => m[1]);
+}
+
+// fn(fileId, section) for every image referenced from a description
+function forEachDescriptionFile(sections, fn) {
+  walkSections(sections, (section) =>
+    descriptionFileIds(section.description).forEach((fileId) => fn(fileId, section))
+  );
+}
+
+function replaceDescriptionFileRefs(text, fn) {
+  return String(text || "").replace(DESCRIPTION_FILE_REF, (_, fileId) => fn(fileId));
+}
+
+// Markdown to sanitized HTML. Mermaid blocks stay <code class="language-mermaid">
+// and pasted images keep their pmbok-file: src; callers resolve both.
+function markdownToSafeHtml(text) {
+  if (!text) return "";
+  if (!window.marked || !window.DOMPurify)
+    return `<p>${escapeHtml(text).replace(/\r?\n/g, "<br>")}</p>`;
+
+  const html = marked.parse(text, { gfm: true, breaks: true });
+  return DOMPurify.sanitize(html, { ALLOWED_URI_REGEXP: MARKDOWN_URI_PATTERN });
+}
+
+function renderDescriptionPreview() {
+  descriptionPreview.innerHTML = markdownToSafeHtml(chapterDescription.value);
+
+  descriptionPreview.querySelectorAll("code.language-mermaid").forEach((code) =>
+    code.closest("pre").replaceWith(createMermaidElement(code.textContent))
+  );
+  renderMermaidIn(descriptionPreview);
+
+  // links would replace the editor page; references are followed in place
+  descriptionPreview.querySelectorAll("a[href]").forEach((a) => {
+    if (parseReferenceHref(a.getAttribute("href"))) return;
+    a.target = "_blank";
+    a.rel = "noopener";
+  });
+  flagBrokenReferences(descriptionPreview);
+
+  descriptionPreview.querySelectorAll("img").forEach((img) => {
+    const src = img.getAttribute("src") || "";
+    if (!src.startsWith(DESCRIPTION_FILE_SCHEME)) return;
+    img.removeAttribute("src");
+    loadFileFromDB(src.slice(DESCRIPTION_FILE_SCHEME.length))
+      .then((record) => {
+        if (record) showBlobImage(img, record.blob);
+        else img.alt = `${img.alt} (imagen no disponible)`;
+      })
+      .catch((err) => console.error("Error cargando imagen de la descripción:", err));
+  });
+}
+
+function scheduleDescriptionPreview() {
+  clearTimeout(descriptionPreviewTimer);
+  descriptionPreviewTimer = setTimeout(renderDescriptionPreview, 250);
+}
+
+// Replaces the selection and lets the input listeners save it
+function replaceDescriptionSelection(text, selectStart, selectEnd) {
+  const start = chapterDescription.selectionStart;
+  const end = chapterDescription.selectionEnd;
+  chapterDescription.setRangeText(text, start, end, "end");
+  if (selectStart !== undefined)
+    chapterDescription.setSelectionRange(start + selectStart, start + selectEnd);
+  chapterDescription.focus();
+  chapterDescription.dispatchEvent(new Event("input"));
+}
+
+function wrapDescriptionSelection(before, after, placeholder) {
+  const { selectionStart, selectionEnd, value } = chapterDescription;
+  const selected = value.slice(selectionStart, selectionEnd) || placeholder;
+  replaceDescriptionSelection(
+    before + selected + after,
+    before.length,
+    before.length + selected.length
+  );
+}
+
+// prefix(i) is added to every line touched by the selection
+function prefixDescriptionLines(prefix) {
+  const { value } = chapterDescription;
+  const start = chapterDescription.selectionStart
+    ? value.lastIndexOf("\n", chapterDescription.selectionStart - 1) + 1
+    : 0;
+  let end = value.indexOf("\n", chapterDescription.selectionEnd);
+  if (end === -1) end = value.length;
+
+  chapterDescription.setSelectionRange(start, end);
+  const lines = value.slice(start, end).split("\n");
+  replaceDescriptionSelection(lines.map((line, i) => prefix(i) + line).join("\n"));
+}
+
+// Blocks (tables, Mermaid) go on their own lines
+function insertDescriptionBlock(block) {
+  const { selectionStart, value } = chapterDescription;
+  const before = value.slice(0, selectionStart);
+  const lead = !before || before.endsWith("\n\n") ? "" : before.endsWith("\n") ? "\n" : "\n\n";
+  replaceDescriptionSelection(lead + block + "\n");
+}
+
+const DESCRIPTION_TOOLBAR_ACTIONS = {
+  heading: () => prefixDescriptionLines(() => "## "),
+  bold: () => wrapDescriptionSelection("**", "**", "texto"),
+  italic: () => wrapDescriptionSelection("_", "_", "texto"),
+  ul: () => prefixDescriptionLines(() => "- "),
+  ol: () => prefixDescriptionLines((i) => `${i + 1}. `),
+  link: () => wrapDescriptionSelection("[", "](https://)", "enlace"),
+  table: () =>
+    insertDescriptionBlock("| Columna 1 | Columna 2 |\n| --- | --- |\n| | |"),
+  mermaid: () => insertDescriptionBlock("```mermaid\ngraph LR\n  A --> B\n```"),
+  image: () => descriptionImageFile.click(),
+  reference: () => insertDescriptionReference(),
+};
+
+function handleDescriptionShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+  const action = { b: "bold", i: "italic" }[e.key.toLowerCase()];
+  if (!action) return;
+  e.preventDefault();
+  DESCRIPTION_TOOLBAR_ACTIONS[action]();
+}
+
+// Stores an image in IndexedDB and inserts its reference at the cursor
+async function insertDescriptionImage(file) {
+  if (!getCurrentSection()) return;
+  if (!db) return alert("No se pueden guardar imágenes: IndexedDB no está disponible.");
+
+  const fileId = generateId();
+  const name = file.name || `imagen.${imageExtension(file)}`;
+  try {
+    await saveFileToDB(fileId, file, { name });
+  } catch (err) {
+    console.error("Error guardando imagen de la descripción:", err);
+    return alert("No se pudo guardar la imagen.");
+  }
+
+  const alt = name.replace(/\.[^.]+$/, "").replace(/[\[\]]/g, "");
+  replaceDescriptionSelection(`![${alt}](${DESCRIPTION_FILE_SCHEME}${fileId})`);
+  renderDescriptionPreview();
+}
+
+function pastedImageFiles(dataTransfer) {
+  return [...(dataTransfer?.files || [])].filter((f) => f.type.startsWith("image/"));
+}
+
+async function handleDescriptionPaste(e) {
+  const images = pastedImageFiles(e.clipboardData || e.dataTransfer);
+  if (!images.length) return;
+  e.preventDefault();
+  for (const image of images) await insertDescriptionImage(image);
+}
+
+// Copies every image a description refers to into the zip under dir and
+// returns the text with relative links to them
+async function exportDescriptionFiles(text, zip, dir, missing, where) {
+  const paths = new Map();
+  for (const fileId of new Set(descriptionFileIds(text))) {
+    let record = null;
+    try {
+      record = db ? await loadFileFromDB(fileId) : null;
+    } catch (err) {
+      console.error("Error leyendo imagen de la descripción:", err);
+    }
+    if (!record) {
+      missing.push(`${where} (imagen de la descripción)`);
+      continue;
+    }
+    const path =
+      dir + attachmentFileName({ fileId }, record.name || `imagen.${imageExtension(record.blob)}`);
+    zip.file(path, await record.blob.arrayBuffer());
+    paths.set(fileId, path);
+  }
+  return replaceDescriptionFileRefs(text, (fileId) =>
+    paths.has(fileId) ? paths.get(fileId) : DESCRIPTION_FILE_SCHEME + fileId
+  );
+}
+
+// ---------- Metadata (tags, status, owner) ----------
+// Sections, diagrams and documents share three optional fields:
+// tags (array of strings), status (an ITEM_STATUSES id) and owner.
+// Items without a status count as drafts.
+
+const ITEM_STATUSES = [
+  { id: "draft", label: "Borrador" },
+  { id: "review", label: "En revisión" },
+  { id: "approved", label: "Aprobado" },
+];
+
+const LIST_SORTS = {
+  diagrams: [
+    { id: "manual", label: "Orden manual" },
+    { id: "title", label: "Título" },
+    { id: "status", label: "Estado" },
+    { id: "owner", label: "Responsable" },
+  ],
+  documents: [
+    { id: "manual", label: "Orden manual" },
+    { id: "title", label: "Título" },
+    { id: "date", label: "Fecha (recientes primero)" },
+    { id: "status", label: "Estado" },
+    { id: "owner", label: "Responsable" },
+  ],
+};
+
+// Filter and sort of each card list; reset when another section is selected
+const listViews = { diagrams: createListView(), documents: createListView() };
+
+function createListView() {
+  return { tag: "", status: "", owner: "", sort: "manual" };
+}
+
+function resetListViews() {
+  listViews.diagrams = createListView();
+  listViews.documents = createListView();
+}
+
+function isDefaultListView(listKey) {
+  const view = listViews[listKey];
+  return !view.tag && !view.status && !view.owner && view.sort === "manual";
+}
+
+function itemStatus(item) {
+  return ITEM_STATUSES.some((s) => s.id === item.status) ? item.status : "draft";
+}
+
+function statusLabel(status) {
+  return (ITEM_STATUSES.find((s) => s.id === status) || ITEM_STATUSES[0]).label;
+}
+
+// "a, b ,A" -> ["a", "b"]: trimmed, no empties, no case-insensitive repeats
+function parseTags(text) {
+  const tags = [];
+  String(text || "")
+    .split(",")
+    .map((t) => t.trim())
+    .forEach((tag) => {
+      if (tag && !tags.some((t) => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    });
+  return tags;
+}
+
+// Only the fields that differ from the defaults, for export markers
+function exportedMetadata(item) {
+  const meta = {};
+  if ((item.tags || []).length) meta.tags = item.tags;
+  if (itemStatus(item) !== "draft") meta.status = item.status;
+  if (item.owner) meta.owner = item.owner;
+  return meta;
+}
+
+function fillStatusSelect(select, { includeAll = false } = {}) {
+  select.innerHTML =
+    (includeAll ? `<option value="">Todos los estados</option>` : "") +
+    ITEM_STATUSES.map(
+      (s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label)}</option>`
+    ).join("");
+}
+
+function fillMetadataFields(fields, item) {
+  fields.tags.value = (item?.tags || []).join(", ");
+  fields.status.value = itemStatus(item || {});
+  fields.owner.value = item?.owner || "";
+  renderOwnerSuggestions();
+}
+
+function readMetadataFields(fields) {
+  return {
+    tags: parseTags(fields.tags.value),
+    status: fields.status.value,
+    owner: fields.owner.value.trim(),
+  };
+}
+
+// Owners already used in the project, offered while typing a new one
+function renderOwnerSuggestions() {
+  ownerSuggestions.innerHTML = collectProjectOwners()
+    .map((owner) => `<option value="${escapeHtml(owner)}"></option>`)
+    .join("");
+}
+
+function collectProjectOwners() {
+  const owners = new Set();
+  walkSections(appState.chapters, (section) => {
+    [section, ...(section.diagrams || []), ...(section.documents || [])].forEach((item) => {
+      if (item.owner) owners.add(item.owner);
+    });
+  });
+  return [...owners].sort((a, b) => a.localeCompare(b));
+}
+
+// Status badge, tag chips and owner, as shown on cards and in the overview
+function metadataBadgesHtml(item) {
+  const status = itemStatus(item);
+  const tags = (item.tags || [])
+    .map((tag) => `<span class="tag-chip">${escapeHtml(tag)}</span>`)
+    .join("");
+  const owner = item.owner
+    ? `<span class="owner">Responsable: ${escapeHtml(item.owner)}</span>`
+    : "";
+  return `<div class="item-metadata"><span class="status-badge status-${status}">${escapeHtml(
+    statusLabel(status)
+  )}</span>${tags}${owner}</div>`;
+}
+
+// The items of a card list that pass its filters, in the chosen order,
+// each with its index in the unfiltered list
+function applyListView(listKey, items) {
+  const view = listViews[listKey];
+  const rows = items
+    .map((item, index) => ({ item, index }))
+    .filter(
+      ({ item }) =>
+        (!view.tag || (item.tags || []).includes(view.tag)) &&
+        (!view.status || itemStatus(item) === view.status) &&
+        (!view.owner || (item.owner || "") === view.owner)
+    );
+
+  const statusOrder = (item) => ITEM_STATUSES.findIndex((s) => s.id === itemStatus(item));
+  const compare = {
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { numeric: true }),
+    date: (a, b) => (b.date || "").localeCompare(a.date || ""),
+    status: (a, b) => statusOrder(a) - statusOrder(b),
+    // items without an owner go last
+    owner: (a, b) =>
+      (a.owner ? 0 : 1) - (b.owner ? 0 : 1) || (a.owner || "").localeCompare(b.owner || ""),
+  }[view.sort];
+
+  if (compare) rows.sort((a, b) => compare(a.item, b.item) || a.index - b.index);
+  return rows;
+}
+
+// Filter and sort controls above a card list, built from the items it holds
+function renderListFilters(listKey, items, container) {
+  const view = listViews[listKey];
+  container.innerHTML = "";
+  if (!items.length && isDefaultListView(listKey)) return;
+
+  const tags = new Set();
+  const owners = new Set();
+  items.forEach((item) => {
+    (item.tags || []).forEach((tag) => tags.add(tag));
+    if (item.owner) owners.add(item.owner);
+  });
+  // a chosen value stays selectable even if no item has it any more
+  if (view.tag) tags.add(view.tag);
+  if (view.owner) owners.add(view.owner);
+
+  const select = (label, key, options) => {
+    const el = document.createElement("select");
+    el.title = label;
+    el.innerHTML = options
+      .map((o) => `<option value="${escapeHtml(o.id)}">${escapeHtml(o.label)}</option>`)
+      .join("");
+    el.value = view[key];
+    el.addEventListener("change", () => {
+      view[key] = el.value;
+      rerenderList(listKey);
+    });
+    container.appendChild(el);
+  };
+
+  const sorted = (values) => [...values].sort((a, b) => a.localeCompare(b));
+  select("Etiqueta", "tag", [
+    { id: "", label: "Todas las etiquetas" },
+    ...sorted(tags).map((t) => ({ id: t, label: t })),
+  ]);
+  select("Estado", "status", [{ id: "", label: "Todos los estados" }, ...ITEM_STATUSES]);
+  select("Responsable", "owner", [
+    { id: "", label: "Todos los responsables" },
+    ...sorted(owners).map((o) => ({ id: o, label: o })),
+  ]);
+  select("Ordenar por", "sort", LIST_SORTS[listKey]);
+
+  if (!isDefaultListView(listKey)) {
+    const clear = document.createElement("button");
+    clear.textContent = "Quitar filtros";
+    clear.onclick = () => {
+      listViews[listKey] = createListView();
+      rerenderList(listKey);
+    };
+    container.appendChild(clear);
+  }
+}
+
+function rerenderList(listKey) {
+  if (listKey === "diagrams") renderCurrentDiagrams();
+  else renderCurrentDocuments();
+}
+
+// Every section, diagram and document of the project as { kind, item, path, open }
+function collectProjectItems() {
+  const items = [];
+  walkSections(appState.chapters, (section, ancestors) => {
+    const path = sectionPath(section, ancestors);
+    const goToSection = () => selectSection(section.id);
+
+    items.push({
+      kind: ancestors.length ? "Sección" : "Capítulo",
+      item: section,
+      path,
+      open: goToSection,
+    });
+    (section.diagrams || []).forEach((d) =>
+      items.push({
+        kind: "Diagrama",
+        item: d,
+        path: `${path} › ${d.title}`,
+        open: () => {
+          goToSection();
+          openModalForDiagram(d);
+        },
+      })
+    );
+    (section.documents || []).forEach((d) =>
+      items.push({
+        kind: "Documento",
+        item: d,
+        path: `${path} › ${d.title}`,
+        open: () => {
+          goToSection();
+          openDocument(d);
+        },
+      })
+    );
+  });
+  return items;
+}
+
+// Project-wide list of the items with a given tag and/or status
+function showMetadataOverview(initial = {}) {
+  const entries = collectProjectItems();
+  const tagCounts = new Map();
+  entries.forEach(({ item }) =>
+    (item.tags || []).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1))
+  );
+
+  modalContent.innerHTML = `
+    <div class="metadata-overview">
+      <h3>Etiquetas y estados</h3>
+      <div class="list-filters">
+        <select id="overviewTag">
+          <option value="">Todas las etiquetas</option>
+          ${[...tagCounts]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(
+              ([tag, count]) =>
+                `<option value="${escapeHtml(tag)}">${escapeHtml(tag)} (${count})</option>`
+            )
+            .join("")}
+        </select>
+        <select id="overviewStatus"></select>
+      </div>
+      <div id="overviewResults" class="overview-results"></div>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const tagSelect = document.getElementById("overviewTag");
+  const statusSelect = document.getElementById("overviewStatus");
+  const results = document.getElementById("overviewResults");
+  fillStatusSelect(statusSelect, { includeAll: true });
+  tagSelect.value = tagCounts.has(initial.tag) ? initial.tag : "";
+  statusSelect.value = initial.status || "";
+
+  const render = () => {
+    const tag = tagSelect.value;
+    const status = statusSelect.value;
+    const matches = entries.filter(
+      ({ item }) =>
+        (!tag || (item.tags || []).includes(tag)) && (!status || itemStatus(item) === status)
+    );
+
+    results.innerHTML = matches.length ? "" : `<p class="meta">Ningún elemento coincide.</p>`;
+    matches.forEach((entry) => {
+      const row = document.createElement("button");
+      row.className = "overview-result";
+      row.innerHTML = `
+        <span class="overview-kind">${escapeHtml(entry.kind)}</span>
+        <span class="overview-path">${escapeHtml(entry.path)}</span>
+        ${metadataBadgesHtml(entry.item)}
+      `;
+      row.onclick = () => {
+        closeModal();
+        entry.open();
+      };
+      results.appendChild(row);
+    });
+  };
+
+  tagSelect.addEventListener("change", render);
+  statusSelect.addEventListener("change", render);
+  render();
+}
+
+// ---------- Cross-references ----------
+// Sections, diagrams and documents can point at each other with typed links:
+// - attached to the item: item.links = [{ id, type, targetId }]
+// - in a section description: [text](pmbok-ref:<type>/<targetId>)
+// - from a Mermaid node: click A href "pmbok-ref:<type>/<targetId>"
+// Ids are unique in a project, so the targetId alone finds the target.
+
+const REFERENCE_SCHEME = "pmbok-ref:";
+const REFERENCE_HREF = /^pmbok-ref:(?:([a-z-]+)\/)?([\w-]+)$/;
+const REFERENCE_IN_TEXT = /pmbok-ref:(?:([a-z-]+)\/)?([\w-]+)/g;
+// Markdown links and Mermaid click lines holding a reference, for rewriting
+const MARKDOWN_REFERENCE_LINK = /\[((?:\\.|[^\]])*)\]\(pmbok-ref:(?:[a-z-]+\/)?([\w-]+)\)/g;
+const MERMAID_REFERENCE_LINE = /^\s*click\s+\S+\s+(?:href\s+)?"pmbok-ref:(?:[a-z-]+\/)?([\w-]+)".*$/;
+
+// label reads "A <label> B"; inverse is how B lists A in its backlinks
+const REFERENCE_TYPES = [
+  { id: "see-also", label: "Ver también", inverse: "Ver también" },
+  { id: "input-of", label: "Entrada de", inverse: "Tiene como entrada" },
+  { id: "output-of", label: "Salida de", inverse: "Produce" },
+  { id: "depends-on", label: "Depende de", inverse: "Necesario para" },
+  { id: "part-of", label: "Parte de", inverse: "Incluye" },
+];
+
+function referenceType(id) {
+  return REFERENCE_TYPES.find((t) => t.id === id) || REFERENCE_TYPES[0];
+}
+
+function referenceHref(type, targetId) {
+  return `${REFERENCE_SCHEME}${type}/${targetId}`;
+}
+
+function parseReferenceHref(href) {
+  const match = String(href || "").match(REFERENCE_HREF);
+  return match ? { type: referenceType(match[1]).id, targetId: match[2] } : null;
+}
+
+// id -> { kind, item, section, path } for every section, diagram and document
+function buildReferenceTargets(chapters) {
+  const targets = new Map();
+  walkSections(chapters, (section, ancestors) => {
+    const path = sectionPath(section, ancestors);
+    targets.set(section.id, { kind: "section", item: section, section, path });
+    (section.diagrams || []).forEach((d) =>
+      targets.set(d.id, { kind: "diagram", item: d, section, path: `${path} › ${d.title}` })
+    );
+    (section.documents || []).forEach((d) =>
+      targets.set(d.id, { kind: "document", item: d, section, path: `${path} › ${d.title}` })
+    );
+  });
+  return targets;
+}
+
+// Every reference in the project as { sourceId, type, targetId, origin }
+// (origin: "link", "description" or "diagram")
+function collectReferences(chapters) {
+  const refs = [];
+  const fromText = (sourceId, text, origin) => {
+    for (const match of String(text || "").matchAll(REFERENCE_IN_TEXT))
+      refs.push({ sourceId, type: referenceType(match[1]).id, targetId: match[2], origin });
+  };
+  const fromLinks = (item) =>
+    (item.links || []).forEach((link) =>
+      refs.push({ sourceId: item.id, type: link.type, targetId: link.targetId, origin: "link" })
+    );
+
+  walkSections(chapters, (section) => {
+    fromLinks(section);
+    fromText(section.id, section.description, "description");
+    (section.diagrams || []).forEach((d) => {
+      fromLinks(d);
+      if (d.type === "mermaid") fromText(d.id, d.content, "diagram");
+    });
+    (section.documents || []).forEach(fromLinks);
+  });
+  return refs;
+}
+
+// Rewrites the targets of every reference; fn(targetId) returns the new id
+function replaceReferenceTargets(chapters, fn) {
+  const replaceText = (text) =>
+    String(text).replace(REFERENCE_IN_TEXT, (all, type, targetId) =>
+      referenceHref(referenceType(type).id, fn(targetId))
+    );
+
+  walkSections(chapters, (section) => {
+    if (section.description) section.description = replaceText(section.description);
+    [section, ...(section.diagrams || []), ...(section.documents || [])].forEach((item) =>
+      (item.links || []).forEach((link) => (link.targetId = fn(link.targetId)))
+    );
+    (section.diagrams || []).forEach((d) => {
+      if (d.type === "mermaid" && d.content) d.content = replaceText(d.content);
+    });
+  });
+}
+
+// After a delete: links to targets that no longer exist are removed, links in
+// descriptions become plain text and Mermaid click lines are dropped.
+// Returns how many references were rewritten.
+function dropDanglingReferences(chapters) {
+  const targets = buildReferenceTargets(chapters);
+  let count = 0;
+
+  walkSections(chapters, (section) => {
+    [section, ...(section.diagrams || []), ...(section.documents || [])].forEach((item) => {
+      if (!item.links) return;
+      const kept = item.links.filter((link) => targets.has(link.targetId));
+      count += item.links.length - kept.length;
+      item.links = kept;
+    });
+
+    if (section.description)
+      section.description = section.description.replace(
+        MARKDOWN_REFERENCE_LINK,
+        (all, text, targetId) => {
+          if (targets.has(targetId)) return all;
+          count++;
+          return text;
+        }
+      );
+
+    (section.diagrams || []).forEach((d) => {
+      if (d.type !== "mermaid" || !d.content) return;
+      const lines = d.content.split("\n");
+      const kept = lines.filter((line) => {
+        const match = line.match(MERMAID_REFERENCE_LINE);
+        return !match || targets.has(match[1]);
+      });
+      count += lines.length - kept.length;
+      d.content = kept.join("\n");
+    });
+  });
+  return count;
+}
+
+// Text for a delete confirmation when other items point at what goes away
+function incomingReferencesWarning(ids) {
+  const targeted = new Set(ids);
+  const count = collectReferences(appState.chapters).filter(
+    (ref) => targeted.has(ref.targetId) && !targeted.has(ref.sourceId)
+  ).length;
+  return count ? `\n${count} referencia(s) apuntan aquí y se quitarán.` : "";
+}
+
+function navigateToReference(targetId) {
+  const target = buildReferenceTargets(appState.chapters).get(targetId);
+  if (!target) return alert("El destino de este enlace ya no existe.");
+
+  if (!modal.classList.contains("hidden")) closeModal();
+  selectSection(target.section.id);
+  if (target.kind === "diagram") openModalForDiagram(target.item);
+  else if (target.kind === "document") openDocument(target.item);
+  else chapterEditor.scrollIntoView({ behavior: "smooth" });
+}
+
+// One listener for reference links anywhere: description previews, cards,
+// the references panel and Mermaid SVGs (xlink:href)
+function handleReferenceClick(e) {
+  const link = e.target.closest && e.target.closest("a");
+  if (!link) return;
+  const ref = parseReferenceHref(link.getAttribute("href") || link.getAttribute("xlink:href"));
+  if (!ref) return;
+
+  e.preventDefault();
+  navigateToReference(ref.targetId);
+}
+
+// Marks reference links whose target is gone, inside a rendered container
+function flagBrokenReferences(container) {
+  const targets = buildReferenceTargets(appState.chapters);
+  container.querySelectorAll("a[href]").forEach((a) => {
+    const ref = parseReferenceHref(a.getAttribute("href"));
+    if (!ref) return;
+    a.classList.add("reference-link");
+    const target = targets.get(ref.targetId);
+    a.title = target
+      ? `${referenceType(ref.type).label}: ${target.path}`
+      : "Destino eliminado";
+    a.classList.toggle("broken-reference", !target);
+  });
+}
+
+// Asks for a link type and a target. Resolves with { type, targetId, title }
+// or null if cancelled.
+function pickReferenceTarget({ title, excludeId }) {
+  return new Promise((resolve) => {
+    const entries = collectProjectItems().filter((entry) => entry.item.id !== excludeId);
+
+    modalContent.innerHTML = `
+      <div class="reference-picker">
+        <h3>${escapeHtml(title)}</h3>
+        <label>Tipo:
+          <select id="referenceType">
+            ${REFERENCE_TYPES.map(
+              (t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.label)}</option>`
+            ).join("")}
+          </select>
+        </label>
+        <input id="referenceFilter" type="search" placeholder="Filtrar destinos…" />
+        <div id="referenceTargets" class="overview-results"></div>
+        <div class="panel-actions">
+          <button id="referenceCancelBtn">Cancelar</button>
+        </div>
+      </div>
+    `;
+    modal.classList.remove("hidden");
+
+    const onClose = () => resolve(null);
+    modalClose.addEventListener("click", onClose, { once: true });
+    const finish = (result) => {
+      modalClose.removeEventListener("click", onClose);
+      closeModal();
+      resolve(result);
+    };
+
+    const filterInput = document.getElementById("referenceFilter");
+    const list = document.getElementById("referenceTargets");
+    const render = () => {
+      const terms = normalizeForSearch(filterInput.value.trim())
+        .normalized.split(/\s+/)
+        .filter(Boolean);
+      list.innerHTML = "";
+      entries
+        .filter((entry) => {
+          const text = normalizeForSearch(`${entry.kind} ${entry.path}`).normalized;
+          return terms.every((t) => text.includes(t));
+        })
+        .forEach((entry) => {
+          const row = document.createElement("button");
+          row.className = "overview-result";
+          row.innerHTML = `
+            <span class="overview-kind">${escapeHtml(entry.kind)}</span>
+            <span class="overview-path">${escapeHtml(entry.path)}</span>
+          `;
+          row.onclick = () =>
+            finish({
+              type: document.getElementById("referenceType").value,
+              targetId: entry.item.id,
+              title: entry.item.title,
+            });
+          list.appendChild(row);
+        });
+    };
+
+    filterInput.addEventListener("input", render);
+    document.getElementById("referenceCancelBtn").onclick = () => finish(null);
+    render();
+    filterInput.focus();
+  });
+}
+
+async function addItemLink(itemId) {
+  const source = buildReferenceTargets(appState.chapters).get(itemId);
+  if (!source) return;
+
+  const picked = await pickReferenceTarget({
+    title: `Enlace desde "${source.item.title}"`,
+    excludeId: itemId,
+  });
+  // the project may have changed while the dialog was open
+  const item = picked && buildReferenceTargets(appState.chapters).get(itemId)?.item;
+  if (!item) return;
+
+  recordHistory("Agregar enlace");
+  item.links = [
+    ...(item.links || []),
+    { id: generateId(), type: picked.type, targetId: picked.targetId },
+  ];
+  saveAppState();
+  renderLinkedViews();
+}
+
+function removeItemLink(itemId, linkId) {
+  const item = buildReferenceTargets(appState.chapters).get(itemId)?.item;
+  if (!item) return;
+
+  recordHistory("Eliminar enlace");
+  item.links = (item.links || []).filter((link) => link.id !== linkId);
+  saveAppState();
+  renderLinkedViews();
+}
+
+function renderLinkedViews() {
+  renderCurrentDiagrams();
+  renderCurrentDocuments();
+  renderReferencesPanel();
+}
+
+// The attached links of an item as chips: "Entrada de: Target" ×
+function createItemLinksElement(item) {
+  const wrap = document.createElement("div");
+  wrap.className = "item-links";
+  if (!(item.links || []).length) return wrap;
+
+  const targets = buildReferenceTargets(appState.chapters);
+  item.links.forEach((link) => {
+    const target = targets.get(link.targetId);
+    const chip = document.createElement("span");
+    chip.className = "link-chip";
+
+    const a = document.createElement("a");
+    a.setAttribute("href", referenceHref(link.type, link.targetId));
+    a.textContent = `${referenceType(link.type).label}: ${
+      target ? target.item.title : "(destino eliminado)"
+    }`;
+    chip.appendChild(a);
+
+    const remove = document.createElement("button");
+    remove.className = "link-remove";
+    remove.textContent = "×";
+    remove.title = "Quitar enlace";
+    remove.onclick = (e) => {
+      e.stopPropagation();
+      removeItemLink(item.id, link.id);
+    };
+    chip.appendChild(remove);
+
+    wrap.appendChild(chip);
+  });
+  flagBrokenReferences(wrap);
+  return wrap;
+}
+
+// Links of the current section and everything pointing at it or its items
+function renderReferencesPanel() {
+  const section = getCurrentSection();
+  referencesSection.classList.toggle("hidden", !section);
+  if (!section) return;
+
+  sectionLinks.replaceChildren(createItemLinksElement(section));
+
+  const own = new Set([
+    section.id,
+    ...(section.diagrams || []).map((d) => d.id),
+    ...(section.documents || []).map((d) => d.id),
+  ]);
+  const targets = buildReferenceTargets(appState.chapters);
+  const incoming = collectReferences(appState.chapters).filter(
+    (ref) => own.has(ref.targetId) && !own.has(ref.sourceId)
+  );
+
+  backlinksList.innerHTML = incoming.length
+    ? ""
+    : `<li class="meta">Ningún elemento apunta a esta sección.</li>`;
+  incoming.forEach((ref) => {
+    const source = targets.get(ref.sourceId);
+    const target = targets.get(ref.targetId);
+    const li = document.createElement("li");
+
+    const a = document.createElement("a");
+    a.setAttribute("href", referenceHref(ref.type, ref.sourceId));
+    a.textContent = source.path;
+    li.append(`${referenceType(ref.type).inverse}: `, a);
+    if (target.kind !== "section") li.append(` → ${target.item.title}`);
+    if (ref.origin !== "link") {
+      const where = document.createElement("span");
+      where.className = "meta";
+      where.textContent = ref.origin === "diagram" ? " (nodo Mermaid)" : " (en la descripción)";
+      li.appendChild(where);
+    }
+    backlinksList.appendChild(li);
+  });
+}
+
+// Appends a click line to the Mermaid code so a node opens the chosen target
+async function linkDiagramNode() {
+  const node = prompt("Id del nodo que abrirá el enlace (por ejemplo A):", "");
+  if (node === null) return;
+  if (!/^[\w-]+$/.test(node.trim())) return alert("Id de nodo no válido");
+
+  const picked = await pickReferenceTarget({
+    title: `Enlace desde el nodo ${node.trim()}`,
+    excludeId: editingDiagramId,
+  });
+  if (!picked) return;
+
+  const code = diagramCode.value.replace(/\s*$/, "");
+  diagramCode.value = `${code}\nclick ${node.trim()} href "${referenceHref(
+    picked.type,
+    picked.targetId
+  )}" "${picked.title.replace(/"/g, "'")}"\n`;
+  diagramCode.dispatchEvent(new Event("input"));
+}
+
+async function insertDescriptionReference() {
+  const section = getCurrentSection();
+  if (!section) return;
+
+  const { selectionStart, selectionEnd } = chapterDescription;
+  const picked = await pickReferenceTarget({
+    title: "Insertar referencia",
+    excludeId: section.id,
+  });
+  if (!picked) return;
+
+  chapterDescription.setSelectionRange(selectionStart, selectionEnd);
+  const selected = chapterDescription.value.slice(selectionStart, selectionEnd);
+  wrapDescriptionSelection(
+    "[",
+    `](${referenceHref(picked.type, picked.targetId)})`,
+    selected || escapeMarkdownInline(picked.title)
+  );
+}
+
+// ---------- Diagrams ----------
+let editingDiagramId = null;
+
+function showDiagramEditor() {
+  if (!getCurrentSection())
+    return alert("Selecciona un capítulo o sección");
+
+  diagramEditor.classList.remove("hidden");
+  documentEditor.classList.add("hidden");
+  closeRegisterEditor();
+
+  editingDiagramId = null;
+  diagramEditorTitle.textContent = "Agregar Diagrama";
+
+  diagramTitle.value = "";
+  diagramDescription.value = "";
+  loadDiagramCode("");
+  diagramImage.value = "";
+  diagramFileName.textContent = "Ningún archivo seleccionado";
+  fillMetadataFields(diagramMetadata, null);
+
+  setDiagramType("mermaid");
+  renderDiagramTemplateSelect();
+
+  updateDiagramPreview();
+}
+
+function setDiagramType(type) {
+  document.querySelectorAll(".type-option").forEach((b) => {
+    b.classList.toggle("active", b.dataset.type === type);
+  });
+
+  if (type === "mermaid") {
+    mermaidInputGroup.classList.remove("hidden");
+    imageInputGroup.classList.add("hidden");
+  } else {
+    mermaidInputGroup.classList.add("hidden");
+    imageInputGroup.classList.remove("hidden");
+  }
+  diagramSplit.classList.toggle("no-code", type !== "mermaid");
+}
+
+function findCurrentDiagram(id) {
+  const section = getCurrentSection();
+  return (section?.diagrams || []).find((d) => d.id === id) || null;
+}
+
+// Opens the diagram editor filled with an existing diagram; saving keeps its id
+function editDiagram(d) {
+  showDiagramEditor();
+  if (diagramEditor.classList.contains("hidden")) return;
+
+  editingDiagramId = d.id;
+  diagramEditorTitle.textContent = "Editar Diagrama";
+
+  diagramTitle.value = d.title;
+  diagramDescription.value = d.description || "";
+  fillMetadataFields(diagramMetadata, d);
+  setDiagramType(d.type);
+
+  if (d.type === "mermaid") {
+    loadDiagramCode(d.content || "");
+  } else {
+    diagramFileName.textContent =
+      "Se conservará la imagen actual (selecciona otra para reemplazarla)";
+  }
+
+  updateDiagramPreview();
+  diagramEditor.scrollIntoView({ behavior: "smooth" });
+}
+
+// Resolves with the image of a diagram as a Blob (IndexedDB or legacy inline)
+function loadDiagramImage(d) {
+  const inline = () => (d.content ? dataUrlToBlob(d.content) : null);
+
+  if (d.fileId && db) {
+    return loadFileFromDB(d.fileId)
+      .then((record) => (record ? record.blob : inline()))
+      .catch((err) => {
+        console.error("Error cargando imagen desde DB:", err);
+        return inline();
+      });
+  }
+  return Promise.resolve(inline());
+}
+
+function updateDiagramPreview() {
+  const title = escapeHtml(diagramTitle.value || "Sin título");
+  const desc = escapeHtml(diagramDescription.value || "");
+  const type = document.querySelector(".type-option.active").dataset.type;
+
+  if (type === "mermaid") {
+    const code = diagramCode.value.trim();
+
+    if (code) {
+      // the drawing comes from the last check; while the code has errors the
+      // last valid drawing stays, dimmed
+      diagramPreview.innerHTML = `
+        <div>
+          <strong>${title}</strong>
+          <div>${desc}</div>
+          <div class="diagram-preview-body${diagramCodeCheck.ok ? "" : " stale"}">${
+            diagramPreviewSvg || (diagramCodeCheck.ok ? "Comprobando…" : "")
+          }</div>
+        </div>
+      `;
+    } else {
+      diagramPreview.innerHTML = `
+        <div>
+          <strong>${title}</strong>
+          <div>${desc}</div>
+          <div>Ingresa código Mermaid</div>
+        </div>
+      `;
+    }
+  } else {
+    if (diagramImage.files && diagramImage.files.length) {
+      const file = diagramImage.files[0];
+      const url = URL.createObjectURL(file);
+
+      diagramPreview.innerHTML = `
+        <div>
+          <strong>${title}</strong>
+          <div>${desc}</div>
+          <img src="${url}" style="max-width:100%;height:auto;border-radius:6px" />
+        </div>
+      `;
+    } else {
+      const current = editingDiagramId && findAttachmentEntry(editingDiagramId, "diagrams")?.item;
+
+      diagramPreview.innerHTML = `
+        <div>
+          <strong>${title}</strong>
+          <div>${desc}</div>
+          <div class="preview-placeholder">Selecciona una imagen</div>
+        </div>
+      `;
+
+      if (current && current.type === "image") {
+        loadDiagramImage(current).then((blob) => {
+          const placeholder = diagramPreview.querySelector(".preview-placeholder");
+          if (!blob || !placeholder) return;
+          const img = document.createElement("img");
+          showBlobImage(img, blob);
+          img.style.cssText = "max-width:100%;height:auto;border-radius:6px";
+          placeholder.replaceWith(img);
+        });
+      }
+    }
+  }
+}
+
+function saveDiagram() {
+  const title = diagramTitle.value.trim();
+  const desc = diagramDescription.value.trim();
+  const type = document.querySelector(".type-option.active").dataset.type;
+  const metadata = readMetadataFields(diagramMetadata);
+
+  if (!title) return alert("Ingresa título");
+
+  // the save may finish after the user moved on, so it keeps its own target
+  const editingId = editingDiagramId;
+  const section = getCurrentSection();
+
+  if (type === "mermaid") {
+    const content = diagramCode.value.trim();
+    if (!content) return alert("Ingresa código Mermaid");
+
+    saveDiagramBtn.disabled = true;
+    checkDiagramCode()
+      .then((result) => {
+        if (!result.ok) {
+          // code that does not parse can only be kept as a draft
+          if (
+            !confirm(
+              `El código Mermaid tiene errores (${diagramCodeErrorText(result)}).\n\n` +
+                "¿Guardarlo como borrador para corregirlo más tarde?"
+            )
+          )
+            return;
+          metadata.status = "draft";
+        }
+
+        // Mermeid diagrams store content directly
+        const diagram = {
+          id: editingId || generateId(),
+          title,
+          description: desc,
+          type: "mermaid",
+          content,
+          ...metadata,
+        };
+        finishSavingDiagram(diagram, [], editingId, section);
+      })
+      .catch((err) => {
+        console.error("Error guardando diagrama:", err);
+        alert("No se pudo guardar el diagrama.");
+      })
+      .finally(() => {
+        saveDiagramBtn.disabled = false;
+      });
+  } else {
+    if (!diagramImage.files.length) {
+      // When editing an image diagram the current image is kept
+      const current = editingId && findAttachmentEntry(editingId, "diagrams")?.item;
+      if (current && current.type === "image")
+        return finishSavingDiagram(
+          { ...current, title, description: desc, ...metadata },
+          [],
+          editingId,
+          section
+        );
+
+      return alert("Selecciona una imagen");
+    }
+
+    const file = diagramImage.files[0];
+    const diagramId = editingId || generateId();
+
+    const diagram = {
+      id: diagramId,
+      title,
+      description: desc,
+      type: "image",
+      content: null, // we will load from DB
+      fileId: diagramId,
+      ...metadata,
+    };
+
+    // fallback: store in content as a data URL (not ideal, but keeps behavior)
+    const saveInline = () =>
+      blobToDataUrl(file).then((dataUrl) => {
+        diagram.content = dataUrl;
+        finishSavingDiagram(diagram, [], editingId, section);
+      });
+
+    // Save file to IndexedDB, then finish saving diagram metadata.
+    // The previous file content is kept for undo.
+    if (db) {
+      snapshotFiles([diagram.fileId])
+        .then((files) =>
+          saveFileToDB(diagram.fileId, file).then(() =>
+            finishSavingDiagram(diagram, files, editingId, section)
+          )
+        )
+        .catch((err) => {
+          console.error("Error guardando imagen en DB:", err);
+          alert("Error guardando la imagen en IndexedDB. Intentando guardar en memoria (limitado).");
+          return saveInline();
+        });
+    } else {
+      // No DB available — fallback to storing in local JSON (may hit limits)
+      saveInline();
+    }
+  }
+}
+
+// Stores a diagram where the edited one is now, or adds a new one to
+// `section` (editingId is the id being edited, or null for a new diagram)
+function finishSavingDiagram(diagram, files, editingId, section) {
+  diagram.id = diagram.id || generateId();
+
+  // another diagram may have been opened while this one was saving
+  if (editingDiagramId === editingId) {
+    editingDiagramId = null;
+    diagramEditor.classList.add("hidden");
+  }
+
+  const target = editingId
+    ? findAttachmentEntry(editingId, "diagrams")?.section
+    : findSectionEntry(section.id)?.section;
+  if (!target)
+    return discardUnsavedEdit(
+      diagram,
+      files,
+      editingId
+        ? "El diagrama que estabas editando ya no existe; no se guardaron los cambios."
+        : "La sección ya no existe; no se guardó el diagrama."
+    );
+
+  recordHistory(editingId ? "Editar diagrama" : "Agregar diagrama", {
+    files,
+  });
+
+  if (!target.diagrams) target.diagrams = [];
+
+  const idx = target.diagrams.findIndex((d) => d.id === editingId);
+  if (idx >= 0) {
+    releaseReplacedFile(target.diagrams[idx], diagram);
+    // links are edited from the card, not in this form
+    if (target.diagrams[idx].links) diagram.links = target.diagrams[idx].links;
+    target.diagrams[idx] = diagram;
+  } else {
+    target.diagrams.push(diagram);
+  }
+
+  renderCurrentDiagrams();
+  saveAppState();
+}
+
+// { item, section } for the diagram or document with that id (listKey is
+// "diagrams" or "documents"), wherever it is now: cards can be moved while
+// their editor is open
+function findAttachmentEntry(id, listKey) {
+  let entry = null;
+  walkSections(appState.chapters, (section) => {
+    const item = (section[listKey] || []).find((x) => x.id === id);
+    if (item && !entry) entry = { item, section };
+  });
+  return entry;
+}
+
+// An edit with nowhere left to go: the file already written for it is removed
+// again (files is the snapshot taken before writing it) and the user told
+function discardUnsavedEdit(item, files, message) {
+  if (files.length && db)
+    deleteFileFromDB(item.fileId).catch((err) =>
+      console.warn("No se pudo eliminar archivo en DB:", err)
+    );
+  alert(message);
+  return false;
+}
+
+// Deletes the stored file of an edited item when the new version no longer uses it
+function releaseReplacedFile(previous, updated) {
+  if (previous.fileId && previous.fileId !== updated.fileId)
+    deleteStoredFile(previous.fileId);
+}
+
+function renderCurrentDiagrams() {
+  const section = getCurrentSection();
+  renderDiagrams(section?.diagrams || []);
+}
+
+function renderDiagrams(diagrams) {
+  diagrams = diagrams || [];
+  renderListFilters("diagrams", diagrams, diagramsFilters);
+
+  if (diagrams.length === 0) {
+    diagramsList.innerHTML = `<div class="card">No hay diagramas</div>`;
+    return;
+  }
+
+  const rows = applyListView("diagrams", diagrams);
+  if (rows.length === 0) {
+    diagramsList.innerHTML = `<div class="card">Ningún diagrama coincide con los filtros</div>`;
+    return;
+  }
+
+  // reordering only makes sense on the full list in its manual order
+  const reorderable = isDefaultListView("diagrams");
+  diagramsList.innerHTML = "";
+
+  rows.forEach(({ item: d, index }) => {
+    const el = document.createElement("div");
+    el.className = "card";
+    el.tabIndex = 0;
+    if (reorderable) attachCardDragHandlers(el, "diagrams", d);
+
+    el.innerHTML = `
+      <div class="title">${escapeHtml(d.title)}</div>
+      ${metadataBadgesHtml(d)}
+      <div class="meta">${escapeHtml(d.description)}</div>
+    `;
+
+    if (d.type === "mermaid") {
+      el.appendChild(createMermaidElement(d.content));
+      setTimeout(() => renderMermaidIn(el), 10);
+    } else {
+      const img = document.createElement("img");
+      img.style.maxWidth = "100%";
+      img.alt = d.title;
+
+      // Loaded from IndexedDB asynchronously (or from legacy inline content)
+      loadDiagramImage(d).then((blob) => {
+        if (blob) showBlobImage(img, blob);
+        else img.alt = "Imagen no disponible";
+      });
+
+      el.appendChild(img);
+    }
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+
+    const btnView = document.createElement("button");
+    btnView.textContent = "Abrir";
+    btnView.dataset.cardAction = "open";
+    btnView.onclick = () => openModalForDiagram(d);
+
+    const btnEdit = document.createElement("button");
+    btnEdit.textContent = "Editar";
+    btnEdit.onclick = () => editDiagram(d);
+
+    const btnLink = document.createElement("button");
+    btnLink.textContent = "Enlazar";
+    btnLink.onclick = () => addItemLink(d.id);
+
+    const btnSvg = document.createElement("button");
+    btnSvg.textContent = "Descargar SVG";
+    btnSvg.onclick = () => downloadDiagramSvg(d);
+
+    const btnPng = document.createElement("button");
+    btnPng.textContent = "Descargar PNG";
+    btnPng.onclick = () => downloadDiagramPng(d);
+
+    const btnDel = document.createElement("button");
+    btnDel.textContent = "Eliminar";
+    btnDel.dataset.cardAction = "delete";
+    btnDel.onclick = () => {
+      if (confirm("¿Eliminar diagrama?" + incomingReferencesWarning([d.id])))
+        deleteDiagramById(d.id);
+    };
+
+    actions.appendChild(btnView);
+    actions.appendChild(btnEdit);
+    if (d.type === "mermaid") {
+      actions.appendChild(btnSvg);
+      actions.appendChild(btnPng);
+    }
+    actions.appendChild(btnLink);
+    actions.appendChild(btnDel);
+    el.appendChild(createItemLinksElement(d));
+    el.appendChild(actions);
+    if (reorderable)
+      el.appendChild(createCardMoveControls("diagrams", d, index, diagrams.length));
+
+    diagramsList.appendChild(el);
+  });
+}
+
+function openModalForDiagram(d) {
+  if (d.type === "mermaid") {
+    modalContent.innerHTML = `
+      <div class="panel-actions">
+        <button id="modalSvgBtn">Descargar SVG</button>
+        <button id="modalPngBtn">Descargar PNG</button>
+      </div>
+    `;
+    modalContent.appendChild(createMermaidElement(d.content));
+    modal.classList.remove("hidden");
+    renderMermaidIn(modalContent);
+
+    document.getElementById("modalSvgBtn").onclick = () => downloadDiagramSvg(d);
+    document.getElementById("modalPngBtn").onclick = () => downloadDiagramPng(d);
+  } else {
+    // image diagram: load from DB if necessary, shown with its annotations
+    loadDiagramImage(d).then((blob) => {
+      if (blob) return openImageAnnotator(d, blob);
+      modalContent.innerHTML = `<p>Imagen no disponible</p>`;
+      modal.classList.remove("hidden");
+    });
+  }
+}
+
+function deleteDiagramById(id) {
+  const section = getCurrentSection();
+  const toDelete = section.diagrams.find((x) => x.id === id);
+
+  recordHistory("Eliminar diagrama");
+  // delete associated file if present (a copy stays in the undo history)
+  if (toDelete && toDelete.fileId) deleteStoredFile(toDelete.fileId);
+
+  section.diagrams = section.diagrams.filter((x) => x.id !== id);
+  dropDanglingReferences(appState.chapters);
+  saveAppState();
+  renderLinkedViews();
+}
+
+// ---------- Mermaid code editor ----------
+// The code textarea sits over a highlighted copy of its text. The code is
+// checked with Mermaid's parser while typing; the preview only redraws when it
+// parses, and diagrams that do not parse can only be saved as drafts.
+
+const MERMAID_DIAGRAM_TYPES = [
+  "flowchart TD",
+  "flowchart LR",
+  "graph TD",
+  "graph LR",
+  "sequenceDiagram",
+  "classDiagram",
+  "stateDiagram-v2",
+  "erDiagram",
+  "gantt",
+  "pie",
+  "journey",
+  "gitGraph",
+  "mindmap",
+  "timeline",
+  "quadrantChart",
+];
+
+const MERMAID_KEYWORDS = [
+  "subgraph",
+  "end",
+  "direction",
+  "click",
+  "href",
+  "style",
+  "classDef",
+  "class",
+  "linkStyle",
+  "participant",
+  "actor",
+  "activate",
+  "deactivate",
+  "Note",
+  "loop",
+  "alt",
+  "else",
+  "opt",
+  "par",
+  "and",
+  "rect",
+  "critical",
+  "break",
+  "autonumber",
+  "title",
+  "section",
+  "dateFormat",
+  "axisFormat",
+  "excludes",
+  "state",
+  "accTitle",
+  "accDescr",
+];
+
+const MERMAID_HIGHLIGHTED_WORDS = new Set([
+  ...MERMAID_DIAGRAM_TYPES.map((t) => t.split(" ")[0]),
+  ...MERMAID_KEYWORDS,
+  "TD",
+  "TB",
+  "LR",
+  "RL",
+  "BT",
+]);
+
+// comment | string | edge label | arrow | word
+const MERMAID_TOKEN =
+  /(%%.*)|("[^"\n]*"?)|(\|[^|\n]*\|)|(<?[-=.]{2,}(?:[>)]{1,2}|[ox](?!\w))?|-[>)x]>?)|([A-Za-z_]\w*(?:-\w+)*)/g;
+
+const DIAGRAM_CODE_CHECK_DELAY = 400;
+const DIAGRAM_SPLIT_KEY = "pmbokDiagramSplit";
+
+let diagramCodeTimer = null;
+let diagramCodeRun = 0;
+// { ok: true } or { ok: false, line, message, detail } for the editor code
+let diagramCodeCheck = { ok: true };
+// last drawing of code that parsed, kept while the code has errors
+let diagramPreviewSvg = "";
+let codeSuggestions = { items: [], active: 0, start: 0 };
+let diagramSplitWidth = 50;
+
+// Replaces the editor code, e.g. when opening a diagram, and checks it
+function loadDiagramCode(code) {
+  diagramCode.value = code;
+  diagramCode.scrollTop = 0;
+  diagramCode.scrollLeft = 0;
+  diagramCodeCheck = { ok: true };
+  diagramPreviewSvg = "";
+  hideCodeSuggestions();
+  checkDiagramCode();
+}
+
+function highlightMermaidLine(line) {
+  let html = "";
+  let last = 0;
+
+  for (const m of line.matchAll(MERMAID_TOKEN)) {
+    const kind = m[1]
+      ? "comment"
+      : m[2]
+      ? "string"
+      : m[3]
+      ? "label"
+      : m[4]
+      ? "arrow"
+      : MERMAID_HIGHLIGHTED_WORDS.has(m[5])
+      ? "keyword"
+      : null;
+
+    html += escapeHtml(line.slice(last, m.index));
+    html += kind ? `<span class="tok-${kind}">${escapeHtml(m[0])}</span>` : escapeHtml(m[0]);
+    last = m.index + m[0].length;
+  }
+  return html + escapeHtml(line.slice(last));
+}
+
+function renderDiagramCodeHighlight() {
+  const lines = diagramCode.value.split("\n");
+  const errorLine = diagramCodeCheck.ok ? 0 : diagramCodeCheck.line;
+
+  // the trailing newline keeps the last line visible like in the textarea
+  diagramCodeHighlight.innerHTML =
+    lines
+      .map(
+        (line, i) =>
+          `<span class="code-line${i + 1 === errorLine ? " code-line-error" : ""}">${
+            highlightMermaidLine(line) || " "
+          }</span>`
+      )
+      .join("\n") + "\n";
+
+  diagramCodeGutter.innerHTML = lines
+    .map((_, i) => `<div${i + 1 === errorLine ? ' class="code-line-error"' : ""}>${i + 1}</div>`)
+    .join("");
+
+  syncDiagramCodeScroll();
+}
+
+function syncDiagramCodeScroll() {
+  diagramCodeHighlight.scrollTop = diagramCode.scrollTop;
+  diagramCodeHighlight.scrollLeft = diagramCode.scrollLeft;
+  diagramCodeGutter.scrollTop = diagramCode.scrollTop;
+  hideCodeSuggestions();
+}
+
+// Resolves with { ok: true } or { ok: false, line, message, detail }.
+// line counts from the first line of code and is null when Mermaid gives none.
+function validateMermaidCode(code) {
+  if (typeof mermaid.parse !== "function") return Promise.resolve({ ok: true });
+
+  return Promise.resolve()
+    .then(() => mermaid.parse(code))
+    .then(
+      (valid) =>
+        valid === false
+          ? { ok: false, line: null, message: "Código Mermaid no válido", detail: "" }
+          : { ok: true },
+      mermaidErrorResult
+    );
+}
+
+function mermaidErrorResult(err) {
+  const detail = String((err && err.message) || err || "");
+
+  if (/no diagram type detected/i.test(detail))
+    return { ok: false, line: 1, message: "Tipo de diagrama no reconocido", detail };
+
+  const lineMatch = /line (\d+)/i.exec(detail);
+  const line = err?.hash?.loc?.first_line || (lineMatch ? Number(lineMatch[1]) : null);
+
+  // parser messages end with what was expected; the lines before repeat the code
+  const lines = detail
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  let message = lines[lines.length - 1] || "Código Mermaid no válido";
+  if (message.length > 160) message = message.slice(0, 157) + "…";
+
+  return { ok: false, line, message, detail };
+}
+
+function diagramCodeErrorText(check) {
+  return check.line ? `línea ${check.line}: ${check.message}` : check.message;
+}
+
+function scheduleDiagramCodeCheck() {
+  clearTimeout(diagramCodeTimer);
+  diagramCodeTimer = setTimeout(checkDiagramCode, DIAGRAM_CODE_CHECK_DELAY);
+}
+
+// Checks the editor code, redraws the preview when it parses and resolves
+// with the check result (line numbers are those of the editor)
+async function checkDiagramCode() {
+  clearTimeout(diagramCodeTimer);
+  const run = ++diagramCodeRun;
+  const value = diagramCode.value;
+  const code = value.trim();
+
+  let result = { ok: true };
+  let svg = "";
+  if (code) {
+    result = await validateMermaidCode(code);
+    if (result.ok) {
+      svg = await renderMermaidToSvg(code);
+      if (!svg)
+        result = { ok: false, line: null, message: "No se pudo dibujar el diagrama", detail: "" };
+    }
+    if (!result.ok && result.line)
+      result.line += (value.match(/^\s*/)[0].match(/\n/g) || []).length;
+  }
+
+  // a newer edit already started another check
+  if (run !== diagramCodeRun) return result;
+
+  diagramCodeCheck = result;
+  if (result.ok) diagramPreviewSvg = svg;
+  renderDiagramCodeHighlight();
+  renderDiagramCodeStatus();
+  if (document.querySelector(".type-option.active")?.dataset.type === "mermaid")
+    updateDiagramPreview();
+  return result;
+}
+
+function renderDiagramCodeStatus() {
+  const check = diagramCodeCheck;
+  diagramCodeStatus.classList.toggle("error", !check.ok);
+  diagramCodeStatus.title = check.ok ? "" : check.detail || "";
+
+  if (!diagramCode.value.trim()) diagramCodeStatus.textContent = "";
+  else if (check.ok) diagramCodeStatus.textContent = "✓ Sintaxis correcta";
+  else
+    diagramCodeStatus.textContent = `⚠ ${check.line ? `Línea ${check.line}: ` : ""}${
+      check.message
+    }`;
+}
+
+// Selects the line reported by the last check
+function goToDiagramCodeError() {
+  const line = diagramCodeCheck.ok ? null : diagramCodeCheck.line;
+  if (!line) return;
+
+  const lines = diagramCode.value.split("\n");
+  const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+  diagramCode.focus();
+  diagramCode.setSelectionRange(start, start + (lines[line - 1] || "").length);
+  diagramCode.scrollTop = Math.max(0, (line - 3) * codeLineHeight());
+  syncDiagramCodeScroll();
+}
+
+function codeLineHeight() {
+  return parseFloat(getComputedStyle(diagramCode).lineHeight) || 20;
+}
+
+function codeCharWidth() {
+  const probe = document.createElement("span");
+  probe.textContent = "0".repeat(10);
+  diagramCodeHighlight.appendChild(probe);
+  const width = probe.getBoundingClientRect().width / 10;
+  probe.remove();
+  return width || 8;
+}
+
+// Offers diagram types on the first line and keywords after it for the word
+// before the caret. force shows them even for an empty word (Ctrl+Space).
+function updateCodeSuggestions(force) {
+  const caret = diagramCode.selectionStart;
+  if (caret !== diagramCode.selectionEnd) return hideCodeSuggestions();
+
+  const before = diagramCode.value.slice(0, caret);
+  const word = (/[A-Za-z][\w-]*$/.exec(before) || [""])[0];
+  if (!force && word.length < 2) return hideCodeSuggestions();
+
+  const lineStart = before.lastIndexOf("\n") + 1;
+  const firstLine = !before.slice(0, lineStart).replace(/%%.*$/gm, "").trim();
+  const lower = word.toLowerCase();
+  const items = (firstLine ? MERMAID_DIAGRAM_TYPES : MERMAID_KEYWORDS).filter(
+    (k) => k !== word && k.toLowerCase().startsWith(lower)
+  );
+  if (!items.length) return hideCodeSuggestions();
+
+  codeSuggestions = { items, active: 0, start: caret - word.length };
+  renderCodeSuggestions();
+
+  const style = getComputedStyle(diagramCode);
+  const line = before.split("\n").length;
+  const column = codeSuggestions.start - lineStart;
+  diagramCodeSuggestions.style.top = `${
+    (parseFloat(style.paddingTop) || 0) + line * codeLineHeight() - diagramCode.scrollTop
+  }px`;
+  diagramCodeSuggestions.style.left = `${
+    (parseFloat(style.paddingLeft) || 0) + column * codeCharWidth() - diagramCode.scrollLeft
+  }px`;
+  diagramCodeSuggestions.classList.remove("hidden");
+}
+
+function renderCodeSuggestions() {
+  diagramCodeSuggestions.innerHTML = codeSuggestions.items
+    .map(
+      (k, i) =>
+        `<li data-index="${i}"${i === codeSuggestions.active ? ' class="active"' : ""}>${escapeHtml(
+          k
+        )}</li>`
+    )
+    .join("");
+  diagramCodeSuggestions.querySelector(".active")?.scrollIntoView({ block: "nearest" });
+}
+
+function hideCodeSuggestions() {
+  diagramCodeSuggestions.classList.add("hidden");
+}
+
+function acceptCodeSuggestion(index) {
+  const word = codeSuggestions.items[index];
+  if (!word) return;
+
+  diagramCode.setRangeText(word, codeSuggestions.start, diagramCode.selectionStart, "end");
+  diagramCode.dispatchEvent(new Event("input"));
+  hideCodeSuggestions();
+}
+
+function handleDiagramCodeKeyDown(e) {
+  if ((e.ctrlKey || e.metaKey) && e.key === " ") {
+    e.preventDefault();
+    updateCodeSuggestions(true);
+    return;
+  }
+  if (diagramCodeSuggestions.classList.contains("hidden")) return;
+
+  const count = codeSuggestions.items.length;
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    codeSuggestions.active =
+      (codeSuggestions.active + (e.key === "ArrowDown" ? 1 : -1) + count) % count;
+    renderCodeSuggestions();
+  } else if (e.key === "Enter" || e.key === "Tab") {
+    e.preventDefault();
+    acceptCodeSuggestion(codeSuggestions.active);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    e.stopPropagation();
+    hideCodeSuggestions();
+  }
+}
+
+// The code and preview columns share the editor width; the handle between
+// them is dragged (or moved with the arrow keys) and the width is remembered
+function setDiagramSplit(percent) {
+  diagramSplitWidth = Math.min(80, Math.max(20, percent));
+  diagramSplit.style.setProperty("--code-width", `${diagramSplitWidth}%`);
+}
+
+function saveDiagramSplit() {
+  localStorage.setItem(DIAGRAM_SPLIT_KEY, String(Math.round(diagramSplitWidth)));
+}
+
+function initDiagramSplit() {
+  setDiagramSplit(Number(localStorage.getItem(DIAGRAM_SPLIT_KEY)) || 50);
+
+  diagramSplitHandle.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    if (diagramSplitHandle.setPointerCapture) diagramSplitHandle.setPointerCapture(e.pointerId);
+
+    const move = (ev) => {
+      const rect = diagramSplit.getBoundingClientRect();
+      if (rect.width) setDiagramSplit(((ev.clientX - rect.left) / rect.width) * 100);
+    };
+    const stop = () => {
+      diagramSplitHandle.removeEventListener("pointermove", move);
+      diagramSplitHandle.removeEventListener("pointerup", stop);
+      diagramSplitHandle.removeEventListener("pointercancel", stop);
+      saveDiagramSplit();
+    };
+    diagramSplitHandle.addEventListener("pointermove", move);
+    diagramSplitHandle.addEventListener("pointerup", stop);
+    diagramSplitHandle.addEventListener("pointercancel", stop);
+  });
+
+  diagramSplitHandle.addEventListener("keydown", (e) => {
+    const step = { ArrowLeft: -5, ArrowRight: 5 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    setDiagramSplit(diagramSplitWidth + step);
+    saveDiagramSplit();
+  });
+}
+
+// ---------- Diagram export ----------
+// Mermaid diagrams download as the SVG Mermaid renders, or as a PNG drawn from
+// that SVG on a canvas. For PNG the labels are rendered as SVG text: HTML
+// labels (foreignObject) taint the canvas in some browsers.
+
+const PNG_SCALES = [1, 2, 4];
+const MERMAID_SVG_LABELS =
+  '%%{init: {"htmlLabels": false, "flowchart": {"htmlLabels": false}}}%%\n';
+const DIAGRAM_EXPORT_FORMATS = [
+  { id: "svg", label: "SVG" },
+  { id: "png", label: "PNG" },
+  { id: "both", label: "SVG y PNG" },
+];
+
+// Last choices of the export dialog
+let diagramExportOptions = { format: "svg", scale: 2, background: "white" };
+
+async function diagramSvgText(d, { svgLabels = false } = {}) {
+  const code = d.content || "";
+  // an init directive can't go before front matter
+  const source = svgLabels && !/^\s*---/.test(code) ? MERMAID_SVG_LABELS + code : code;
+  const svg = await renderMermaidToSvg(source);
+  if (!svg) throw new Error(`No se pudo renderizar "${d.title}"`);
+  return svg;
+}
+
+async function diagramToSvgBlob(d) {
+  return new Blob([await diagramSvgText(d)], { type: "image/svg+xml" });
+}
+
+// Mermaid sizes its SVG to 100% of the container; the viewBox has the real size
+function svgSize(svg) {
+  const box = (svg.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+  if (box.length === 4 && box[2] > 0 && box[3] > 0) return { width: box[2], height: box[3] };
+  return {
+    width: parseFloat(svg.getAttribute("width")) || 800,
+    height: parseFloat(svg.getAttribute("height")) || 600,
+  };
+}
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("No se pudo cargar la imagen del diagrama"));
+    img.src = src;
+  });
+}
+
+async function diagramToPngBlob(d, { scale, background }) {
+  const doc = new DOMParser().parseFromString(
+    await diagramSvgText(d, { svgLabels: true }),
+    "image/svg+xml"
+  );
+  const svg = doc.documentElement;
+  const { width, height } = svgSize(svg);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  svg.setAttribute("style", (svg.getAttribute("style") || "").replace(/max-width:[^;]*;?/, ""));
+
+  const img = await loadImageElement(
+    "data:image/svg+xml;charset=utf-8," +
+      encodeURIComponent(new XMLSerializer().serializeToString(svg))
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+  const ctx = canvas.getContext("2d");
+  if (background === "white") {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("No se pudo generar el PNG"))),
+      "image/png"
+    )
+  );
+}
+
+// Asks for the PNG resolution and background, and the format when exporting
+// many diagrams. Resolves with the options or null if cancelled.
+function askDiagramExportOptions({ title, withFormat = false }) {
+  return new Promise((resolve) => {
+    const options = diagramExportOptions;
+    modalContent.innerHTML = `
+      <h3>${escapeHtml(title)}</h3>
+      ${
+        withFormat
+          ? `<label>Formato:
+              <select id="exportFormat">
+                ${DIAGRAM_EXPORT_FORMATS.map(
+                  (f) => `<option value="${f.id}">${escapeHtml(f.label)}</option>`
+                ).join("")}
+              </select>
+            </label>`
+          : ""
+      }
+      <div id="pngOptions">
+        <label>Resolución PNG:
+          <select id="exportScale">
+            ${PNG_SCALES.map((s) => `<option value="${s}">${s}x</option>`).join("")}
+          </select>
+        </label>
+        <label>Fondo:
+          <select id="exportBackground">
+            <option value="white">Blanco</option>
+            <option value="transparent">Transparente</option>
+          </select>
+        </label>
+      </div>
+      <div class="panel-actions">
+        <button id="exportOkBtn">Descargar</button>
+        <button id="exportCancelBtn">Cancelar</button>
+      </div>
+    `;
+    modal.classList.remove("hidden");
+
+    const formatSelect = document.getElementById("exportFormat");
+    const scaleSelect = document.getElementById("exportScale");
+    const backgroundSelect = document.getElementById("exportBackground");
+    const pngOptions = document.getElementById("pngOptions");
+    scaleSelect.value = options.scale;
+    backgroundSelect.value = options.background;
+    if (formatSelect) {
+      formatSelect.value = options.format;
+      const update = () => pngOptions.classList.toggle("hidden", formatSelect.value === "svg");
+      formatSelect.addEventListener("change", update);
+      update();
+    }
+
+    const onClose = () => resolve(null);
+    modalClose.addEventListener("click", onClose, { once: true });
+    const finish = (result) => {
+      modalClose.removeEventListener("click", onClose);
+      closeModal();
+      resolve(result);
+    };
+
+    document.getElementById("exportOkBtn").onclick = () => {
+      diagramExportOptions = {
+        format: formatSelect ? formatSelect.value : options.format,
+        scale: Number(scaleSelect.value),
+        background: backgroundSelect.value,
+      };
+      finish(diagramExportOptions);
+    };
+    document.getElementById("exportCancelBtn").onclick = () => finish(null);
+  });
+}
+
+async function downloadDiagramSvg(d) {
+  try {
+    downloadBlob(await diagramToSvgBlob(d), `${slugify(d.title)}.svg`);
+  } catch (err) {
+    console.error("Error exportando el diagrama como SVG:", err);
+    alert("No se pudo exportar el diagrama como SVG.");
+  }
+}
+
+async function downloadDiagramPng(d) {
+  const options = await askDiagramExportOptions({ title: `Descargar PNG: ${d.title}` });
+  if (!options) return;
+
+  try {
+    downloadBlob(await diagramToPngBlob(d, options), `${slugify(d.title)}.png`);
+  } catch (err) {
+    console.error("Error exportando el diagrama como PNG:", err);
+    alert("No se pudo exportar el diagrama como PNG.");
+  }
+}
+
+// Zip with every diagram of the given sections and their subsections, one
+// numbered folder per section. Image diagrams go in as their original file.
+async function exportDiagramsArchive(sections, name) {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la exportación no está disponible.");
+
+  let total = 0;
+  walkSections(sections, (section) => (total += (section.diagrams || []).length));
+  if (!total) return alert("No hay diagramas para exportar.");
+
+  const options = await askDiagramExportOptions({
+    title: `Exportar ${total} diagrama(s)`,
+    withFormat: true,
+  });
+  if (!options) return;
+
+  const zip = new JSZip();
+  const failed = [];
+  const numbered = (i, title) => `${String(i + 1).padStart(2, "0")}-${slugify(title)}`;
+
+  const addSection = async (section, dir) => {
+    const diagrams = section.diagrams || [];
+    for (let i = 0; i < diagrams.length; i++) {
+      const d = diagrams[i];
+      const base = dir + numbered(i, d.title);
+      try {
+        if (d.type !== "mermaid") {
+          const blob = await loadDiagramImage(d);
+          if (!blob) throw new Error("Imagen no disponible");
+          zip.file(`${base}.${imageExtension(blob)}`, await blob.arrayBuffer());
+          continue;
+        }
+        if (options.format !== "png") zip.file(`${base}.svg`, await diagramSvgText(d));
+        if (options.format !== "svg")
+          zip.file(`${base}.png`, await (await diagramToPngBlob(d, options)).arrayBuffer());
+      } catch (err) {
+        console.error("Error exportando diagrama:", err);
+        failed.push(d.title);
+      }
+    }
+
+    const children = section.children || [];
+    for (let i = 0; i < children.length; i++)
+      await addSection(children[i], `${dir}${numbered(i, children[i].title)}/`);
+  };
+
+  for (let i = 0; i < sections.length; i++)
+    await addSection(sections[i], `${numbered(i, sections[i].title)}/`);
+
+  try {
+    const blob = await zip.generateAsync({ type: "blob" });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `diagramas-${slugify(name)}-${stamp}.zip`);
+  } catch (err) {
+    console.error("Error generando el archivo de diagramas:", err);
+    return alert("No se pudo generar el archivo de diagramas.");
+  }
+
+  if (failed.length)
+    alert("Diagramas exportados, pero estos no se pudieron incluir:\n- " + failed.join("\n- "));
+}
+
+// ---------- Diagram templates ----------
+// Starter Mermaid code for common artifacts. Text in brackets or quotes is a
+// placeholder meant to be replaced. User templates live in localStorage.
+
+const USER_DIAGRAM_TEMPLATES_KEY = "pmbokMermaidTemplates";
+
+const DIAGRAM_TEMPLATES = [
+  {
+    id: "wbs",
+    name: "EDT / WBS",
+    code: `graph TD
+  P[Nombre del proyecto]
+  P --> E1[1. Entregable principal 1]
+  P --> E2[2. Entregable principal 2]
+  P --> E3[3. Dirección del proyecto]
+  E1 --> E11[1.1 Paquete de trabajo]
+  E1 --> E12[1.2 Paquete de trabajo]
+  E2 --> E21[2.1 Paquete de trabajo]
+  E2 --> E22[2.2 Paquete de trabajo]
+  E3 --> E31[3.1 Planificación]
+  E3 --> E32[3.2 Seguimiento y control]`,
+  },
+  {
+    id: "gantt",
+    name: "Cronograma (Gantt)",
+    code: `gantt
+  title Cronograma del proyecto
+  dateFormat YYYY-MM-DD
+  section Fase 1
+  Tarea A :a1, 2025-01-06, 10d
+  Tarea B :a2, after a1, 5d
+  section Fase 2
+  Tarea C :b1, after a2, 15d
+  Tarea D :b2, after a2, 8d
+  section Cierre
+  Entrega final :milestone, m1, after b1, 0d`,
+  },
+  {
+    id: "process-groups",
+    name: "Flujo de grupos de procesos",
+    code: `graph LR
+  I[Inicio] --> P[Planificación]
+  P --> E[Ejecución]
+  E --> C[Cierre]
+  M[Monitoreo y Control] -.-> P
+  M -.-> E
+  E -.-> M`,
+  },
+  {
+    id: "stakeholders",
+    name: "Mapa de interesados (poder / interés)",
+    // quadrantChart only accepts accented text inside quotes
+    code: `quadrantChart
+  title Mapa de interesados
+  x-axis "Bajo interés" --> "Alto interés"
+  y-axis "Bajo poder" --> "Alto poder"
+  quadrant-1 Gestionar de cerca
+  quadrant-2 Mantener satisfecho
+  quadrant-3 Monitorear
+  quadrant-4 Mantener informado
+  Patrocinador: [0.8, 0.9]
+  Usuario clave: [0.75, 0.35]
+  Proveedor: [0.3, 0.6]
+  "Área de soporte": [0.2, 0.2]`,
+  },
+  {
+    id: "raci",
+    name: "Matriz RACI (diagrama de flujo)",
+    code: `flowchart LR
+  A1[Actividad 1]
+  A1 -->|R| R1([Rol responsable])
+  A1 -->|A| A((Rol que aprueba))
+  A1 -.->|C| C1([Rol consultado])
+  A1 -.->|I| I1([Rol informado])
+  A2[Actividad 2]
+  A2 -->|R| C1
+  A2 -->|A| A
+  A2 -.->|I| R1`,
+  },
+  {
+    id: "risk-escalation",
+    name: "Escalamiento de riesgos",
+    code: `flowchart TD
+  R[Riesgo identificado] --> T{¿Dentro de la tolerancia del equipo?}
+  T -->|Sí| EQ[El equipo gestiona la respuesta]
+  T -->|No| D{¿Dentro de la autoridad del director?}
+  D -->|Sí| DP[El director del proyecto decide]
+  D -->|No| PA[Escalar al patrocinador o comité]
+  EQ --> REG[Actualizar el registro de riesgos]
+  DP --> REG
+  PA --> REG`,
+  },
+  {
+    id: "change-control",
+    name: "Control de cambios",
+    code: `flowchart TD
+  S[Solicitud de cambio] --> A[Analizar impacto en alcance, cronograma y costo]
+  A --> CCB{Comité de control de cambios}
+  CCB -->|Aprobado| U[Actualizar plan y líneas base]
+  CCB -->|Rechazado| N[Notificar al solicitante]
+  CCB -->|Más información| A
+  U --> I[Implementar el cambio]
+  I --> V[Verificar y cerrar la solicitud]
+  N --> V`,
+  },
+];
+
+function loadUserDiagramTemplates() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_DIAGRAM_TEMPLATES_KEY)) || [];
+  } catch (e) {
+    console.error(e);
+    return [];
+  }
+}
+
+function saveUserDiagramTemplates(templates) {
+  localStorage.setItem(USER_DIAGRAM_TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+function findDiagramTemplate(id) {
+  return [...DIAGRAM_TEMPLATES, ...loadUserDiagramTemplates()].find((t) => t.id === id);
+}
+
+function renderDiagramTemplateSelect(selectedId = "") {
+  const options = (templates) =>
+    templates
+      .map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`)
+      .join("");
+  const userTemplates = loadUserDiagramTemplates();
+
+  diagramTemplateSelect.innerHTML = `
+    <option value="">Plantilla de diagrama…</option>
+    <optgroup label="Plantillas">${options(DIAGRAM_TEMPLATES)}</optgroup>
+    ${userTemplates.length ? `<optgroup label="Mis plantillas">${options(userTemplates)}</optgroup>` : ""}
+  `;
+  diagramTemplateSelect.value = selectedId;
+  updateDiagramTemplateButtons();
+}
+
+function updateDiagramTemplateButtons() {
+  const id = diagramTemplateSelect.value;
+  insertDiagramTemplateBtn.disabled = !id;
+  deleteDiagramTemplateBtn.disabled = !loadUserDiagramTemplates().some((t) => t.id === id);
+}
+
+function insertDiagramTemplate() {
+  const template = findDiagramTemplate(diagramTemplateSelect.value);
+  if (!template) return;
+
+  if (
+    diagramCode.value.trim() &&
+    diagramCode.value.trim() !== template.code &&
+    !confirm("¿Reemplazar el código Mermaid actual por la plantilla?")
+  )
+    return;
+
+  diagramCode.value = template.code;
+  if (!diagramTitle.value.trim()) diagramTitle.value = template.name;
+  updateDiagramPreview();
+  diagramCode.dispatchEvent(new Event("input"));
+  diagramCode.focus();
+}
+
+function saveDiagramAsTemplate() {
+  const code = diagramCode.value.trim();
+  if (!code) return alert("Ingresa código Mermaid");
+
+  const name = prompt("Nombre de la plantilla:", diagramTitle.value.trim() || "Mi plantilla");
+  if (!name || !name.trim()) return;
+
+  const templates = loadUserDiagramTemplates();
+  const template = { id: generateId(), name: name.trim(), code };
+  templates.push(template);
+  saveUserDiagramTemplates(templates);
+  renderDiagramTemplateSelect(template.id);
+}
+
+function deleteDiagramTemplate() {
+  const id = diagramTemplateSelect.value;
+  const templates = loadUserDiagramTemplates();
+  if (!templates.some((t) => t.id === id)) return;
+  if (!confirm("¿Eliminar la plantilla?")) return;
+
+  saveUserDiagramTemplates(templates.filter((t) => t.id !== id));
+  renderDiagramTemplateSelect();
+}
+
+// ---------- Documents ----------
+let editingDocId = null;
+
+function showDocumentEditor() {
+  if (!getCurrentSection())
+    return alert("Selecciona un capítulo o sección");
+
+  documentEditor.classList.remove("hidden");
+  diagramEditor.classList.add("hidden");
+  closeRegisterEditor();
+
+  editingDocId = null;
+  documentEditorTitle.textContent = "Agregar Documento";
+
+  documentTitle.value = "";
+  documentDescription.value = "";
+  documentDate.valueAsDate = new Date();
+  documentFile.value = "";
+  documentFileName.textContent = "Ningún archivo seleccionado";
+  fillMetadataFields(documentMetadata, null);
+  setDocumentType("pdf");
+}
+
+function setDocumentType(type) {
+  document.querySelectorAll(".doc-type-option").forEach((b) => {
+    b.classList.toggle("active", b.dataset.type === type);
+  });
+
+  if (type === "pdf") documentFile.accept = ".pdf";
+  else documentFile.accept = ".ppt,.pptx";
+}
+
+function findCurrentDocument(id) {
+  const section = getCurrentSection();
+  return (section?.documents || []).find((d) => d.id === id) || null;
+}
+
+// Opens the document editor filled with an existing document; saving keeps its id
+function editDocument(d) {
+  showDocumentEditor();
+  if (documentEditor.classList.contains("hidden")) return;
+
+  editingDocId = d.id;
+  documentEditorTitle.textContent = "Editar Documento";
+
+  documentTitle.value = d.title;
+  documentDescription.value = d.description || "";
+  documentDate.value = d.date || "";
+  fillMetadataFields(documentMetadata, d);
+  setDocumentType(d.type && d.type.includes("pdf") ? "pdf" : "presentation");
+  documentFileName.textContent =
+    "Se conservará el archivo actual (selecciona otro para reemplazarlo)";
+
+  documentEditor.scrollIntoView({ behavior: "smooth" });
+}
+
+function saveDocument() {
+  const title = documentTitle.value.trim();
+  if (!title) return alert("Ingresa título");
+
+  const desc = documentDescription.value.trim();
+  const date = documentDate.value;
+  const metadata = readMetadataFields(documentMetadata);
+
+  // the file is stored before the document, so the save keeps its own target
+  const editingId = editingDocId;
+  const section = getCurrentSection();
+  const current = editingId && findAttachmentEntry(editingId, "documents")?.item;
+  if (editingId && !current) return alert("El documento que estabas editando ya no existe");
+
+  if (!documentFile.files.length) {
+    // When editing, only the metadata changes and the stored file is kept
+    if (current)
+      return finishSavingDocument(
+        { ...current, title, description: desc, date, ...metadata },
+        [],
+        editingId,
+        section
+      );
+
+    return alert("Selecciona un archivo");
+  }
+
+  const file = documentFile.files[0];
+  const docId = editingId || generateId();
+
+  const doc = {
+    id: docId,
+    title,
+    description: desc,
+    date,
+    type: file.type || "application/octet-stream",
+    // fileId will reference the actual file stored in IndexedDB.
+    // Replacing the file of an edited document only touches its latest version.
+    fileId: current ? current.fileId || generateId() : docId,
+    ...metadata,
+  };
+  if (current && current.versions) {
+    doc.versions = current.versions;
+    doc.versionNote = current.versionNote;
+  }
+
+  // the text found in a replaced file no longer applies, even when the new
+  // file can't be indexed
+  const dropReplacedIndex = () => {
+    if (current) dropDocumentTextIndex(doc.fileId);
+  };
+
+  // fallback: store inline as a data URL (not ideal)
+  const saveInline = () =>
+    blobToDataUrl(file).then((dataUrl) => {
+      doc.file = dataUrl;
+      if (finishSavingDocument(doc, [], editingId, section)) dropReplacedIndex();
+    });
+
+  // Save file to DB, then metadata to appState.
+  // The previous file content is kept for undo.
+  if (db) {
+    snapshotFiles([doc.fileId])
+      .then((files) => saveFileToDB(doc.fileId, file).then(() => files))
+      .then((files) => {
+        // attach to app state
+        if (!finishSavingDocument(doc, files, editingId, section)) return;
+        dropReplacedIndex();
+        indexDocumentText(doc, file, file.name).catch((err) =>
+          console.warn("No se pudo indexar el texto del documento:", err)
+        );
+      })
+      .catch((err) => {
+        console.error("Error guardando documento en DB:", err);
+        return saveInline();
+      });
+  } else {
+    // fallback: store inline in case IndexedDB not available
+    saveInline();
+  }
+}
+
+// Stores a document like finishSavingDiagram; returns whether it was stored
+function finishSavingDocument(doc, files, editingId, section) {
+  if (editingDocId === editingId) {
+    editingDocId = null;
+    documentEditor.classList.add("hidden");
+  }
+
+  const target = editingId
+    ? findAttachmentEntry(editingId, "documents")?.section
+    : findSectionEntry(section.id)?.section;
+  if (!target)
+    return discardUnsavedEdit(
+      doc,
+      files,
+      editingId
+        ? "El documento que estabas editando ya no existe; no se guardaron los cambios."
+        : "La sección ya no existe; no se guardó el documento."
+    );
+
+  recordHistory(editingId ? "Editar documento" : "Agregar documento", {
+    files,
+  });
+  attachDocumentToState(doc, editingId, target);
+  renderCurrentDocuments();
+  saveAppState();
+  return true;
+}
+
+// Replaces the edited document in the section that holds it, or adds a new one
+function attachDocumentToState(doc, editingId, section) {
+  if (!section.documents) section.documents = [];
+
+  const idx = section.documents.findIndex((x) => x.id === editingId);
+  if (idx >= 0) {
+    // links are edited from the card, not in this form
+    if (section.documents[idx].links) doc.links = section.documents[idx].links;
+    section.documents[idx] = doc;
+  } else {
+    section.documents.push(doc);
+  }
+}
+
+function renderCurrentDocuments() {
+  const section = getCurrentSection();
+  renderDocuments(section?.documents || []);
+}
+
+function renderDocuments(docs) {
+  docs = docs || [];
+  renderListFilters("documents", docs, documentsFilters);
+
+  if (docs.length === 0) {
+    documentsList.innerHTML = `<div class="card">No hay documentos</div>`;
+    return;
+  }
+
+  const rows = applyListView("documents", docs);
+  if (rows.length === 0) {
+    documentsList.innerHTML = `<div class="card">Ningún documento coincide con los filtros</div>`;
+    return;
+  }
+
+  const reorderable = isDefaultListView("documents");
+  documentsList.innerHTML = "";
+
+  rows.forEach(({ item: d, index }) => {
+    const el = document.createElement("div");
+    el.className = "card";
+    el.tabIndex = 0;
+    if (reorderable) attachCardDragHandlers(el, "documents", d);
+
+    el.innerHTML = `
+      <div class="title">${escapeHtml(d.title)}</div>
+      ${metadataBadgesHtml(d)}
+      <div class="meta">${escapeHtml(formatDate(d.date))} – ${escapeHtml(d.type)}</div>
+      <div>${escapeHtml(d.description)}</div>
+    `;
+
+    const versionCount = (d.versions || []).length + 1;
+    if (versionCount > 1) {
+      const version = document.createElement("div");
+      version.className = "meta";
+      version.textContent = d.versionNote
+        ? `Versión ${versionCount}: ${d.versionNote}`
+        : `Versión ${versionCount}`;
+      el.insertBefore(version, el.children[3]);
+    }
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    actions.style.flexWrap = "wrap";
+
+    const btnOpen = document.createElement("button");
+    btnOpen.textContent = "Abrir";
+    btnOpen.dataset.cardAction = "open";
+    btnOpen.onclick = () => openDocument(d);
+
+    const btnDownload = document.createElement("button");
+    btnDownload.textContent = "Descargar";
+    btnDownload.onclick = () => downloadDocument(d);
+
+    const btnEdit = document.createElement("button");
+    btnEdit.textContent = "Editar";
+    btnEdit.onclick = () => editDocument(d);
+
+    const btnVersion = document.createElement("button");
+    btnVersion.textContent = "Nueva versión";
+    btnVersion.onclick = () => showDocumentVersionDialog(d);
+
+    const btnHistory = document.createElement("button");
+    btnHistory.textContent = `Versiones (${versionCount})`;
+    btnHistory.onclick = () => showDocumentVersions(d);
+
+    const btnLink = document.createElement("button");
+    btnLink.textContent = "Enlazar";
+    btnLink.onclick = () => addItemLink(d.id);
+
+    const btnDel = document.createElement("button");
+    btnDel.textContent = "Eliminar";
+    btnDel.dataset.cardAction = "delete";
+    btnDel.onclick = () => {
+      if (confirm("¿Eliminar documento?" + incomingReferencesWarning([d.id])))
+        deleteDocument(d.id);
+    };
+
+    actions.appendChild(btnOpen);
+    actions.appendChild(btnDownload);
+    actions.appendChild(btnEdit);
+    actions.appendChild(btnVersion);
+    if (versionCount > 1) actions.appendChild(btnHistory);
+    actions.appendChild(btnLink);
+    actions.appendChild(btnDel);
+
+    el.appendChild(createItemLinksElement(d));
+    el.appendChild(actions);
+    if (reorderable)
+      el.appendChild(createCardMoveControls("documents", d, index, docs.length));
+
+    documentsList.appendChild(el);
+  });
+}
+
+// Resolves with { blob, name } for a document (IndexedDB or legacy inline)
+function loadDocumentFile(d) {
+  const inline = () => (d.file ? { blob: dataUrlToBlob(d.file), name: null } : null);
+
+  if (d.fileId && db) {
+    return loadFileFromDB(d.fileId)
+      .then((record) => record || inline())
+      .catch((err) => {
+        console.error("Error cargando documento desde DB:", err);
+        return inline();
+      });
+  }
+  return Promise.resolve(inline());
+}
+
+// Original filename when it was stored, otherwise the title plus an extension
+function documentDownloadName(d, file) {
+  if (file.name) return file.name;
+
+  let ext = "bin";
+  if (d.type.includes("pdf")) ext = "pdf";
+  else if (d.type.includes("presentation") || d.type.includes("ppt")) ext = "pptx";
+  return `${d.title}.${ext}`;
+}
+
+function openDocument(d, options = {}) {
+  loadDocumentFile(d).then((file) => {
+    if (!file) {
+      modalContent.innerHTML = `<p>Archivo no disponible</p>`;
+      modal.classList.remove("hidden");
+      return;
+    }
+    if (d.type === "application/pdf" || file.blob.type === "application/pdf") {
+      file.blob
+        .arrayBuffer()
+        .then((buffer) => openModalWithPDF(new Uint8Array(buffer), options.page))
+        .catch((err) => {
+          console.error("Error leyendo el PDF:", err);
+          alert("No se pudo abrir el PDF.");
+        });
+      return;
+    }
+
+    const format = presentationFormat(d.type, file.name);
+    if (format === "pptx" && window.JSZip) {
+      openModalWithPptx(d, file, options.page);
+    } else {
+      let notice = "";
+      if (format === "ppt")
+        notice = `<p class="preview-unsupported">Vista previa no disponible para presentaciones .ppt (formato antiguo). Descarga el archivo o guárdalo como .pptx para verlo aquí.</p>`;
+      else if (format === "pptx")
+        notice = `<p class="preview-unsupported">Vista previa no disponible: no se pudo cargar JSZip.</p>`;
+
+      modalContent.innerHTML = `
+        <h3>${escapeHtml(d.title)}</h3>
+        <p>${escapeHtml(d.description)}</p>
+        <p>Tipo: ${escapeHtml(d.type)}</p>
+        ${notice}
+        <button id="modalDownloadBtn">Descargar</button>
+      `;
+      modal.classList.remove("hidden");
+      document
+        .getElementById("modalDownloadBtn")
+        .addEventListener("click", () =>
+          downloadBlob(file.blob, documentDownloadName(d, file))
+        );
+    }
+  });
+}
+
+function downloadDocument(d) {
+  loadDocumentFile(d).then((file) => {
+    if (!file) return alert("Archivo no disponible");
+    downloadBlob(file.blob, documentDownloadName(d, file));
+  });
+}
+
+function deleteDocument(id) {
+  const section = getCurrentSection();
+  const toDelete = section.documents.find((x) => x.id === id);
+
+  recordHistory("Eliminar documento");
+  // a copy of the files stays in the undo history
+  if (toDelete && toDelete.fileId) deleteStoredFile(toDelete.fileId);
+  (toDelete?.versions || []).forEach((v) => {
+    if (v.fileId) deleteStoredFile(v.fileId);
+  });
+
+  section.documents = section.documents.filter((x) => x.id !== id);
+  dropDanglingReferences(appState.chapters);
+  saveAppState();
+  renderLinkedViews();
+}
+
+// ---------- Document versions ----------
+// A document's own fields (fileId/file, type, date, versionNote) describe its
+// latest version. Older ones stay in d.versions, oldest first, each with its
+// own stored file: { id, fileId, type, date, note }.
+
+function forEachDocumentVersion(sections, fn) {
+  forEachAttachment(sections, (item, kind, section) => {
+    if (kind === "document")
+      (item.versions || []).forEach((v, i) => fn(v, item, i + 1, section));
+  });
+}
+
+function documentVersionTitle(d, number) {
+  return `${d.title} (versión ${number})`;
+}
+
+// The document as it was at an older version, for openDocument and friends
+function documentAtVersion(d, v) {
+  return {
+    ...d,
+    fileId: v.fileId,
+    file: v.file,
+    type: v.type,
+    date: v.date,
+    versionNote: v.note,
+    versions: [],
+  };
+}
+
+function showDocumentVersionDialog(d) {
+  modalContent.innerHTML = `
+    <h3>Nueva versión de "${escapeHtml(d.title)}"</h3>
+    <label>Archivo:
+      <input id="versionFile" type="file" accept=".pdf,.ppt,.pptx" />
+    </label>
+    <label>Fecha:
+      <input id="versionDate" type="date" />
+    </label>
+    <label>Nota:
+      <textarea id="versionNote" placeholder="Qué cambió en esta versión"></textarea>
+    </label>
+    <div class="panel-actions">
+      <button id="versionSaveBtn">Subir versión</button>
+      <button id="versionCancelBtn">Cancelar</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const fileInput = document.getElementById("versionFile");
+  const dateInput = document.getElementById("versionDate");
+  dateInput.valueAsDate = new Date();
+
+  document.getElementById("versionSaveBtn").onclick = () => {
+    const file = fileInput.files[0];
+    if (!file) return alert("Selecciona un archivo");
+
+    const options = {
+      name: file.name,
+      date: dateInput.value,
+      note: document.getElementById("versionNote").value.trim(),
+    };
+    closeModal();
+    uploadDocumentVersion(d.id, file, options);
+  };
+  document.getElementById("versionCancelBtn").onclick = closeModal;
+}
+
+// Stores blob as the new latest version of a document in the current section;
+// the version it replaces moves into d.versions with its file untouched
+async function uploadDocumentVersion(docId, blob, { name = null, date = "", note = "" }) {
+  let fileId = generateId();
+  let inlineData = null;
+  let files = [];
+
+  if (db) {
+    try {
+      files = await snapshotFiles([fileId]);
+      await saveFileToDB(fileId, blob, { name });
+    } catch (err) {
+      console.error("Error guardando la versión en DB:", err);
+      fileId = null;
+    }
+  } else {
+    fileId = null;
+  }
+  // fallback: store inline, same as saveDocument
+  if (!fileId) inlineData = await blobToDataUrl(blob);
+
+  const d = findCurrentDocument(docId);
+  if (!d) return;
+
+  recordHistory("Nueva versión de documento", { files });
+
+  const previous = {
+    id: generateId(),
+    fileId: d.fileId,
+    type: d.type,
+    date: d.date,
+    note: d.versionNote || "",
+  };
+  if (d.file) previous.file = d.file;
+  d.versions = [...(d.versions || []), previous];
+
+  d.type = blob.type || "application/octet-stream";
+  d.date = date;
+  d.versionNote = note;
+  if (fileId) {
+    d.fileId = fileId;
+    delete d.file;
+  } else {
+    delete d.fileId;
+    d.file = inlineData;
+  }
+
+  saveAppState();
+  renderCurrentDocuments();
+
+  if (fileId)
+    indexDocumentText(d, blob, name).catch((err) =>
+      console.warn("No se pudo indexar el texto del documento:", err)
+    );
+}
+
+// Restoring copies the old file into a new latest version, so the history
+// keeps every version in the order it was uploaded
+async function restoreDocumentVersion(d, number) {
+  const v = (d.versions || [])[number - 1];
+  if (!v) return;
+  if (!confirm(`¿Restaurar la versión ${number} como versión actual?`)) return;
+
+  const file = await loadDocumentFile(documentAtVersion(d, v));
+  if (!file) return alert("Archivo no disponible");
+
+  closeModal();
+  await uploadDocumentVersion(d.id, file.blob, {
+    name: file.name,
+    date: new Date().toISOString().slice(0, 10),
+    note: `Restaurada desde la versión ${number}`,
+  });
+}
+
+function showDocumentVersions(d) {
+  const versions = [
+    ...(d.versions || []).map((v, i) => ({
+      number: i + 1,
+      date: v.date,
+      note: v.note,
+      doc: documentAtVersion(d, v),
+    })),
+    { number: (d.versions || []).length + 1, date: d.date, note: d.versionNote, doc: d },
+  ].reverse();
+
+  modalContent.innerHTML = `
+    <h3>Versiones de "${escapeHtml(d.title)}"</h3>
+    <div id="documentVersionsList" class="document-versions"></div>
+    <div class="panel-actions">
+      <button id="newVersionBtn">Subir nueva versión</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const list = document.getElementById("documentVersionsList");
+  versions.forEach((v, i) => {
+    const row = document.createElement("div");
+    row.className = "document-version";
+    row.innerHTML = `
+      <div class="title">Versión ${v.number}${i === 0 ? " (actual)" : ""}</div>
+      <div class="meta">${escapeHtml(formatDate(v.date))} – ${escapeHtml(v.doc.type)}</div>
+      <div>${escapeHtml(v.note || "")}</div>
+    `;
+
+    const actions = document.createElement("div");
+    actions.className = "panel-actions";
+
+    const btnOpen = document.createElement("button");
+    btnOpen.textContent = "Abrir";
+    btnOpen.onclick = () => openDocument(v.doc);
+
+    const btnDownload = document.createElement("button");
+    btnDownload.textContent = "Descargar";
+    btnDownload.onclick = () => downloadDocument(v.doc);
+
+    actions.appendChild(btnOpen);
+    actions.appendChild(btnDownload);
+
+    if (i > 0) {
+      const btnRestore = document.createElement("button");
+      btnRestore.textContent = "Restaurar";
+      btnRestore.onclick = () => restoreDocumentVersion(d, v.number);
+      actions.appendChild(btnRestore);
+    }
+
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+
+  document.getElementById("newVersionBtn").onclick = () => showDocumentVersionDialog(d);
+}
+
+// ---------- Registers ----------
+// Tables with typed columns kept in section.registers:
+// { id, title, description, schema, columns, rows, chart }
+// columns: [{ key, label, type: "text" | "number" | "date" | "select", options?, min?, max? }]
+// rows: [{ id, values: { [columnKey]: value } }] (numbers stored as numbers)
+// chart: { title, x, y, label } column keys of the heat map, or null
+
+const REGISTER_COLUMN_TYPES = {
+  text: "Texto",
+  number: "Número",
+  date: "Fecha",
+  select: "Lista de opciones",
+};
+
+const ENGAGEMENT_LEVELS = ["Desconocedor", "Reticente", "Neutral", "Partidario", "Líder"];
+
+const REGISTER_SCHEMAS = [
+  {
+    id: "risk",
+    name: "Registro de riesgos",
+    columns: [
+      { key: "code", label: "ID", type: "text" },
+      { key: "risk", label: "Riesgo", type: "text" },
+      {
+        key: "category",
+        label: "Categoría",
+        type: "select",
+        options: ["Técnico", "Externo", "Organizacional", "Dirección del proyecto"],
+      },
+      { key: "probability", label: "Probabilidad", type: "number", min: 1, max: 5 },
+      { key: "impact", label: "Impacto", type: "number", min: 1, max: 5 },
+      { key: "owner", label: "Responsable", type: "text" },
+      {
+        key: "response",
+        label: "Estrategia",
+        type: "select",
+        options: ["Evitar", "Mitigar", "Transferir", "Aceptar", "Escalar", "Explotar", "Mejorar", "Compartir"],
+      },
+      {
+        key: "status",
+        label: "Estado",
+        type: "select",
+        options: ["Abierto", "En seguimiento", "Cerrado"],
+      },
+      { key: "reviewDate", label: "Revisión", type: "date" },
+    ],
+    chart: {
+      title: "Mapa de calor probabilidad × impacto",
+      x: "impact",
+      y: "probability",
+      label: "code",
+    },
+  },
+  {
+    id: "stakeholder",
+    name: "Registro de interesados",
+    columns: [
+      { key: "name", label: "Interesado", type: "text" },
+      { key: "role", label: "Rol", type: "text" },
+      { key: "organization", label: "Organización", type: "text" },
+      { key: "power", label: "Poder", type: "number", min: 1, max: 5 },
+      { key: "interest", label: "Interés", type: "number", min: 1, max: 5 },
+      { key: "engagement", label: "Compromiso actual", type: "select", options: ENGAGEMENT_LEVELS },
+      { key: "desired", label: "Compromiso deseado", type: "select", options: ENGAGEMENT_LEVELS },
+      { key: "strategy", label: "Estrategia", type: "text" },
+    ],
+    chart: { title: "Matriz poder × interés", x: "interest", y: "power", label: "name" },
+  },
+  {
+    id: "issue",
+    name: "Registro de incidentes",
+    columns: [
+      { key: "code", label: "ID", type: "text" },
+      { key: "issue", label: "Incidente", type: "text" },
+      { key: "priority", label: "Prioridad", type: "select", options: ["Alta", "Media", "Baja"] },
+      { key: "owner", label: "Responsable", type: "text" },
+      { key: "raised", label: "Fecha de registro", type: "date" },
+      { key: "due", label: "Fecha límite", type: "date" },
+      {
+        key: "status",
+        label: "Estado",
+        type: "select",
+        options: ["Abierto", "En curso", "Resuelto", "Cerrado"],
+      },
+      { key: "resolution", label: "Resolución", type: "text" },
+    ],
+    chart: null,
+  },
+  {
+    id: "lessons",
+    name: "Registro de lecciones aprendidas",
+    columns: [
+      { key: "date", label: "Fecha", type: "date" },
+      { key: "area", label: "Área de conocimiento", type: "text" },
+      { key: "situation", label: "Situación", type: "text" },
+      { key: "effect", label: "Efecto", type: "select", options: ["Positivo", "Negativo"] },
+      { key: "recommendation", label: "Recomendación", type: "text" },
+      { key: "author", label: "Registrado por", type: "text" },
+    ],
+    chart: null,
+  },
+  {
+    id: "custom",
+    name: "Registro personalizado",
+    columns: [
+      { key: "item", label: "Elemento", type: "text" },
+      { key: "notes", label: "Notas", type: "text" },
+    ],
+    chart: null,
+  },
+];
+
+let editingRegisterId = null;
+// Sorting and filters of the open register; view settings, not saved
+let registerView = { sortKey: null, sortDir: 1, filters: {} };
+
+function createRegister(schema, title) {
+  const copy = JSON.parse(JSON.stringify(schema));
+  return {
+    id: generateId(),
+    title,
+    description: "",
+    schema: schema.id,
+    columns: copy.columns,
+    rows: [],
+    chart: copy.chart,
+  };
+}
+
+function findCurrentRegister(id) {
+  const section = getCurrentSection();
+  return (section?.registers || []).find((r) => r.id === id) || null;
+}
+
+function showNewRegisterDialog() {
+  if (!getCurrentSection()) return alert("Selecciona un capítulo o sección");
+
+  modalContent.innerHTML = `
+    <h3>Nuevo registro</h3>
+    <label>Tipo:
+      <select id="newRegisterSchema">
+        ${REGISTER_SCHEMAS.map(
+          (s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`
+        ).join("")}
+      </select>
+    </label>
+    <label>Título:
+      <input id="newRegisterTitle" />
+    </label>
+    <div class="panel-actions">
+      <button id="newRegisterOkBtn">Crear</button>
+      <button id="newRegisterCancelBtn">Cancelar</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const schemaSelect = document.getElementById("newRegisterSchema");
+  const titleInput = document.getElementById("newRegisterTitle");
+  titleInput.value = REGISTER_SCHEMAS[0].name;
+
+  // follow the type while the title is still a default one
+  schemaSelect.addEventListener("change", () => {
+    if (!titleInput.value.trim() || REGISTER_SCHEMAS.some((s) => s.name === titleInput.value))
+      titleInput.value = REGISTER_SCHEMAS.find((s) => s.id === schemaSelect.value).name;
+  });
+
+  document.getElementById("newRegisterOkBtn").onclick = () => {
+    closeModal();
+    addRegister(schemaSelect.value, titleInput.value.trim());
+  };
+  document.getElementById("newRegisterCancelBtn").onclick = closeModal;
+}
+
+function addRegister(schemaId, title) {
+  const section = getCurrentSection();
+  const schema = REGISTER_SCHEMAS.find((s) => s.id === schemaId) || REGISTER_SCHEMAS[0];
+  const register = createRegister(schema, title || schema.name);
+
+  recordHistory("Agregar registro");
+  if (!section.registers) section.registers = [];
+  section.registers.push(register);
+
+  saveAppState();
+  renderCurrentRegisters();
+  openRegister(register);
+}
+
+function deleteRegister(id) {
+  const section = getCurrentSection();
+
+  recordHistory("Eliminar registro");
+  section.registers = section.registers.filter((r) => r.id !== id);
+  saveAppState();
+  renderCurrentRegisters();
+}
+
+function openRegister(register) {
+  if (editingRegisterId !== register.id)
+    registerView = { sortKey: null, sortDir: 1, filters: {} };
+  editingRegisterId = register.id;
+
+  diagramEditor.classList.add("hidden");
+  documentEditor.classList.add("hidden");
+  editingDiagramId = null;
+  editingDocId = null;
+  registerEditor.classList.remove("hidden");
+
+  renderRegisterEditor();
+  registerEditor.scrollIntoView({ behavior: "smooth" });
+}
+
+function closeRegisterEditor() {
+  editingRegisterId = null;
+  registerEditor.classList.add("hidden");
+}
+
+// Redraws the open register from the state (after undo, imports, ...)
+function renderRegisterEditor() {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return closeRegisterEditor();
+
+  const schema = REGISTER_SCHEMAS.find((s) => s.id === register.schema);
+  registerEditorTitle.textContent = schema ? schema.name : "Registro";
+  registerTitle.value = register.title;
+  registerDescription.value = register.description || "";
+
+  renderRegisterTable(register);
+  renderRegisterChart(register);
+}
+
+function saveRegisterFields() {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return;
+
+  recordHistory("Editar registro", { coalesceKey: "register:" + register.id });
+  register.title = registerTitle.value;
+  register.description = registerDescription.value;
+  saveAppState();
+  renderCurrentRegisters();
+}
+
+function isEmptyRegisterValue(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function compareRegisterValues(column, a, b) {
+  // blanks always go last
+  if (isEmptyRegisterValue(a) || isEmptyRegisterValue(b))
+    return isEmptyRegisterValue(a) - isEmptyRegisterValue(b);
+  if (column.type === "number") return Number(a) - Number(b);
+  if (column.type === "select" && column.options) {
+    const ia = column.options.indexOf(a);
+    const ib = column.options.indexOf(b);
+    if (ia !== -1 && ib !== -1) return ia - ib;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Rows left by the filters of registerView, in its sort order
+function registerVisibleRows(register) {
+  const { sortKey, sortDir, filters } = registerView;
+
+  const rows = register.rows.filter((row) =>
+    register.columns.every((column) => {
+      const filter = filters[column.key];
+      if (!filter) return true;
+      const value = row.values[column.key];
+      if (column.type === "select") return String(value ?? "") === filter;
+      return normalizeForSearch(String(value ?? "")).normalized.includes(
+        normalizeForSearch(filter).normalized
+      );
+    })
+  );
+
+  const column = register.columns.find((c) => c.key === sortKey);
+  if (!column) return rows;
+
+  return rows.sort((a, b) => {
+    const va = a.values[sortKey];
+    const vb = b.values[sortKey];
+    if (isEmptyRegisterValue(va) || isEmptyRegisterValue(vb))
+      return compareRegisterValues(column, va, vb);
+    return compareRegisterValues(column, va, vb) * sortDir;
+  });
+}
+
+function renderRegisterTable(register) {
+  registerTable.innerHTML = "";
+
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  const filterRow = document.createElement("tr");
+
+  register.columns.forEach((column) => {
+    const th = document.createElement("th");
+
+    const sortBtn = document.createElement("button");
+    sortBtn.className = "register-sort";
+    sortBtn.title = `Ordenar por ${column.label}`;
+    sortBtn.textContent =
+      column.label +
+      (registerView.sortKey === column.key ? (registerView.sortDir > 0 ? " ▲" : " ▼") : "");
+    // ascending, descending, unsorted
+    sortBtn.onclick = () => {
+      if (registerView.sortKey !== column.key) {
+        registerView.sortKey = column.key;
+        registerView.sortDir = 1;
+      } else if (registerView.sortDir > 0) {
+        registerView.sortDir = -1;
+      } else {
+        registerView.sortKey = null;
+      }
+      renderRegisterTable(register);
+    };
+
+    const delBtn = document.createElement("button");
+    delBtn.className = "register-column-delete";
+    delBtn.textContent = "×";
+    delBtn.title = `Eliminar columna ${column.label}`;
+    delBtn.onclick = () => {
+      if (confirm(`¿Eliminar la columna "${column.label}" y sus valores?`))
+        deleteRegisterColumn(register, column.key);
+    };
+
+    th.appendChild(sortBtn);
+    th.appendChild(delBtn);
+    headRow.appendChild(th);
+
+    const filterCell = document.createElement("th");
+    filterCell.appendChild(createRegisterFilter(register, column));
+    filterRow.appendChild(filterCell);
+  });
+
+  headRow.appendChild(document.createElement("th"));
+  filterRow.appendChild(document.createElement("th"));
+  thead.appendChild(headRow);
+  thead.appendChild(filterRow);
+
+  registerTable.appendChild(thead);
+  registerTable.appendChild(document.createElement("tbody"));
+  renderRegisterRows(register);
+}
+
+// Only the body is redrawn while filtering, so the filter keeps the focus
+function renderRegisterRows(register) {
+  const tbody = registerTable.querySelector("tbody");
+  tbody.innerHTML = "";
+
+  const rows = registerVisibleRows(register);
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.dataset.rowId = row.id;
+
+    register.columns.forEach((column) => {
+      const td = document.createElement("td");
+      td.appendChild(createRegisterCellInput(register, row, column));
+      tr.appendChild(td);
+    });
+
+    const actions = document.createElement("td");
+    const delBtn = document.createElement("button");
+    delBtn.className = "register-row-delete";
+    delBtn.textContent = "Eliminar";
+    delBtn.onclick = () => {
+      if (confirm("¿Eliminar fila?")) deleteRegisterRow(register, row.id);
+    };
+    actions.appendChild(delBtn);
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+  });
+
+  if (!rows.length) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = register.columns.length + 1;
+    td.className = "register-empty";
+    td.textContent = register.rows.length
+      ? "Ninguna fila coincide con los filtros"
+      : "Sin filas. Usa “+ Fila” o importa un CSV.";
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  }
+}
+
+function createRegisterFilter(register, column) {
+  let input;
+  if (column.type === "select") {
+    input = document.createElement("select");
+    ["", ...(column.options || [])].forEach((option) => {
+      const el = document.createElement("option");
+      el.value = option;
+      el.textContent = option || "(todos)";
+      input.appendChild(el);
+    });
+  } else {
+    input = document.createElement("input");
+    input.type = "search";
+    input.placeholder = "Filtrar…";
+  }
+
+  input.className = "register-filter";
+  input.setAttribute("aria-label", `Filtrar por ${column.label}`);
+  input.value = registerView.filters[column.key] || "";
+  input.addEventListener(column.type === "select" ? "change" : "input", () => {
+    registerView.filters[column.key] = input.value;
+    renderRegisterRows(register);
+    renderRegisterChart(register);
+  });
+  return input;
+}
+
+function createRegisterCellInput(register, row, column) {
+  const value = row.values[column.key] ?? "";
+  let input;
+
+  if (column.type === "select") {
+    input = document.createElement("select");
+    const options = ["", ...(column.options || [])];
+    // values that are no longer an option (e.g. from a CSV) stay selectable
+    if (value !== "" && !options.includes(value)) options.push(value);
+    options.forEach((option) => {
+      const el = document.createElement("option");
+      el.value = option;
+      el.textContent = option;
+      input.appendChild(el);
+    });
+  } else {
+    input = document.createElement("input");
+    input.type = column.type === "number" || column.type === "date" ? column.type : "text";
+    if (column.min !== undefined) input.min = column.min;
+    if (column.max !== undefined) input.max = column.max;
+  }
+
+  input.value = value;
+  input.setAttribute("aria-label", column.label);
+  input.addEventListener(column.type === "text" || column.type === "number" ? "input" : "change", () => {
+    recordHistory("Editar registro", { coalesceKey: "register:" + register.id });
+    const { value } = coerceRegisterValue(column, input.value);
+    if (value === "") delete row.values[column.key];
+    else row.values[column.key] = value;
+    saveAppState();
+    // the table is not redrawn, so typing keeps its focus and sort position
+    renderRegisterChart(register);
+  });
+  return input;
+}
+
+// Converts text (from an input or a CSV cell) to the column's type.
+// Returns { value, valid }; value is "" for blanks and invalid input.
+function coerceRegisterValue(column, raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { value: "", valid: true };
+
+  if (column.type === "number") {
+    const n = Number(text.replace(",", "."));
+    return Number.isFinite(n) ? { value: n, valid: true } : { value: "", valid: false };
+  }
+
+  if (column.type === "date") {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { value: text, valid: true };
+    const m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!m) return { value: "", valid: false };
+    const pad = (n) => n.padStart(2, "0");
+    return { value: `${m[3]}-${pad(m[2])}-${pad(m[1])}`, valid: true };
+  }
+
+  return { value: text, valid: true };
+}
+
+function addRegisterRow() {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return;
+
+  recordHistory("Agregar fila");
+  const row = { id: generateId(), values: {} };
+  register.rows.push(row);
+  saveAppState();
+
+  // a new empty row would be hidden by any active filter
+  registerView.filters = {};
+  renderRegisterTable(register);
+  renderRegisterChart(register);
+  renderCurrentRegisters();
+
+  const input = registerTable.querySelector(`tr[data-row-id="${row.id}"] input, tr[data-row-id="${row.id}"] select`);
+  if (input) input.focus();
+}
+
+function deleteRegisterRow(register, rowId) {
+  recordHistory("Eliminar fila");
+  register.rows = register.rows.filter((r) => r.id !== rowId);
+  saveAppState();
+  renderRegisterRows(register);
+  renderRegisterChart(register);
+  renderCurrentRegisters();
+}
+
+function promptRegisterColumn() {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return;
+
+  modalContent.innerHTML = `
+    <h3>Nueva columna</h3>
+    <label>Nombre:
+      <input id="registerColumnLabel" />
+    </label>
+    <label>Tipo:
+      <select id="registerColumnType">
+        ${Object.entries(REGISTER_COLUMN_TYPES)
+          .map(([type, label]) => `<option value="${type}">${escapeHtml(label)}</option>`)
+          .join("")}
+      </select>
+    </label>
+    <label id="registerColumnOptionsRow" style="display:none">Opciones (separadas por comas):
+      <input id="registerColumnOptions" />
+    </label>
+    <div class="panel-actions">
+      <button id="registerColumnOkBtn">Agregar</button>
+      <button id="registerColumnCancelBtn">Cancelar</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const labelInput = document.getElementById("registerColumnLabel");
+  const typeSelect = document.getElementById("registerColumnType");
+  const optionsRow = document.getElementById("registerColumnOptionsRow");
+  const optionsInput = document.getElementById("registerColumnOptions");
+  labelInput.focus();
+
+  typeSelect.addEventListener("change", () => {
+    optionsRow.style.display = typeSelect.value === "select" ? "" : "none";
+  });
+
+  document.getElementById("registerColumnOkBtn").onclick = () => {
+    const label = labelInput.value.trim();
+    if (!label) return alert("Escribe el nombre de la columna");
+
+    const column = { key: generateId(), label, type: typeSelect.value };
+    if (column.type === "select") {
+      column.options = optionsInput.value
+        .split(",")
+        .map((o) => o.trim())
+        .filter(Boolean);
+      if (!column.options.length) return alert("Escribe al menos una opción");
+    }
+
+    closeModal();
+    recordHistory("Agregar columna");
+    register.columns.push(column);
+    saveAppState();
+    renderRegisterTable(register);
+  };
+  document.getElementById("registerColumnCancelBtn").onclick = closeModal;
+}
+
+function deleteRegisterColumn(register, key) {
+  recordHistory("Eliminar columna");
+  register.columns = register.columns.filter((c) => c.key !== key);
+  register.rows.forEach((row) => delete row.values[key]);
+  if (register.chart && [register.chart.x, register.chart.y].includes(key))
+    register.chart = null;
+
+  delete registerView.filters[key];
+  if (registerView.sortKey === key) registerView.sortKey = null;
+
+  saveAppState();
+  renderRegisterTable(register);
+  renderRegisterChart(register);
+}
+
+function renderRegisterChart(register) {
+  registerChart.innerHTML = registerHeatMapHtml(register, registerVisibleRows(register));
+}
+
+// Heat map of the rows over the chart's two 1–5 (or min–max) columns, as an
+// HTML string so the static site export can use it too
+function registerHeatMapHtml(register, rows) {
+  const chart = register.chart;
+  if (!chart) return "";
+  const xColumn = register.columns.find((c) => c.key === chart.x);
+  const yColumn = register.columns.find((c) => c.key === chart.y);
+  const labelColumn = register.columns.find((c) => c.key === chart.label);
+  if (!xColumn || !yColumn) return "";
+
+  const range = (column) => {
+    const values = [];
+    for (let v = column.min ?? 1; v <= (column.max ?? 5); v++) values.push(v);
+    return values;
+  };
+  const xs = range(xColumn);
+  const ys = range(yColumn).reverse();
+  const maxScore = xs[xs.length - 1] * ys[0];
+
+  const cells = new Map();
+  let outside = 0;
+  rows.forEach((row, i) => {
+    const x = row.values[xColumn.key];
+    const y = row.values[yColumn.key];
+    if (!xs.includes(x) || !ys.includes(y)) {
+      outside++;
+      return;
+    }
+    const label = (labelColumn && row.values[labelColumn.key]) || `#${i + 1}`;
+    const key = `${x}:${y}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(String(label));
+  });
+
+  const level = (score) =>
+    score <= maxScore * 0.2 ? "low" : score <= maxScore * 0.5 ? "medium" : "high";
+
+  const body = ys
+    .map(
+      (y) => `<tr><th>${y}</th>${xs
+        .map((x) => {
+          const labels = cells.get(`${x}:${y}`) || [];
+          return `<td class="heat-${level(x * y)}" title="${escapeHtml(labels.join(", "))}">${
+            labels.length
+              ? `<div class="heat-count">${labels.length}</div><div>${escapeHtml(
+                  labels.slice(0, 3).join(", ") + (labels.length > 3 ? "…" : "")
+                )}</div>`
+              : ""
+          }</td>`;
+        })
+        .join("")}</tr>`
+    )
+    .join("");
+
+  return `
+    <table>
+      <caption>${escapeHtml(chart.title || "")}</caption>
+      <thead><tr><th>${escapeHtml(yColumn.label)} \\ ${escapeHtml(xColumn.label)}</th>${xs
+        .map((x) => `<th>${x}</th>`)
+        .join("")}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    ${
+      outside
+        ? `<p class="meta">${outside} fila(s) sin ${escapeHtml(yColumn.label)} o ${escapeHtml(
+            xColumn.label
+          )} válidos no aparecen en el mapa.</p>`
+        : ""
+    }`;
+}
+
+// ---------- Register CSV ----------
+function registerToCsv(register) {
+  const quote = (value) => {
+    const text = String(value ?? "");
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [register.columns.map((c) => quote(c.label)).join(",")];
+  register.rows.forEach((row) =>
+    lines.push(register.columns.map((c) => quote(row.values[c.key])).join(","))
+  );
+  // the BOM makes spreadsheet programs read the accents as UTF-8
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Parses CSV text into rows of fields. The delimiter (comma, semicolon or
+// tab) is whichever splits the header line into the most fields.
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce(
+    (best, d) => (header.split(d).length > header.split(best).length ? d : best),
+    ","
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function exportRegisterCsv() {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return;
+
+  const blob = new Blob([registerToCsv(register)], { type: "text/csv;charset=utf-8" });
+  downloadBlob(blob, `${register.title || "registro"}.csv`);
+}
+
+// Appends the CSV rows to the open register. Headers are matched to columns by
+// label (or key); unknown headers become new text columns.
+async function importRegisterCsv(file) {
+  const register = findCurrentRegister(editingRegisterId);
+  if (!register) return;
+
+  let table;
+  try {
+    table = parseCsv(await file.text());
+  } catch (err) {
+    console.error("Error leyendo el CSV:", err);
+    return alert("No se pudo leer el archivo CSV.");
+  }
+  if (table.length < 2) return alert("El CSV no tiene filas de datos.");
+
+  const [header, ...data] = table;
+  const norm = (text) => normalizeForSearch(String(text).trim()).normalized;
+
+  recordHistory("Importar CSV");
+
+  const added = [];
+  const columns = header.map((label) => {
+    let column = register.columns.find(
+      (c) => norm(c.label) === norm(label) || norm(c.key) === norm(label)
+    );
+    if (!column && label.trim()) {
+      column = { key: generateId(), label: label.trim(), type: "text" };
+      register.columns.push(column);
+      added.push(column.label);
+    }
+    return column;
+  });
+
+  let invalid = 0;
+  data.forEach((cells) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const { value, valid } = coerceRegisterValue(column, cells[i]);
+      if (!valid) invalid++;
+      if (value !== "") values[column.key] = value;
+    });
+    register.rows.push({ id: generateId(), values });
+  });
+
+  saveAppState();
+  renderRegisterEditor();
+  renderCurrentRegisters();
+
+  alert(
+    [
+      `Filas importadas: ${data.length}`,
+      added.length ? `Columnas nuevas: ${added.join(", ")}` : "",
+      invalid ? `Valores que no coinciden con el tipo de su columna (omitidos): ${invalid}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+}
+
+function renderCurrentRegisters() {
+  const section = getCurrentSection();
+  renderRegisters(section?.registers || []);
+  // the open register may have been moved, deleted or undone
+  if (editingRegisterId && !findCurrentRegister(editingRegisterId)) closeRegisterEditor();
+}
+
+function renderRegisters(registers) {
+  if (!registers.length) {
+    registersList.innerHTML = `<div class="card">No hay registros</div>`;
+    return;
+  }
+
+  registersList.innerHTML = "";
+
+  registers.forEach((r, index) => {
+    const el = document.createElement("div");
+    el.className = "card";
+    el.tabIndex = 0;
+    attachCardDragHandlers(el, "registers", r);
+
+    const schema = REGISTER_SCHEMAS.find((s) => s.id === r.schema);
+    el.innerHTML = `
+      <div class="title">${escapeHtml(r.title)}</div>
+      <div class="meta">${escapeHtml(schema ? schema.name : "Registro")} – ${r.rows.length} fila(s)</div>
+      <div>${escapeHtml(r.description)}</div>
+    `;
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+
+    const btnOpen = document.createElement("button");
+    btnOpen.textContent = "Abrir";
+    btnOpen.dataset.cardAction = "open";
+    btnOpen.onclick = () => openRegister(r);
+
+    const btnDel = document.createElement("button");
+    btnDel.textContent = "Eliminar";
+    btnDel.dataset.cardAction = "delete";
+    btnDel.onclick = () => {
+      if (confirm("¿Eliminar registro?")) deleteRegister(r.id);
+    };
+
+    actions.appendChild(btnOpen);
+    actions.appendChild(btnDel);
+
+    el.appendChild(actions);
+    el.appendChild(createCardMoveControls("registers", r, index, registers.length));
+
+    registersList.appendChild(el);
+  });
+}
+
+// ---------- Moving sections and attachments ----------
+// What is being dragged: { type: "section", id } or { type: "item", listKey, id }
+let dragState = null;
+
+// Moves a section (with its subtree) under parentId (null = chapter level)
+// at the given index. Returns false if the move would nest it inside itself.
+function moveSection(id, parentId, index) {
+  const entry = findSectionEntry(id);
+  if (!entry) return false;
+
+  if (parentId) {
+    const target = findSectionEntry(parentId);
+    if (!target || parentId === id || target.ancestors.some((a) => a.id === id))
+      return false;
+  }
+
+  const targetList = parentId ? findSection(parentId).children : appState.chapters;
+  const from = entry.siblings.indexOf(entry.section);
+
+  recordHistory("Mover sección");
+  entry.siblings.splice(from, 1);
+  if (entry.siblings === targetList && from < index) index--;
+  index = Math.max(0, Math.min(index, targetList.length));
+  targetList.splice(index, 0, entry.section);
+
+  if (parentId) findSection(parentId).expanded = true;
+
+  saveAppState();
+  // re-select to refresh the breadcrumb of a moved current section
+  if (appState.currentSection) selectSection(appState.currentSection);
+  else renderChapters();
+  return true;
+}
+
+function moveSectionBy(id, delta) {
+  const entry = findSectionEntry(id);
+  if (!entry) return;
+
+  const from = entry.siblings.indexOf(entry.section);
+  const to = from + delta;
+  if (to < 0 || to >= entry.siblings.length) return;
+
+  const parent = entry.ancestors[entry.ancestors.length - 1];
+  // moveSection inserts before the item at index, so skip one more going down
+  moveSection(id, parent ? parent.id : null, delta > 0 ? to + 1 : to);
+}
+
+function focusSectionHeader(id) {
+  const header = chaptersList.querySelector(`[data-id="${id}"]`);
+  if (header) header.focus();
+}
+
+const MOVE_ATTACHMENT_LABELS = {
+  diagrams: "Mover diagrama",
+  documents: "Mover documento",
+  registers: "Mover registro",
+};
+
+// Moves a diagram, document or register to another section (or position). The
+// item object keeps its fileId, so its IndexedDB file stays linked after the move.
+function moveAttachment(listKey, itemId, toSectionId, index) {
+  let from = null;
+  walkSections(appState.chapters, (section) => {
+    if ((section[listKey] || []).some((item) => item.id === itemId)) from = section;
+  });
+
+  const to = findSection(toSectionId);
+  if (!from || !to) return;
+
+  recordHistory(MOVE_ATTACHMENT_LABELS[listKey]);
+
+  const fromIdx = from[listKey].findIndex((item) => item.id === itemId);
+  const [item] = from[listKey].splice(fromIdx, 1);
+
+  if (!to[listKey]) to[listKey] = [];
+  if (index === undefined) index = to[listKey].length;
+  else if (from === to && fromIdx < index) index--;
+  to[listKey].splice(Math.max(0, Math.min(index, to[listKey].length)), 0, item);
+
+  saveAppState();
+  renderCurrentDiagrams();
+  renderCurrentDocuments();
+  renderCurrentRegisters();
+  renderReferencesPanel();
+}
+
+// Asks for a destination section. Resolves with its id, "" for the chapter
+// level (only when allowRoot) or null if cancelled.
+function pickSectionTarget({ title, excludeId, allowRoot }) {
+  return new Promise((resolve) => {
+    const options = [];
+    if (allowRoot) options.push(`<option value="">(Nivel de capítulos)</option>`);
+
+    walkSections(appState.chapters, (section, ancestors) => {
+      if (section.id === excludeId || ancestors.some((a) => a.id === excludeId))
+        return;
+      const indent = "&nbsp;&nbsp;".repeat(ancestors.length);
+      options.push(
+        `<option value="${escapeHtml(section.id)}">${indent}${escapeHtml(section.title)}</option>`
+      );
+    });
+
+    modalContent.innerHTML = `
+      <h3>${escapeHtml(title)}</h3>
+      <select id="moveTargetSelect" class="move-target-select" size="12">
+        ${options.join("")}
+      </select>
+      <div class="panel-actions">
+        <button id="moveTargetOkBtn">Mover</button>
+        <button id="moveTargetCancelBtn">Cancelar</button>
+      </div>
+    `;
+    modal.classList.remove("hidden");
+
+    const select = document.getElementById("moveTargetSelect");
+    select.selectedIndex = 0;
+    select.focus();
+
+    const onClose = () => resolve(null);
+    modalClose.addEventListener("click", onClose, { once: true });
+
+    const finish = (value) => {
+      modalClose.removeEventListener("click", onClose);
+      closeModal();
+      resolve(value);
+    };
+
+    document.getElementById("moveTargetOkBtn").onclick = () =>
+      finish(select.selectedIndex >= 0 ? select.value : null);
+    document.getElementById("moveTargetCancelBtn").onclick = () => finish(null);
+    select.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(select.value);
+    });
+  });
+}
+
+async function promptMoveSection(id) {
+  const section = id && findSection(id);
+  if (!section) return alert("Selecciona un capítulo o sección");
+
+  const target = await pickSectionTarget({
+    title: `Mover "${section.title}" a…`,
+    excludeId: id,
+    allowRoot: true,
+  });
+  if (target === null) return;
+
+  const list = target ? findSection(target).children : appState.chapters;
+  moveSection(id, target || null, list.length);
+}
+
+async function promptMoveAttachment(listKey, item) {
+  const target = await pickSectionTarget({
+    title: `Mover "${item.title}" a…`,
+    allowRoot: false,
+  });
+  if (target) moveAttachment(listKey, item.id, target);
+}
+
+function clearDropIndicators() {
+  document
+    .querySelectorAll(".drop-before, .drop-after, .drop-inside")
+    .forEach((el) => el.classList.remove("drop-before", "drop-after", "drop-inside"));
+}
+
+// Section headers accept sections (before / inside / after, by pointer height)
+// and cards (always moved inside the section).
+function getSectionDropPosition(e, header, section) {
+  if (!dragState) return null;
+  if (dragState.type === "item") return "inside";
+
+  const entry = findSectionEntry(section.id);
+  if (section.id === dragState.id || entry.ancestors.some((a) => a.id === dragState.id))
+    return null;
+
+  const rect = header.getBoundingClientRect();
+  const y = (e.clientY - rect.top) / (rect.height || 1);
+  if (y < 0.25) return "before";
+  if (y > 0.75) return "after";
+  return "inside";
+}
+
+function attachSectionDragHandlers(header, section) {
+  header.draggable = true;
+
+  header.addEventListener("dragstart", (e) => {
+    e.stopPropagation();
+    dragState = { type: "section", id: section.id };
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", section.id);
+  });
+
+  header.addEventListener("dragend", () => {
+    dragState = null;
+    clearDropIndicators();
+  });
+
+  header.addEventListener("dragover", (e) => {
+    const pos = getSectionDropPosition(e, header, section);
+    if (!pos) return;
+    e.preventDefault();
+    clearDropIndicators();
+    header.classList.add("drop-" + pos);
+  });
+
+  header.addEventListener("dragleave", () => {
+    header.classList.remove("drop-before", "drop-after", "drop-inside");
+  });
+
+  header.addEventListener("drop", (e) => {
+    const pos = getSectionDropPosition(e, header, section);
+    const drag = dragState;
+    dragState = null;
+    clearDropIndicators();
+    if (!pos) return;
+    e.preventDefault();
+
+    if (drag.type === "item") {
+      moveAttachment(drag.listKey, drag.id, section.id);
+      return;
+    }
+
+    if (pos === "inside") {
+      moveSection(drag.id, section.id, section.children.length);
+    } else {
+      const entry = findSectionEntry(section.id);
+      const parent = entry.ancestors[entry.ancestors.length - 1];
+      const index = entry.siblings.indexOf(section) + (pos === "after" ? 1 : 0);
+      moveSection(drag.id, parent ? parent.id : null, index);
+    }
+  });
+}
+
+// Cards can be reordered within their list or dropped on a sidebar section
+function attachCardDragHandlers(el, listKey, item) {
+  el.draggable = true;
+
+  el.addEventListener("dragstart", (e) => {
+    dragState = { type: "item", listKey, id: item.id };
+    el.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", item.id);
+  });
+
+  el.addEventListener("dragend", () => {
+    dragState = null;
+    el.classList.remove("dragging");
+    clearDropIndicators();
+  });
+
+  const dropPosition = (e) => {
+    if (!dragState || dragState.type !== "item" || dragState.listKey !== listKey)
+      return null;
+    if (dragState.id === item.id) return null;
+    const rect = el.getBoundingClientRect();
+    return e.clientX - rect.left < rect.width / 2 ? "before" : "after";
+  };
+
+  el.addEventListener("dragover", (e) => {
+    const pos = dropPosition(e);
+    if (!pos) return;
+    e.preventDefault();
+    clearDropIndicators();
+    el.classList.add("drop-" + pos);
+  });
+
+  el.addEventListener("dragleave", () => {
+    el.classList.remove("drop-before", "drop-after");
+  });
+
+  el.addEventListener("drop", (e) => {
+    const pos = dropPosition(e);
+    const drag = dragState;
+    dragState = null;
+    clearDropIndicators();
+    if (!pos) return;
+    e.preventDefault();
+
+    const section = getCurrentSection();
+    const index =
+      section[listKey].findIndex((x) => x.id === item.id) + (pos === "after" ? 1 : 0);
+    moveAttachment(listKey, drag.id, section.id, index);
+  });
+}
+
+// Keyboard alternative to dragging cards
+function createCardMoveControls(listKey, item, index, count) {
+  const row = document.createElement("div");
+  row.className = "card-move";
+
+  const btnUp = document.createElement("button");
+  btnUp.textContent = "◀";
+  btnUp.title = "Mover antes";
+  btnUp.disabled = index === 0;
+  btnUp.onclick = () =>
+    moveAttachment(listKey, item.id, appState.currentSection, index - 1);
+
+  const btnDown = document.createElement("button");
+  btnDown.textContent = "▶";
+  btnDown.title = "Mover después";
+  btnDown.disabled = index === count - 1;
+  btnDown.onclick = () =>
+    moveAttachment(listKey, item.id, appState.currentSection, index + 2);
+
+  const btnMove = document.createElement("button");
+  btnMove.textContent = "Mover a…";
+  btnMove.onclick = () => promptMoveAttachment(listKey, item);
+
+  row.appendChild(btnUp);
+  row.appendChild(btnDown);
+  row.appendChild(btnMove);
+  return row;
+}
+
+// ---------- Project export / import ----------
+// Archive layout: project.json (appState + file manifest) and files/<fileId>.
+const PROJECT_ARCHIVE_FORMAT = "pmbok-editor-project";
+// v1 archives hold the old chapters[].subchapters[] model and are migrated on import
+const PROJECT_ARCHIVE_VERSION = 2;
+
+// Calls fn(item, kind, section) for every diagram and document in the tree
+function forEachAttachment(sections, fn) {
+  walkSections(sections, (section) => {
+    (section.diagrams || []).forEach((d) => fn(d, "diagram", section));
+    (section.documents || []).forEach((d) => fn(d, "document", section));
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportProject() {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la exportación no está disponible.");
+
+  const zip = new JSZip();
+  const files = [];
+  const missing = [];
+
+  const items = [];
+  forEachAttachment(appState.chapters, (item) => {
+    if (item.fileId) items.push(item);
+  });
+  forEachDescriptionFile(appState.chapters, (fileId, section) =>
+    items.push({ fileId, title: `${section.title} (imagen de la descripción)` })
+  );
+  forEachDocumentVersion(appState.chapters, (v, d, number) => {
+    if (v.fileId) items.push({ ...v, title: documentVersionTitle(d, number) });
+  });
+
+  for (const item of items) {
+    if (files.some((f) => f.id === item.fileId)) continue;
+
+    let record = null;
+    if (db) {
+      try {
+        record = await loadFileFromDB(item.fileId);
+      } catch (err) {
+        console.error("Error leyendo archivo para exportar:", err);
+      }
+    }
+    const inline = item.content || item.file || null;
+    if (!record && inline) record = { blob: dataUrlToBlob(inline), name: null, hash: null };
+
+    if (!record) {
+      missing.push(item.title);
+      continue;
+    }
+
+    const path = "files/" + item.fileId;
+    zip.file(path, await record.blob.arrayBuffer());
+    files.push({
+      id: item.fileId,
+      path,
+      mime: record.blob.type || "application/octet-stream",
+      name: record.name,
+      hash: record.hash,
+      ...(record.annotations?.length ? { annotations: record.annotations } : {}),
+    });
+  }
+
+  zip.file(
+    "project.json",
+    JSON.stringify(
+      {
+        format: PROJECT_ARCHIVE_FORMAT,
+        version: PROJECT_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        state: appState,
+        files,
+      },
+      null,
+      2
+    )
+  );
+
+  try {
+    const blob = await zip.generateAsync({ type: "blob" });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `proyecto-pmbok-${stamp}.zip`);
+  } catch (err) {
+    console.error("Error generando el archivo de exportación:", err);
+    return alert("No se pudo generar el archivo de exportación.");
+  }
+
+  if (missing.length)
+    alert(
+      "Proyecto exportado, pero estos elementos no tienen archivo y se exportaron sin él:\n- " +
+        missing.join("\n- ")
+    );
+}
+
+// Asks whether to merge the imported chapters or replace the project.
+// Resolves with "merge", "replace" or null (cancelled).
+function askImportMode(chapterCount) {
+  return new Promise((resolve) => {
+    modalContent.innerHTML = `
+      <h3>Importar proyecto</h3>
+      <p>El archivo contiene ${chapterCount} capítulo(s).</p>
+      <div class="panel-actions">
+        <button id="importMergeBtn">Combinar con el proyecto actual</button>
+        <button id="importReplaceBtn">Reemplazar proyecto actual</button>
+        <button id="importCancelBtn">Cancelar</button>
+      </div>
+    `;
+    modal.classList.remove("hidden");
+
+    const onClose = () => resolve(null);
+    modalClose.addEventListener("click", onClose, { once: true });
+
+    const finish = (mode) => {
+      modalClose.removeEventListener("click", onClose);
+      closeModal();
+      resolve(mode);
+    };
+
+    document.getElementById("importMergeBtn").onclick = () => finish("merge");
+    document.getElementById("importReplaceBtn").onclick = () => {
+      if (confirm("Se eliminarán los capítulos y archivos actuales. ¿Continuar?"))
+        finish("replace");
+    };
+    document.getElementById("importCancelBtn").onclick = () => finish(null);
+  });
+}
+
+// Gives new ids to every section and attachment so they can be merged
+// without colliding, and points references at the new ids.
+// Returns a map of old fileId -> new fileId.
+function remapProjectIds(chapters) {
+  const fileIdMap = new Map();
+  const idMap = new Map();
+  const remapId = (item) => {
+    const id = generateId();
+    idMap.set(item.id, id);
+    item.id = id;
+  };
+
+  const remapFile = (fileId) => {
+    if (!fileIdMap.has(fileId)) fileIdMap.set(fileId, generateId());
+    return fileIdMap.get(fileId);
+  };
+
+  walkSections(chapters, (section) => {
+    remapId(section);
+    (section.registers || []).forEach((r) => (r.id = generateId()));
+    if (section.description)
+      section.description = replaceDescriptionFileRefs(
+        section.description,
+        (fileId) => DESCRIPTION_FILE_SCHEME + remapFile(fileId)
+      );
+  });
+
+  forEachAttachment(chapters, (item) => {
+    remapId(item);
+    if (item.fileId) item.fileId = remapFile(item.fileId);
+  });
+  forEachDocumentVersion(chapters, (v) => {
+    v.id = generateId();
+    if (v.fileId) v.fileId = remapFile(v.fileId);
+  });
+
+  // references to something outside these chapters keep their id
+  replaceReferenceTargets(chapters, (targetId) => idMap.get(targetId) || targetId);
+  walkSections(chapters, (section) =>
+    [section, ...(section.diagrams || []), ...(section.documents || [])].forEach((item) =>
+      (item.links || []).forEach((link) => (link.id = generateId()))
+    )
+  );
+
+  return fileIdMap;
+}
+
+async function importProject(file) {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la importación no está disponible.");
+
+  let zip, pkg;
+  try {
+    zip = await JSZip.loadAsync(file);
+    pkg = JSON.parse(await zip.file("project.json").async("string"));
+  } catch (err) {
+    console.error("Error leyendo el archivo de proyecto:", err);
+    return alert("El archivo no es un proyecto exportado válido.");
+  }
+
+  if (
+    pkg.format !== PROJECT_ARCHIVE_FORMAT ||
+    !pkg.state ||
+    !Array.isArray(pkg.state.chapters)
+  )
+    return alert("El archivo no es un proyecto exportado válido.");
+
+  const mode = await askImportMode(pkg.state.chapters.length);
+  if (!mode) return;
+
+  const chapters = migrateAppState(pkg.state).chapters;
+  const manifest = new Map((pkg.files || []).map((f) => [f.id, f]));
+  const report = {
+    restored: 0,
+    missing: [],
+    broken: [],
+    sanitized: sanitizeImportedChapters(chapters),
+  };
+
+  // Read every referenced file out of the archive before touching the project
+  const fileData = new Map();
+  const items = [];
+  forEachAttachment(chapters, (item) => {
+    if (item.fileId) items.push(item);
+  });
+  forEachDescriptionFile(chapters, (fileId, section) =>
+    items.push({ fileId, title: `${section.title} (imagen de la descripción)` })
+  );
+  forEachDocumentVersion(chapters, (v, d, number) => {
+    if (v.fileId) items.push({ ...v, title: documentVersionTitle(d, number) });
+  });
+
+  for (const item of items) {
+    if (fileData.has(item.fileId)) continue;
+
+    const entry = manifest.get(item.fileId);
+    const zipEntry = entry && zip.file(entry.path);
+    if (!zipEntry) {
+      if (!item.content && !item.file) report.missing.push(item.title);
+      continue;
+    }
+
+    try {
+      const bytes = await zipEntry.async("uint8array");
+      if (!bytes.length) throw new Error("Archivo vacío");
+      fileData.set(item.fileId, {
+        blob: new Blob([bytes], { type: entry.mime }),
+        name: entry.name || null,
+        annotations: cleanAnnotations(entry.annotations),
+      });
+    } catch (err) {
+      console.error("Archivo dañado en el proyecto importado:", err);
+      report.broken.push(item.title);
+    }
+  }
+
+  // new ids even when replacing: the archive may come from another project
+  // whose files are still stored under the old ones
+  const fileIdMap = remapProjectIds(chapters);
+  const files = new Map([...fileData].map(([id, file]) => [fileIdMap.get(id), file]));
+
+  await applyImportedChapters("Importar proyecto", chapters, mode, files, report);
+}
+
+// Stores the files read by an importer ({ blob, name, annotations? } by
+// fileId) and puts the imported chapters into the project, merged or replacing it
+async function applyImportedChapters(label, chapters, mode, files, report) {
+  const items = [];
+  forEachAttachment(chapters, (item) => {
+    if (item.fileId) items.push(item);
+  });
+  forEachDocumentVersion(chapters, (v) => {
+    if (v.fileId) items.push(v);
+  });
+
+  // the files about to be written are kept as they were, for undo
+  const previousFiles = await snapshotFiles([...files.keys()]);
+
+  for (const [fileId, file] of files) {
+    if (db) {
+      try {
+        await saveFileToDB(fileId, file.blob, {
+          name: file.name,
+          annotations: file.annotations,
+        });
+        report.restored++;
+        continue;
+      } catch (err) {
+        console.error("Error guardando archivo importado en DB:", err);
+      }
+    }
+
+    // fallback: store inline, same as when saving without IndexedDB
+    const dataUrl = await blobToDataUrl(file.blob);
+    items
+      .filter((item) => item.fileId === fileId)
+      .forEach((item) => {
+        if (item.type === "image") item.content = dataUrl;
+        else item.file = dataUrl;
+      });
+    report.restored++;
+  }
+
+  recordHistory(label, { files: previousFiles });
+
+  if (mode === "merge") {
+    appState.chapters.push(...chapters);
+  } else {
+    const keep = collectReferencedFileIds(chapters);
+    const stale = [...collectReferencedFileIds(appState.chapters)].filter(
+      (id) => !keep.has(id)
+    );
+    stale.forEach((id) => deleteStoredFile(id));
+
+    appState = {
+      chapters,
+      currentSection: null,
+    };
+  }
+
+  saveAppState();
+  renderChapters();
+  if (chapters.length) selectSection(chapters[0].id);
+
+  showImportReport(report);
+  indexPendingDocuments();
+}
+
+function showImportReport(report) {
+  const list = (titles) =>
+    `<ul>${titles.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ul>`;
+
+  modalContent.innerHTML = `
+    <h3>Proyecto importado</h3>
+    ${
+      report.sanitized.length
+        ? `<div class="import-warning">
+             <strong>Se eliminó contenido potencialmente peligroso</strong>
+             (código o marcado que podría ejecutar scripts):
+             ${list(report.sanitized)}
+           </div>`
+        : ""
+    }
+    <p>Archivos restaurados: ${report.restored}</p>
+    ${
+      report.missing.length
+        ? `<p>Archivos que faltan en el paquete:</p>${list(report.missing)}`
+        : ""
+    }
+    ${
+      report.broken.length
+        ? `<p>Archivos dañados que no se pudieron leer:</p>${list(report.broken)}`
+        : ""
+    }
+  `;
+  modal.classList.remove("hidden");
+}
+
+// ---------- Static site export ----------
+// A zip with index.html (table of contents + every section), diagrams as
+// inline SVG and attachments under files/. The page has no scripts and
+// loads nothing from the network, so it can be browsed offline.
+
+const SITE_STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 0; display: flex; color: #222; background: #f3f6f9; }
+  nav { width: 300px; height: 100vh; position: sticky; top: 0; overflow: auto; background: #2c3e50; color: white; padding: 16px; box-sizing: border-box; }
+  nav a { color: white; text-decoration: none; }
+  nav ul { list-style: none; padding-left: 14px; margin: 4px 0; }
+  nav > ul { padding-left: 0; }
+  main { flex: 1; padding: 24px; max-width: 1000px; }
+  section { background: white; border-radius: 8px; padding: 16px; margin-bottom: 16px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.06); }
+  .path { color: #6b7280; font-size: 13px; }
+  figure { margin: 12px 0; padding: 12px; background: #f6f8fa; border-radius: 6px; text-align: center; }
+  figure svg, figure img { max-width: 100%; height: auto; }
+  figcaption { margin-top: 8px; font-size: 14px; }
+  pre { text-align: left; white-space: pre-wrap; }
+  .docs li { margin-bottom: 6px; }
+  .meta { color: #6b7280; font-size: 13px; }
+  .description img { max-width: 100%; }
+  .description table { border-collapse: collapse; }
+  .description th, .description td { border: 1px solid #d0d7de; padding: 4px 8px; }
+  .register { text-align: left; overflow: auto; }
+  .register > table { border-collapse: collapse; width: 100%; font-size: 14px; background: white; }
+  .register > table th, .register > table td { border: 1px solid #e6eef5; padding: 4px 6px; text-align: left; }
+  .register-chart table { border-collapse: collapse; margin: 12px 0; }
+  .register-chart th, .register-chart td { width: 64px; height: 48px; text-align: center; font-size: 12px; border: 1px solid white; }
+  .heat-low { background: #c8e6c9; } .heat-medium { background: #ffe082; } .heat-high { background: #ef9a9a; }
+  .heat-count { font-size: 16px; font-weight: 600; }
+  .item-metadata { display: flex; flex-wrap: wrap; justify-content: inherit; gap: 4px; margin: 4px 0; font-size: 12px; }
+  .status-badge, .tag-chip { padding: 1px 8px; border-radius: 10px; background: #e6eef5; }
+  .status-review { background: #ffe082; } .status-approved { background: #c8e6c9; }
+  .owner { color: #6b7280; }
+  .links { text-align: left; font-size: 13px; margin: 4px 0; }
+  @media (max-width: 800px) { body { display: block; } nav { width: 100%; height: auto; position: static; } }
+`;
+
+function imageExtension(blob) {
+  return (blob.type.split("/")[1] || "png").replace("jpeg", "jpg").replace("+xml", "");
+}
+
+function siteTextHtml(text) {
+  return escapeHtml(text).replace(/\r?\n/g, "<br>");
+}
+
+// File names of exported attachments: only safe characters, prefixed by the
+// fileId so two attachments with the same name don't collide
+function attachmentFileName(item, name) {
+  const safeName = String(name).replace(/[^\w.-]+/g, "_");
+  return `${item.fileId || item.id}-${safeName}`;
+}
+
+function siteTocHtml(sections) {
+  if (!sections.length) return "";
+  return `<ul>${sections
+    .map(
+      (s) =>
+        `<li><a href="#sec-${escapeHtml(s.id)}">${escapeHtml(s.title)}</a>${siteTocHtml(
+          s.children || []
+        )}</li>`
+    )
+    .join("")}</ul>`;
+}
+
+async function renderMermaidToSvg(code) {
+  try {
+    const { svg } = await mermaid.render("site-" + generateId(), code);
+    return svg;
+  } catch (err) {
+    console.warn("No se pudo renderizar el diagrama Mermaid:", err);
+    return null;
+  }
+}
+
+// Items left with the default metadata show none
+function siteMetadataHtml(item) {
+  return Object.keys(exportedMetadata(item)).length ? metadataBadgesHtml(item) : "";
+}
+
+async function siteDiagramHtml(d, zip, missing) {
+  const caption = `<figcaption><strong>${escapeHtml(d.title)}</strong>${
+    d.description ? "<br>" + siteTextHtml(d.description) : ""
+  }${siteMetadataHtml(d)}</figcaption>`;
+
+  if (d.type === "mermaid") {
+    const svg = await renderMermaidToSvg(d.content || "");
+    const body = svg || `<pre>${escapeHtml(d.content)}</pre>`;
+    return `<figure>${body}${caption}</figure>`;
+  }
+
+  const blob = await loadDiagramImage(d);
+  if (!blob) {
+    missing.push(d.title);
+    return `<figure><p>Imagen no disponible</p>${caption}</figure>`;
+  }
+
+  const ext = imageExtension(blob);
+  const path = "files/" + attachmentFileName(d, `${d.title}.${ext}`);
+  zip.file(path, await blob.arrayBuffer());
+  return `<figure><img src="${escapeHtml(path)}" alt="${escapeHtml(d.title)}" />${caption}</figure>`;
+}
+
+async function siteDocumentHtml(d, zip, missing, linksHtml = "") {
+  const meta = [formatDate(d.date), d.type].filter(Boolean).join(" – ");
+  const file = await loadDocumentFile(d);
+
+  let link = escapeHtml(d.title);
+  if (file) {
+    const path = "files/" + attachmentFileName(d, documentDownloadName(d, file));
+    zip.file(path, await file.blob.arrayBuffer());
+    link = `<a href="${escapeHtml(path)}" target="_blank">${link}</a>`;
+  } else {
+    missing.push(d.title);
+  }
+
+  return `
+    <li>
+      ${link} <span class="meta">${escapeHtml(meta)}</span>
+      ${siteMetadataHtml(d)}
+      ${d.description ? `<div>${siteTextHtml(d.description)}</div>` : ""}
+      ${linksHtml}
+    </li>`;
+}
+
+// Attached links of an item; their hrefs become anchors in siteReferenceAnchors
+function siteLinksHtml(item, targets) {
+  const links = (item.links || []).filter((link) => targets.has(link.targetId));
+  if (!links.length) return "";
+  return `<ul class="links">${links
+    .map(
+      (link) =>
+        `<li>${escapeHtml(referenceType(link.type).label)}: <a href="${escapeHtml(
+          referenceHref(link.type, link.targetId)
+        )}">${escapeHtml(targets.get(link.targetId).item.title)}</a></li>`
+    )
+    .join("")}</ul>`;
+}
+
+// Reference hrefs (descriptions, Mermaid nodes, links) point at the section
+// holding the target; the page has no anchor for a target that is gone
+function siteReferenceAnchors(html, targets) {
+  return html.replace(
+    /(href=")pmbok-ref:(?:[a-z-]+\/)?([\w-]+)"/g,
+    (all, attr, targetId) => {
+      const target = targets.get(targetId);
+      return target ? `${attr}#sec-${escapeHtml(target.section.id)}"` : `${attr}#"`;
+    }
+  );
+}
+
+// Section descriptions are Markdown: rendered and sanitized like the preview,
+// with Mermaid blocks as inline SVG and pasted images copied into files/
+async function siteDescriptionHtml(section, zip, missing) {
+  if (!section.description) return "";
+  const text = await exportDescriptionFiles(
+    section.description,
+    zip,
+    "files/",
+    missing,
+    section.title
+  );
+
+  const container = document.createElement("div");
+  container.innerHTML = markdownToSafeHtml(text);
+  for (const code of container.querySelectorAll("code.language-mermaid")) {
+    const svg = await renderMermaidToSvg(code.textContent);
+    if (svg) code.closest("pre").outerHTML = `<figure>${svg}</figure>`;
+  }
+  return `<div class="description">${container.innerHTML}</div>`;
+}
+
+function siteRegisterHtml(register) {
+  const cell = (column, value) =>
+    escapeHtml(column.type === "date" ? formatDate(value) : value ?? "").replace(/\r?\n/g, "<br>");
+
+  return `
+    <figure class="register">
+      <figcaption><strong>${escapeHtml(register.title)}</strong>${
+        register.description ? "<br>" + siteTextHtml(register.description) : ""
+      }</figcaption>
+      <table>
+        <thead><tr>${register.columns.map((c) => `<th>${escapeHtml(c.label)}</th>`).join("")}</tr></thead>
+        <tbody>${register.rows
+          .map(
+            (row) =>
+              `<tr>${register.columns
+                .map((c) => `<td>${cell(c, row.values[c.key])}</td>`)
+                .join("")}</tr>`
+          )
+          .join("")}</tbody>
+      </table>
+      <div class="register-chart">${registerHeatMapHtml(register, register.rows)}</div>
+    </figure>`;
+}
+
+async function exportStaticSite() {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la exportación no está disponible.");
+
+  const zip = new JSZip();
+  const missing = [];
+  const projectName = getActiveProject().name;
+
+  const entries = [];
+  walkSections(appState.chapters, (section, ancestors) =>
+    entries.push({ section, ancestors })
+  );
+
+  const targets = buildReferenceTargets(appState.chapters);
+  const parts = [];
+  for (const { section, ancestors } of entries) {
+    const level = Math.min(ancestors.length + 2, 6);
+    const diagrams = [];
+    for (const d of section.diagrams || [])
+      diagrams.push((await siteDiagramHtml(d, zip, missing)) + siteLinksHtml(d, targets));
+    const documents = [];
+    for (const d of section.documents || [])
+      documents.push(await siteDocumentHtml(d, zip, missing, siteLinksHtml(d, targets)));
+
+    parts.push(`
+      <section id="sec-${escapeHtml(section.id)}">
+        ${
+          ancestors.length
+            ? `<div class="path">${escapeHtml(sectionPath(section, ancestors))}</div>`
+            : ""
+        }
+        <h${level}>${escapeHtml(section.title)}</h${level}>
+        ${siteMetadataHtml(section)}
+        ${siteLinksHtml(section, targets)}
+        ${await siteDescriptionHtml(section, zip, missing)}
+        ${diagrams.join("")}
+        ${(section.registers || []).map(siteRegisterHtml).join("")}
+        ${
+          documents.length
+            ? `<h${Math.min(level + 1, 6)}>Documentos</h${Math.min(level + 1, 6)}>
+               <ul class="docs">${documents.join("")}</ul>`
+            : ""
+        }
+      </section>`);
+  }
+
+  const html = `<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(projectName)}</title>
+  <style>${SITE_STYLES}</style>
+</head>
+<body>
+  <nav>
+    <h2>${escapeHtml(projectName)}</h2>
+    ${siteTocHtml(appState.chapters)}
+  </nav>
+  <main>
+    <h1>${escapeHtml(projectName)}</h1>
+    <p class="meta">Exportado el ${escapeHtml(new Date().toLocaleDateString())}</p>
+    ${parts.join("")}
+  </main>
+</body>
+</html>
+`;
+  zip.file("index.html", siteReferenceAnchors(html, targets));
+
+  try {
+    const blob = await zip.generateAsync({ type: "blob" });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `sitio-pmbok-${stamp}.zip`);
+  } catch (err) {
+    console.error("Error generando el sitio HTML:", err);
+    return alert("No se pudo generar el sitio HTML.");
+  }
+
+  if (missing.length)
+    alert(
+      "Sitio exportado, pero estos elementos no tienen archivo:\n- " +
+        missing.join("\n- ")
+    );
+}
+
+// ---------- Markdown export / import ----------
+// One .md file per chapter: sections are headings, descriptions plain text,
+// Mermaid diagrams ```mermaid fences, registers pipe tables and attachments
+// links into assets/. A `<!-- pmbok:... -->` comment before each diagram,
+// document or register keeps what Markdown can't express (date, type, original
+// name, column types, tags, status, owner, links and the id references point
+// at), and one after a heading keeps the section's. Imported items get new ids
+// and references follow them. Document versions and image annotations are not
+// exported. Hand-written files without those comments import too.
+
+const MARKDOWN_INDEX_MARKER = "<!-- pmbok:index -->";
+const MARKDOWN_ITEM_MARKER =
+  /^<!--\s*pmbok:(diagram|document|register)\s*(\{.*\})?\s*-->\s*$/;
+const MARKDOWN_DEPTH_MARKER = /^<!--\s*pmbok:depth\s+(\d+)\s*-->\s*$/;
+const MARKDOWN_SECTION_MARKER = /^<!--\s*pmbok:section\s*(\{.*\})\s*-->\s*$/;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)\s*$/;
+const MARKDOWN_BOLD_LINE = /^\*\*(.+)\*\*\s*$/;
+const MARKDOWN_IMAGE_LINE = /^!\[((?:\\.|[^\]])*)\]\(([^)]*)\)\s*$/;
+const MARKDOWN_LINK_LINE = /^\[((?:\\.|[^\]])*)\]\(([^)]*)\)\s*$/;
+const MARKDOWN_TABLE_LINE = /^\s*\|/;
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*(:?-{3,}:?\s*)?$/;
+
+// Description lines that would be read back as structure get a backslash
+const MARKDOWN_LINE_NEEDS_ESCAPE = /^(#|<!--|```|!\[|\[|\*\*|\\|\s*\|)/;
+// Section descriptions come before any item, so bold lines and tables in them
+// are read back as text and can stay as they are
+const MARKDOWN_SECTION_LINE_NEEDS_ESCAPE = /^(#|<!--|```|!\[|\[|\\)/;
+const MARKDOWN_INLINE_IMAGE = /!\[((?:\\.|[^\]])*)\]\(([^)\s]+)\)/g;
+
+const MIME_BY_EXTENSION = {
+  pdf: "application/pdf",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+};
+
+function mimeFromPath(path) {
+  const ext = path.split(".").pop().toLowerCase();
+  return MIME_BY_EXTENSION[ext] || "application/octet-stream";
+}
+
+function slugify(text) {
+  return (
+    String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "capitulo"
+  );
+}
+
+function escapeMarkdownInline(text) {
+  return String(text).replace(/([\\\[\]])/g, "\\$1");
+}
+
+function unescapeMarkdownInline(text) {
+  return text.replace(/\\([\\\[\]])/g, "$1");
+}
+
+// Marker fields of a section, diagram or document: its id, metadata and links
+function markdownItemMeta(item) {
+  const meta = { id: item.id, ...exportedMetadata(item) };
+  if ((item.links || []).length) meta.links = item.links;
+  return meta;
+}
+
+// JSON for a pmbok comment; "--" would end the HTML comment early
+function markdownCommentJson(meta) {
+  return JSON.stringify(meta).replace(/--/g, "\\u002d\\u002d");
+}
+
+// Table cells are single-line: pipes and backslashes are escaped, newlines
+// written as \n
+function escapeMarkdownCell(value) {
+  return String(value ?? "")
+    .replace(/[\\|]/g, "\\$&")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function splitMarkdownTableRow(line) {
+  const body = line.trim().replace(/^\|/, "");
+  const cells = [];
+  let cell = "";
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "\\" && i + 1 < body.length) {
+      cell += body[i] + body[++i];
+    } else if (body[i] === "|") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += body[i];
+    }
+  }
+  if (cell.trim()) cells.push(cell);
+
+  return cells.map((c) =>
+    c.trim().replace(/\\([\\|n])/g, (_, ch) => (ch === "n" ? "\n" : ch))
+  );
+}
+
+function registerToMarkdownTable(register) {
+  const row = (cells) => `| ${cells.map(escapeMarkdownCell).join(" | ")} |`;
+  return [
+    row(register.columns.map((c) => c.label)),
+    "|" + register.columns.map(() => " --- |").join(""),
+    ...register.rows.map((r) => row(register.columns.map((c) => r.values[c.key]))),
+  ];
+}
+
+// Fills a register from a pipe table. Headers are matched to the columns
+// from the pmbok comment (by position, then label); others become text columns.
+function readMarkdownTable(register, lines) {
+  const [header = [], ...rows] = lines
+    .filter((line) => !MARKDOWN_TABLE_SEPARATOR.test(line))
+    .map(splitMarkdownTableRow);
+
+  const columns = header.map((label, i) => {
+    if (register.columns[i] && register.columns[i].label === label) return register.columns[i];
+    let column = register.columns.find((c) => c.label === label);
+    if (!column) {
+      column = { key: generateId(), label, type: "text" };
+      register.columns.push(column);
+    }
+    return column;
+  });
+
+  rows.forEach((cells) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      const { value } = coerceRegisterValue(column, cells[i]);
+      if (value !== "") values[column.key] = value;
+    });
+    register.rows.push({ id: generateId(), values });
+  });
+}
+
+function markdownTextLines(text, needsEscape = MARKDOWN_LINE_NEEDS_ESCAPE) {
+  if (!text) return [];
+  return text
+    .split(/\r?\n/)
+    .map((line) => (needsEscape.test(line) ? "\\" + line : line));
+}
+
+// Writes a section (and its subtree) as Markdown, adding attachments to assets
+async function sectionToMarkdown(section, depth, zip, missing) {
+  const out = [`${"#".repeat(Math.min(depth + 1, 6))} ${section.title}`];
+  if (depth + 1 > 6) out.push(`<!-- pmbok:depth ${depth + 1} -->`);
+  out.push(`<!-- pmbok:section ${markdownCommentJson(markdownItemMeta(section))} -->`, "");
+  if (section.description) {
+    const description = await exportDescriptionFiles(
+      section.description,
+      zip,
+      "assets/",
+      missing,
+      section.title
+    );
+    out.push(...markdownTextLines(description, MARKDOWN_SECTION_LINE_NEEDS_ESCAPE), "");
+  }
+
+  for (const d of section.diagrams || []) {
+    out.push(
+      `<!-- pmbok:diagram ${markdownCommentJson(markdownItemMeta(d))} -->`,
+      `**${escapeMarkdownInline(d.title)}**`,
+      ""
+    );
+    if (d.description) out.push(...markdownTextLines(d.description), "");
+
+    if (d.type === "mermaid") {
+      out.push("```mermaid", d.content || "", "```", "");
+      continue;
+    }
+
+    const blob = await loadDiagramImage(d);
+    let path = "";
+    if (blob) {
+      path = "assets/" + attachmentFileName(d, `${d.title}.${imageExtension(blob)}`);
+      zip.file(path, await blob.arrayBuffer());
+    } else {
+      missing.push(d.title);
+    }
+    out.push(`![${escapeMarkdownInline(d.title)}](${path})`, "");
+  }
+
+  for (const d of section.documents || []) {
+    const file = await loadDocumentFile(d);
+    const meta = { date: d.date || "", type: d.type, ...markdownItemMeta(d) };
+    let path = "";
+    if (file) {
+      meta.name = documentDownloadName(d, file);
+      path = "assets/" + attachmentFileName(d, meta.name);
+      zip.file(path, await file.blob.arrayBuffer());
+    } else {
+      missing.push(d.title);
+    }
+
+    out.push(
+      `<!-- pmbok:document ${markdownCommentJson(meta)} -->`,
+      `[${escapeMarkdownInline(d.title)}](${path})`,
+      ""
+    );
+    if (d.description) out.push(...markdownTextLines(d.description), "");
+  }
+
+  for (const r of section.registers || []) {
+    const meta = { schema: r.schema, columns: r.columns, chart: r.chart };
+    out.push(
+      `<!-- pmbok:register ${markdownCommentJson(meta)} -->`,
+      `**${escapeMarkdownInline(r.title)}**`,
+      ""
+    );
+    if (r.description) out.push(...markdownTextLines(r.description), "");
+    out.push(...registerToMarkdownTable(r), "");
+  }
+
+  for (const child of section.children || [])
+    out.push(await sectionToMarkdown(child, depth + 1, zip, missing));
+
+  return out.join("\n");
+}
+
+async function exportMarkdown() {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la exportación no está disponible.");
+
+  const zip = new JSZip();
+  const missing = [];
+  const projectName = getActiveProject().name;
+  const index = [MARKDOWN_INDEX_MARKER, `# ${projectName}`, ""];
+
+  try {
+    for (const [i, chapter] of appState.chapters.entries()) {
+      const fileName = `${String(i + 1).padStart(2, "0")}-${slugify(chapter.title)}.md`;
+      zip.file(fileName, await sectionToMarkdown(chapter, 0, zip, missing));
+      index.push(`- [${escapeMarkdownInline(chapter.title)}](${fileName})`);
+    }
+    zip.file("README.md", index.join("\n") + "\n");
+
+    const blob = await zip.generateAsync({ type: "blob" });
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `markdown-pmbok-${stamp}.zip`);
+  } catch (err) {
+    console.error("Error exportando a Markdown:", err);
+    return alert("No se pudo exportar el proyecto a Markdown.");
+  }
+
+  if (missing.length)
+    alert(
+      "Markdown exportado, pero estos elementos no tienen archivo:\n- " +
+        missing.join("\n- ")
+    );
+}
+
+function chooseMarkdownSource() {
+  modalContent.innerHTML = `
+    <h3>Importar Markdown</h3>
+    <p>Archivos .md con sus recursos en una carpeta <code>assets/</code>.</p>
+    <div class="panel-actions">
+      <button id="markdownZipBtn">Archivo .zip o .md</button>
+      <button id="markdownFolderBtn">Carpeta</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  document.getElementById("markdownZipBtn").onclick = () => {
+    closeModal();
+    importMarkdownFile.click();
+  };
+  document.getElementById("markdownFolderBtn").onclick = () => {
+    closeModal();
+    importMarkdownFolder.click();
+  };
+}
+
+// Resolves a link relative to the folder of the Markdown file that has it
+function resolveMarkdownPath(baseDir, href) {
+  let decoded = href;
+  try {
+    decoded = decodeURI(href);
+  } catch (e) {}
+
+  const parts = baseDir ? baseDir.split("/") : [];
+  decoded.split("/").forEach((part) => {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  });
+  return parts.join("/");
+}
+
+// Builds a map of path -> () => Promise<Blob> from a zip, a folder or loose .md files
+async function readMarkdownSources(files) {
+  const sources = new Map();
+
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      const zip = await JSZip.loadAsync(file);
+      zip.forEach((path, entry) => {
+        if (entry.dir) return;
+        sources.set(path, () =>
+          entry
+            .async("uint8array")
+            .then((bytes) => new Blob([bytes], { type: mimeFromPath(path) }))
+        );
+      });
+    } else {
+      const path = file.webkitRelativePath || file.name;
+      sources.set(path, () => Promise.resolve(file));
+    }
+  }
+
+  return sources;
+}
+
+// Copies tags, status and owner from a marker's JSON; the import sanitizer
+// checks their values afterwards
+function applyImportedMetadata(target, meta) {
+  ["tags", "status", "owner"].forEach((key) => {
+    if (meta[key] != null) target[key] = meta[key];
+  });
+}
+
+// Parses one Markdown file into sections. Linked assets are registered in
+// `assets` (path -> [{ item, name }]) so the caller can load them afterwards,
+// and the ids found in markers in `idMap` (marker id -> new id) so it can
+// point references at the new items.
+function parseMarkdownChapters(text, fallbackTitle, baseDir, assets, idMap) {
+  const roots = [];
+  const stack = [];
+  let section = null;
+  let item = null;
+  let lines = []; // description lines of the current item or section
+
+  const flushDescription = () => {
+    const target = item || section;
+    if (!target) return;
+    while (lines.length && !lines[0].trim()) lines.shift();
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    if (lines.length) {
+      const text = lines.join("\n");
+      target.description = target.description ? target.description + "\n\n" + text : text;
+    }
+    lines = [];
+  };
+
+  const addSection = (title, depth) => {
+    flushDescription();
+    item = null;
+    const created = createSection(title || "Sin título");
+    const parent = stack[Math.min(depth, stack.length) - 1];
+    (parent ? parent.children : roots).push(created);
+    stack.length = Math.min(depth, stack.length);
+    stack.push(created);
+    section = created;
+  };
+
+  const ensureSection = () => {
+    if (!section) addSection(fallbackTitle, 0);
+  };
+
+  const applyMarker = (target, meta) => {
+    applyImportedMetadata(target, meta);
+    if (typeof meta.id === "string") idMap.set(meta.id, target.id);
+    // link ids are renewed so a merge can't collide with existing ones
+    if (Array.isArray(meta.links))
+      target.links = meta.links
+        .filter((link) => link && typeof link === "object")
+        .map((link) => ({ ...link, id: generateId() }));
+  };
+
+  const startItem = (kind, meta = {}) => {
+    ensureSection();
+    flushDescription();
+    if (kind === "diagram") {
+      item = { id: generateId(), title: "", description: "", type: null, content: null };
+      section.diagrams.push(item);
+    } else if (kind === "register") {
+      item = {
+        id: generateId(),
+        title: "",
+        description: "",
+        schema: meta.schema || "custom",
+        columns: Array.isArray(meta.columns) ? meta.columns : [],
+        rows: [],
+        chart: meta.chart || null,
+      };
+      section.registers.push(item);
+    } else {
+      item = {
+        id: generateId(),
+        title: "",
+        description: "",
+        date: meta.date || "",
+        type: meta.type || "",
+      };
+      section.documents.push(item);
+    }
+    if (kind !== "register") applyMarker(item, meta);
+    // parser-only fields, removed once the file is parsed
+    item.kind = kind;
+    item.meta = meta;
+    return item;
+  };
+
+  const linkAsset = (target, href) => {
+    if (!href || href.startsWith("#") || /^[a-z]+:/i.test(href)) return;
+    const path = resolveMarkdownPath(baseDir, href);
+    if (!assets.has(path)) assets.set(path, []);
+    assets.get(path).push({ item: target, name: target.meta.name });
+    target.fileId = generateId();
+  };
+
+  const source = text.split(/\r?\n/);
+  for (let i = 0; i < source.length; i++) {
+    const line = source[i];
+    let match;
+
+    if ((match = line.match(MARKDOWN_HEADING))) {
+      let depth = match[1].length - 1;
+      const depthMarker = (source[i + 1] || "").match(MARKDOWN_DEPTH_MARKER);
+      if (depthMarker) {
+        depth = parseInt(depthMarker[1], 10) - 1;
+        i++;
+      }
+      addSection(match[2], depth);
+    } else if ((match = line.match(MARKDOWN_SECTION_MARKER)) && section && !item) {
+      try {
+        applyMarker(section, JSON.parse(match[1]));
+      } catch (e) {
+        console.warn("Metadatos Markdown no válidos:", match[1]);
+      }
+    } else if ((match = line.match(MARKDOWN_ITEM_MARKER))) {
+      let meta = {};
+      try {
+        meta = match[2] ? JSON.parse(match[2]) : {};
+      } catch (e) {
+        console.warn("Metadatos Markdown no válidos:", match[2]);
+      }
+      startItem(match[1], meta);
+    } else if (/^```mermaid\s*$/.test(line)) {
+      if (!item || item.kind !== "diagram" || item.type) startItem("diagram");
+      flushDescription();
+      const code = [];
+      while (++i < source.length && !/^```\s*$/.test(source[i])) code.push(source[i]);
+      item.type = "mermaid";
+      item.content = code.join("\n");
+    } else if ((match = line.match(MARKDOWN_IMAGE_LINE))) {
+      if (!item || item.kind !== "diagram" || item.type) startItem("diagram");
+      flushDescription();
+      item.type = "image";
+      if (!item.title) item.title = unescapeMarkdownInline(match[1]);
+      linkAsset(item, match[2].trim());
+    } else if (
+      (match = line.match(MARKDOWN_LINK_LINE)) &&
+      ((item && item.kind === "document" && !item.title) ||
+        /^(\.\/)?assets\//.test(match[2].trim()))
+    ) {
+      if (!item || item.kind !== "document" || item.title) startItem("document");
+      item.title = unescapeMarkdownInline(match[1]);
+      linkAsset(item, match[2].trim());
+      if (!item.type) item.type = mimeFromPath(match[2]);
+    } else if (
+      (match = line.match(MARKDOWN_BOLD_LINE)) &&
+      item &&
+      (item.kind === "diagram" || item.kind === "register") &&
+      !item.title &&
+      !lines.some((l) => l.trim())
+    ) {
+      item.title = unescapeMarkdownInline(match[1]);
+    } else if (MARKDOWN_TABLE_LINE.test(line) && item && item.kind === "register") {
+      flushDescription();
+      const table = [line];
+      while (i + 1 < source.length && MARKDOWN_TABLE_LINE.test(source[i + 1]))
+        table.push(source[++i]);
+      readMarkdownTable(item, table);
+    } else {
+      ensureSection();
+      lines.push(line.startsWith("\\") ? line.slice(1) : line);
+    }
+  }
+  flushDescription();
+
+  // images inside section descriptions become pasted images (pmbok-file:)
+  walkSections(roots, (s) => {
+    if (!s.description) return;
+    s.description = s.description.replace(MARKDOWN_INLINE_IMAGE, (all, alt, href) => {
+      const target = { title: s.title, meta: {} };
+      linkAsset(target, href);
+      return target.fileId ? `![${alt}](${DESCRIPTION_FILE_SCHEME}${target.fileId})` : all;
+    });
+  });
+
+  // fill in what hand-written files may leave out and drop parser fields
+  roots.forEach((root) =>
+    forEachAttachment([root], (entry) => {
+      if (!entry.title) entry.title = entry.kind === "diagram" ? "Diagrama" : "Documento";
+      if (entry.kind === "diagram" && !entry.type) {
+        entry.type = "mermaid";
+        entry.content = "";
+      }
+      delete entry.kind;
+      delete entry.meta;
+    })
+  );
+  walkSections(roots, (s) =>
+    s.registers.forEach((register) => {
+      if (!register.title) register.title = "Registro";
+      delete register.kind;
+      delete register.meta;
+    })
+  );
+
+  return roots;
+}
+
+async function importMarkdown(files) {
+  if (typeof JSZip === "undefined")
+    return alert("No se pudo cargar JSZip; la importación no está disponible.");
+
+  let sources;
+  try {
+    sources = await readMarkdownSources(files);
+  } catch (err) {
+    console.error("Error leyendo los archivos Markdown:", err);
+    return alert("No se pudieron leer los archivos seleccionados.");
+  }
+
+  const markdownPaths = [...sources.keys()]
+    .filter((path) => /\.md$/i.test(path))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const chapters = [];
+  const assets = new Map();
+  const idMap = new Map();
+  for (const path of markdownPaths) {
+    const text = await (await sources.get(path)()).text();
+    if (text.startsWith(MARKDOWN_INDEX_MARKER)) continue;
+
+    const baseDir = path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+    const fallbackTitle = path.split("/").pop().replace(/\.md$/i, "").replace(/^\d+-/, "");
+    chapters.push(...parseMarkdownChapters(text, fallbackTitle, baseDir, assets, idMap));
+  }
+
+  if (!chapters.length) return alert("No se encontraron capítulos en los archivos Markdown.");
+
+  // references to something outside these files keep their id
+  replaceReferenceTargets(chapters, (targetId) => idMap.get(targetId) || targetId);
+
+  const mode = await askImportMode(chapters.length);
+  if (!mode) return;
+
+  const report = {
+    restored: 0,
+    missing: [],
+    broken: [],
+    sanitized: sanitizeImportedChapters(chapters),
+  };
+
+  const fileData = new Map();
+  for (const [path, links] of assets) {
+    const load = sources.get(path);
+    if (!load) {
+      links.forEach(({ item }) => report.missing.push(item.title));
+      continue;
+    }
+
+    try {
+      let blob = await load();
+      if (!blob.size) throw new Error("Archivo vacío");
+      if (!blob.type) blob = new Blob([blob], { type: mimeFromPath(path) });
+      const baseName = path.split("/").pop().replace(/^id-[a-z0-9]+-/, "");
+      // the same asset linked twice is stored once per item, like the editor does
+      links.forEach(({ item, name }) =>
+        fileData.set(item.fileId, { blob, name: name || baseName })
+      );
+    } catch (err) {
+      console.error("Recurso dañado en el Markdown importado:", err);
+      links.forEach(({ item }) => report.broken.push(item.title));
+    }
+  }
+
+  // items whose asset couldn't be read keep no dangling fileId
+  forEachAttachment(chapters, (item) => {
+    if (item.fileId && !fileData.has(item.fileId)) delete item.fileId;
+  });
+
+  await applyImportedChapters("Importar Markdown", chapters, mode, fileData, report);
+}
+
+// ---------- Storage maintenance ----------
+// Legacy items keep their file inline as a data URL instead of in IndexedDB
+function getInlineData(item) {
+  return item.type === "image" ? item.content : item.file;
+}
+
+function collectReferencedFileIds(chapters) {
+  const ids = new Set();
+  forEachAttachment(chapters, (item) => {
+    if (item.fileId) ids.add(item.fileId);
+  });
+  forEachDescriptionFile(chapters, (fileId) => ids.add(fileId));
+  forEachDocumentVersion(chapters, (v) => {
+    if (v.fileId) ids.add(v.fileId);
+  });
+  return ids;
+}
+
+// Reads the saved state of a project (the active one comes from memory)
+function readProjectState(projectId) {
+  if (projectId === projectRegistry.activeId) return appState;
+  try {
+    const saved = localStorage.getItem(projectStorageKey(projectId));
+    return saved ? migrateAppState(JSON.parse(saved)) : { chapters: [] };
+  } catch (e) {
+    console.error(e);
+    return { chapters: [] };
+  }
+}
+
+// Gathers everything the storage panel shows
+async function analyzeStorage() {
+  const records = db ? await listFileRecordsFromDB() : [];
+  const recordsById = new Map(records.map((r) => [r.id, r]));
+
+  const referencedByProject = new Map();
+  projectRegistry.projects.forEach((p) => {
+    referencedByProject.set(
+      p.id,
+      collectReferencedFileIds(readProjectState(p.id).chapters)
+    );
+  });
+
+  // a file is orphaned when its project is gone or no longer references it
+  const orphans = records.filter((r) => {
+    const refs = referencedByProject.get(r.projectId);
+    return !refs || !refs.has(r.id);
+  });
+
+  const projects = projectRegistry.projects.map((p) => {
+    const own = records.filter((r) => r.projectId === p.id);
+    return {
+      name: p.name,
+      count: own.length,
+      size: own.reduce((sum, r) => sum + r.size, 0),
+    };
+  });
+
+  const chapters = appState.chapters.map((chapter) => {
+    const ids = new Set();
+    let inlineSize = 0;
+    forEachAttachment([chapter], (item) => {
+      if (item.fileId && recordsById.has(item.fileId)) ids.add(item.fileId);
+      inlineSize += storedDataSize(getInlineData(item));
+    });
+    forEachDescriptionFile([chapter], (fileId) => {
+      if (recordsById.has(fileId)) ids.add(fileId);
+    });
+    forEachDocumentVersion([chapter], (v) => {
+      if (v.fileId && recordsById.has(v.fileId)) ids.add(v.fileId);
+      inlineSize += storedDataSize(v.file);
+    });
+    const size = [...ids].reduce((sum, id) => sum + recordsById.get(id).size, 0);
+    return { title: chapter.title, count: ids.size, size: size + inlineSize };
+  });
+
+  const missing = [];
+  const inline = [];
+  walkSections(appState.chapters, (section, ancestors) => {
+    const path = sectionPath(section, ancestors);
+    forEachAttachment([{ ...section, children: [] }], (item) => {
+      const inlineData = getInlineData(item);
+      if (item.fileId && !recordsById.has(item.fileId) && !inlineData)
+        missing.push(`${path} › ${item.title}`);
+      if (inlineData) inline.push({ item, path: `${path} › ${item.title}` });
+    });
+    descriptionFileIds(section.description).forEach((fileId) => {
+      if (!recordsById.has(fileId)) missing.push(`${path} › imagen de la descripción`);
+    });
+    forEachDocumentVersion([{ ...section, children: [] }], (v, d, number) => {
+      const where = `${path} › ${documentVersionTitle(d, number)}`;
+      if (v.fileId && !recordsById.has(v.fileId) && !v.file) missing.push(where);
+      if (v.file) inline.push({ item: v, path: where });
+    });
+  });
+
+  return { projects, chapters, orphans, missing, inline };
+}
+
+async function openStoragePanel() {
+  modalContent.innerHTML = `<div class="storage-panel"><p>Analizando almacenamiento…</p></div>`;
+  modal.classList.remove("hidden");
+
+  let report;
+  try {
+    report = await analyzeStorage();
+  } catch (err) {
+    console.error("Error analizando el almacenamiento:", err);
+    modalContent.innerHTML = `<p>No se pudo analizar el almacenamiento.</p>`;
+    return;
+  }
+
+  let quota = "";
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage, quota: total } = await navigator.storage.estimate();
+      quota = `<p>Uso total del navegador: ${formatBytes(usage)} de ${formatBytes(total)}</p>`;
+    } catch (err) {
+      console.warn("navigator.storage.estimate no disponible", err);
+    }
+  }
+
+  const row = (name, count, size) =>
+    `<tr><td>${escapeHtml(name)}</td><td class="num">${count}</td><td class="num">${formatBytes(size)}</td></tr>`;
+  const table = (rows) => `
+    <table>
+      <tr><th>Nombre</th><th class="num">Archivos</th><th class="num">Tamaño</th></tr>
+      ${rows.join("")}
+    </table>`;
+  const list = (lines) =>
+    `<ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join("")}</ul>`;
+  const orphanSize = report.orphans.reduce((sum, r) => sum + r.size, 0);
+
+  modalContent.innerHTML = `
+    <div class="storage-panel">
+      <h3>Almacenamiento</h3>
+      ${quota}
+      ${db ? "" : "<p>IndexedDB no está disponible en este navegador.</p>"}
+
+      <h4>Por proyecto</h4>
+      ${table(report.projects.map((p) => row(p.name, p.count, p.size)))}
+
+      <h4>Por capítulo (${escapeHtml(getActiveProject().name)})</h4>
+      ${table(report.chapters.map((c) => row(c.title, c.count, c.size)))}
+
+      <h4>Archivos huérfanos: ${report.orphans.length} (${formatBytes(orphanSize)})</h4>
+      ${
+        report.orphans.length
+          ? `<p>Archivos guardados que ningún elemento utiliza.</p>
+             <button id="cleanOrphansBtn">Eliminar archivos huérfanos</button>`
+          : "<p>No hay archivos huérfanos.</p>"
+      }
+
+      <h4>Elementos sin archivo: ${report.missing.length}</h4>
+      ${report.missing.length ? list(report.missing) : "<p>Todos los elementos tienen su archivo.</p>"}
+
+      <h4>Archivos en línea (formato antiguo): ${report.inline.length}</h4>
+      ${
+        report.inline.length
+          ? `${list(report.inline.map((i) => i.path))}
+             <button id="migrateInlineBtn" ${db ? "" : "disabled"}>Mover a IndexedDB</button>`
+          : "<p>Todos los archivos están en IndexedDB.</p>"
+      }
+    </div>
+  `;
+
+  const cleanBtn = document.getElementById("cleanOrphansBtn");
+  if (cleanBtn)
+    cleanBtn.onclick = async () => {
+      if (!confirm(`¿Eliminar ${report.orphans.length} archivo(s) huérfano(s)?`)) return;
+      await cleanOrphanFiles(report.orphans);
+      openStoragePanel();
+    };
+
+  const migrateBtn = document.getElementById("migrateInlineBtn");
+  if (migrateBtn)
+    migrateBtn.onclick = async () => {
+      await migrateInlineFiles(report.inline.map((i) => i.item));
+      openStoragePanel();
+    };
+}
+
+async function cleanOrphanFiles(orphans) {
+  for (const record of orphans) {
+    try {
+      await deleteFileFromDB(record.id);
+    } catch (err) {
+      console.warn("No se pudo eliminar archivo huérfano:", err);
+    }
+    dropDocumentTextIndex(record.id);
+  }
+}
+
+// Moves legacy inline data URLs into IndexedDB as Blobs, linked by fileId
+async function migrateInlineFiles(items) {
+  const moves = items.map((item) => ({ item, fileId: item.fileId || item.id }));
+
+  recordHistory("Mover archivos a IndexedDB", {
+    files: await snapshotFiles(moves.map((m) => m.fileId)),
+  });
+
+  let failed = 0;
+  for (const { item, fileId } of moves) {
+    try {
+      await saveFileToDB(fileId, dataUrlToBlob(getInlineData(item)));
+      item.fileId = fileId;
+      if (item.type === "image") item.content = null;
+      else delete item.file;
+    } catch (err) {
+      console.error("Error moviendo archivo a IndexedDB:", err);
+      failed++;
+    }
+  }
+
+  saveAppState();
+  renderCurrentDiagrams();
+  renderCurrentDocuments();
+  indexPendingDocuments();
+
+  if (failed) alert(`${failed} archivo(s) no se pudieron mover a IndexedDB.`);
+}
+
+// ---------- Search ----------
+// Text of each stored PDF or PPTX, one string per page or slide, keyed by
+// fileId. Mirrors the "textIndex" store so files are only parsed once.
+const documentTextIndex = new Map();
+const SEARCH_RESULT_LIMIT = 50;
+let searchTimer = null;
+let textIndexQueue = Promise.resolve();
+
+async function loadSearchIndex() {
+  if (!db) return;
+  try {
+    const entries = await loadAllTextIndexesFromDB();
+    entries.forEach((e) => documentTextIndex.set(e.id, e.pages));
+  } catch (err) {
+    console.warn("No se pudo cargar el índice de texto de los documentos:", err);
+  }
+  indexPendingDocuments();
+}
+
+// Whether the text of a document can be extracted with the loaded libraries.
+// name is the stored file's: a PPTX may have been saved without its MIME type.
+function canIndexDocument(d, name) {
+  if (d.type === "application/pdf") return !!window.pdfjsLib;
+  return presentationFormat(d.type, name) === "pptx" && !!window.JSZip;
+}
+
+// Documents whose type says nothing; only their file name can tell
+function hasGenericType(d) {
+  return !d.type || d.type === "application/octet-stream";
+}
+
+// Extracts the text of every PDF and PPTX that is not indexed yet, one at a time
+function indexPendingDocuments() {
+  textIndexQueue = textIndexQueue.then(async () => {
+    if (!db) return;
+
+    const pending = [];
+    forEachAttachment(appState.chapters, (item, kind) => {
+      if (
+        kind === "document" &&
+        item.fileId &&
+        !documentTextIndex.has(item.fileId) &&
+        (canIndexDocument(item) || hasGenericType(item))
+      )
+        pending.push(item);
+    });
+
+    for (const d of pending) {
+      try {
+        const record = await loadFileFromDB(d.fileId);
+        if (record && canIndexDocument(d, record.name))
+          await indexDocumentText(d, record.blob, record.name);
+      } catch (err) {
+        console.warn(`No se pudo indexar el documento "${d.title}":`, err);
+      }
+    }
+  });
+  return textIndexQueue;
+}
+
+function indexDocumentText(d, blob, name) {
+  if (d.type === "application/pdf") return indexPdfText(d.fileId, blob);
+  if (presentationFormat(d.type, name) === "pptx")
+    return indexPresentationText(d.fileId, blob);
+  return Promise.resolve();
+}
+
+async function indexPdfText(fileId, blob) {
+  if (!window.pdfjsLib) return;
+
+  const loadingTask = pdfjsLib.getDocument({
+    data: new Uint8Array(await blob.arrayBuffer()),
+  });
+  const pdf = await loadingTask.promise;
+  const pages = [];
+
+  try {
+    for (let num = 1; num <= pdf.numPages; num++) {
+      const page = await pdf.getPage(num);
+      const content = await page.getTextContent();
+      pages.push(content.items.map((item) => item.str).join(" "));
+    }
+  } finally {
+    loadingTask.destroy();
+  }
+
+  documentTextIndex.set(fileId, pages);
+  if (db) await saveTextIndexToDB(fileId, pages);
+}
+
+// One entry per slide: title, body text and speaker notes
+async function indexPresentationText(fileId, blob) {
+  if (!window.JSZip) return;
+
+  const { slides } = await parsePptx(blob, { withImages: false });
+  const pages = slides.map(slideSearchText);
+
+  documentTextIndex.set(fileId, pages);
+  if (db) await saveTextIndexToDB(fileId, pages);
+}
+
+function dropDocumentTextIndex(fileId) {
+  documentTextIndex.delete(fileId);
+  if (db) {
+    deleteTextIndexFromDB(fileId).catch((err) =>
+      console.warn("No se pudo eliminar el índice de texto en DB:", err)
+    );
+  }
+}
+
+// Lowercases and strips accents, keeping a map from each normalized
+// character back to its index in the original text (for highlighting).
+function normalizeForSearch(text) {
+  let normalized = "";
+  const map = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const n = text[i]
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+    for (let j = 0; j < n.length; j++) {
+      normalized += n[j];
+      map.push(i);
+    }
+  }
+
+  return { normalized, map };
+}
+
+// Returns sorted [start, end) ranges of every term inside the original text
+function findMatchRanges(text, terms) {
+  const { normalized, map } = normalizeForSearch(text);
+  const ranges = [];
+
+  terms.forEach((term) => {
+    let idx = normalized.indexOf(term);
+    while (idx !== -1) {
+      ranges.push([map[idx], map[idx + term.length - 1] + 1]);
+      idx = normalized.indexOf(term, idx + term.length);
+    }
+  });
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+// An item matches when every term appears in at least one of its fields.
+// Returns the first field with hits, for the snippet.
+function matchFields(fields, terms) {
+  const all = normalizeForSearch(
+    fields.map((f) => f.text || "").join("\n")
+  ).normalized;
+  if (!terms.every((t) => all.includes(t))) return null;
+
+  for (const f of fields) {
+    if (!f.text) continue;
+    const ranges = findMatchRanges(f.text, terms);
+    if (ranges.length) return { label: f.label, text: f.text, ranges };
+  }
+  return null;
+}
+
+function highlightSnippet(text, ranges, radius = 60) {
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius * 2);
+
+  let html = start > 0 ? "…" : "";
+  let pos = start;
+
+  ranges.forEach(([a, b]) => {
+    if (a < pos || a >= end) return;
+    const stop = Math.min(b, end);
+    html +=
+      escapeHtml(text.slice(pos, a)) +
+      "<mark>" +
+      escapeHtml(text.slice(a, stop)) +
+      "</mark>";
+    pos = stop;
+  });
+
+  return html + escapeHtml(text.slice(pos, end)) + (end < text.length ? "…" : "");
+}
+
+function searchProject(query) {
+  const terms = normalizeForSearch(query.trim())
+    .normalized.split(/\s+/)
+    .filter(Boolean);
+  if (!terms.length) return [];
+
+  const results = [];
+  const add = (result) => {
+    if (results.length < SEARCH_RESULT_LIMIT) results.push(result);
+  };
+
+  walkSections(appState.chapters, (section, ancestors) => {
+    const path = sectionPath(section, ancestors);
+    const goToSection = () => selectSection(section.id);
+
+    const sectionMatch = matchFields(
+      [
+        { label: "Título", text: section.title },
+        { label: "Descripción", text: section.description },
+        { label: "Etiquetas", text: (section.tags || []).join(", ") },
+        { label: "Responsable", text: section.owner },
+      ],
+      terms
+    );
+    if (sectionMatch)
+      add({
+        kind: ancestors.length ? "Sección" : "Capítulo",
+        path,
+        match: sectionMatch,
+        open: goToSection,
+      });
+
+    (section.diagrams || []).forEach((d) => {
+      const match = matchFields(
+        [
+          { label: "Título", text: d.title },
+          { label: "Descripción", text: d.description },
+          { label: "Código Mermaid", text: d.type === "mermaid" ? d.content : "" },
+          { label: "Etiquetas", text: (d.tags || []).join(", ") },
+          { label: "Responsable", text: d.owner },
+        ],
+        terms
+      );
+      if (match)
+        add({
+          kind: "Diagrama",
+          path: `${path} › ${d.title}`,
+          match,
+          open: () => {
+            goToSection();
+            openModalForDiagram(d);
+          },
+        });
+    });
+
+    (section.documents || []).forEach((d) => {
+      const match = matchFields(
+        [
+          { label: "Título", text: d.title },
+          { label: "Descripción", text: d.description },
+          { label: "Fecha", text: formatDate(d.date) },
+          { label: "Tipo", text: d.type },
+          { label: "Etiquetas", text: (d.tags || []).join(", ") },
+          { label: "Responsable", text: d.owner },
+        ],
+        terms
+      );
+      if (match)
+        add({
+          kind: "Documento",
+          path: `${path} › ${d.title}`,
+          match,
+          open: () => {
+            goToSection();
+            openDocument(d);
+          },
+        });
+
+      const pages = (d.fileId && documentTextIndex.get(d.fileId)) || [];
+      const isPdf = d.type === "application/pdf";
+      pages.forEach((text, i) => {
+        const label = `${isPdf ? "Página" : "Diapositiva"} ${i + 1}`;
+        const pageMatch = matchFields([{ label, text }], terms);
+        if (pageMatch)
+          add({
+            kind: isPdf ? "Texto del PDF" : "Texto de la diapositiva",
+            path: `${path} › ${d.title}`,
+            match: pageMatch,
+            open: () => {
+              goToSection();
+              openDocument(d, { page: i + 1 });
+            },
+          });
+      });
+    });
+
+    (section.registers || []).forEach((r) => {
+      const rows = r.rows
+        .map((row) =>
+          r.columns
+            .map((c) => row.values[c.key])
+            .filter((v) => !isEmptyRegisterValue(v))
+            .join(" · ")
+        )
+        .join("\n");
+      const match = matchFields(
+        [
+          { label: "Título", text: r.title },
+          { label: "Descripción", text: r.description },
+          { label: "Filas", text: rows },
+        ],
+        terms
+      );
+      if (match)
+        add({
+          kind: "Registro",
+          path: `${path} › ${r.title}`,
+          match,
+          open: () => {
+            goToSection();
+            openRegister(r);
+          },
+        });
+    });
+  });
+
+  return results;
+}
+
+function runSearch() {
+  const query = searchInput.value;
+
+  if (!query.trim()) {
+    searchResults.classList.add("hidden");
+    searchResults.innerHTML = "";
+    return;
+  }
+
+  const results = searchProject(query);
+  searchResults.classList.remove("hidden");
+
+  if (!results.length) {
+    searchResults.innerHTML = `<div class="search-empty">Sin resultados</div>`;
+    return;
+  }
+
+  searchResults.innerHTML = "";
+  results.forEach((r) => {
+    const el = document.createElement("div");
+    el.className = "search-result";
+    el.innerHTML = `
+      <div class="search-kind">${r.kind} · ${escapeHtml(r.match.label)}</div>
+      <div class="search-path">${escapeHtml(r.path)}</div>
+      <div class="search-snippet">${highlightSnippet(r.match.text, r.match.ranges)}</div>
+    `;
+    el.addEventListener("click", r.open);
+    searchResults.appendChild(el);
+  });
+}
+
+// ---------- Keyboard shortcuts and command palette ----------
+// Commands can be bound to key combinations ("Ctrl+Shift+Z", "Alt+Shift+C",
+// "?"). The user's changes are kept in localStorage as { commandId: [combos] }
+// over the defaults below. Ctrl stands for Cmd on macOS.
+
+const SHORTCUTS_KEY = "pmbokShortcuts";
+
+// The section tree is driven with the arrow keys when it has the focus, or
+// when nothing else does
+const inSectionTree = (e) =>
+  e.target === document.body || Boolean(e.target.closest && e.target.closest(".sidebar"));
+
+// keys: default combos. inModal: only runs while the modal is open (and then
+// also from text fields). inFields: false keeps Ctrl combos for the field
+// itself (native undo). when: extra condition on the key event.
+const SHORTCUT_COMMANDS = [
+  { id: "palette", label: "Paleta de comandos", keys: ["Ctrl+K"], run: () => openCommandPalette() },
+  {
+    id: "help",
+    label: "Atajos de teclado",
+    keys: ["?"],
+    run: () => showShortcutHelp(),
+    button: shortcutsBtn,
+  },
+  {
+    id: "close-modal",
+    label: "Cerrar la ventana",
+    keys: ["Escape"],
+    run: () => modalClose.click(),
+    inModal: true,
+  },
+  { id: "search", label: "Buscar en el proyecto", keys: ["/"], run: focusProjectSearch },
+  {
+    id: "save",
+    label: "Guardar proyecto",
+    keys: ["Ctrl+S"],
+    run: () => saveBtn.click(),
+    button: saveBtn,
+  },
+  {
+    id: "undo",
+    label: "Deshacer",
+    keys: ["Ctrl+Z"],
+    run: () => undo(),
+    inFields: false,
+    button: undoBtn,
+  },
+  {
+    id: "redo",
+    label: "Rehacer",
+    keys: ["Ctrl+Shift+Z", "Ctrl+Y"],
+    run: () => redo(),
+    inFields: false,
+    button: redoBtn,
+  },
+  {
+    id: "new-chapter",
+    label: "Nuevo capítulo",
+    keys: ["Alt+Shift+C"],
+    run: () => addNewChapter(),
+    button: addChapterBtn,
+  },
+  {
+    id: "new-subsection",
+    label: "Nueva subsección",
+    keys: ["Alt+Shift+S"],
+    run: () => addNewSubsection(),
+    button: addSubchapterBtn,
+  },
+  {
+    id: "new-diagram",
+    label: "Nuevo diagrama",
+    keys: ["Alt+Shift+D"],
+    run: () => showDiagramEditor(),
+    button: addDiagramBtn,
+  },
+  {
+    id: "new-document",
+    label: "Nuevo documento",
+    keys: ["Alt+Shift+O"],
+    run: () => showDocumentEditor(),
+    button: addDocumentBtn,
+  },
+  {
+    id: "new-register",
+    label: "Nuevo registro",
+    keys: ["Alt+Shift+R"],
+    run: () => showNewRegisterDialog(),
+    button: addRegisterBtn,
+  },
+  {
+    id: "previous-section",
+    label: "Sección anterior",
+    keys: ["ArrowUp"],
+    run: () => selectAdjacentSection(-1),
+    when: inSectionTree,
+  },
+  {
+    id: "next-section",
+    label: "Sección siguiente",
+    keys: ["ArrowDown"],
+    run: () => selectAdjacentSection(1),
+    when: inSectionTree,
+  },
+  {
+    id: "expand-section",
+    label: "Expandir la sección o entrar en ella",
+    keys: ["ArrowRight"],
+    run: () => expandOrEnterSection(),
+    when: inSectionTree,
+  },
+  {
+    id: "collapse-section",
+    label: "Contraer la sección o ir a la superior",
+    keys: ["ArrowLeft"],
+    run: () => collapseOrLeaveSection(),
+    when: inSectionTree,
+  },
+  {
+    id: "expand-all",
+    label: "Expandir todo",
+    keys: [],
+    run: () => expandAllBtn.click(),
+    button: expandAllBtn,
+  },
+  {
+    id: "collapse-all",
+    label: "Contraer todo",
+    keys: [],
+    run: () => collapseAllBtn.click(),
+    button: collapseAllBtn,
+  },
+  {
+    id: "new-project",
+    label: "Nuevo proyecto",
+    keys: [],
+    run: () => resetBtn.click(),
+    button: resetBtn,
+  },
+  {
+    id: "export-project",
+    label: "Exportar proyecto",
+    keys: [],
+    run: () => exportBtn.click(),
+    button: exportBtn,
+  },
+  {
+    id: "import-project",
+    label: "Importar proyecto",
+    keys: [],
+    run: () => importBtn.click(),
+    button: importBtn,
+  },
+  {
+    id: "export-site",
+    label: "Exportar sitio HTML",
+    keys: [],
+    run: () => exportSiteBtn.click(),
+    button: exportSiteBtn,
+  },
+  {
+    id: "export-diagrams",
+    label: "Exportar diagramas",
+    keys: [],
+    run: () => exportDiagramsBtn.click(),
+    button: exportDiagramsBtn,
+  },
+  {
+    id: "export-markdown",
+    label: "Exportar Markdown",
+    keys: [],
+    run: () => exportMarkdownBtn.click(),
+    button: exportMarkdownBtn,
+  },
+  {
+    id: "storage",
+    label: "Almacenamiento",
+    keys: [],
+    run: () => storageBtn.click(),
+    button: storageBtn,
+  },
+  {
+    id: "metadata-overview",
+    label: "Etiquetas y estados",
+    keys: [],
+    run: () => metadataOverviewBtn.click(),
+    button: metadataOverviewBtn,
+  },
+];
+
+// Shortcuts that belong to a single control and can't be changed
+const FIXED_SHORTCUTS = [
+  { keys: "Intro", label: "Abrir la tarjeta seleccionada" },
+  { keys: "Supr", label: "Eliminar la tarjeta seleccionada" },
+  { keys: "Alt+↑ / Alt+↓", label: "Mover la sección en la barra lateral" },
+  { keys: "Ctrl+B / Ctrl+I", label: "Negrita y cursiva en la descripción" },
+  { keys: "Ctrl+Espacio", label: "Sugerencias en el código Mermaid" },
+];
+
+const SHORTCUT_KEY_NAMES = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+  Enter: "Intro",
+  Delete: "Supr",
+  Space: "Espacio",
+};
+
+const PALETTE_LIMIT = 40;
+
+// true while the help overlay waits for a new combination
+let capturingShortcut = false;
+
+function loadShortcutOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch (err) {
+    console.warn("Atajos guardados no válidos, se usan los predeterminados:", err);
+    return {};
+  }
+}
+
+function saveShortcutOverrides(overrides) {
+  localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(overrides));
+}
+
+function commandKeys(command, overrides = loadShortcutOverrides()) {
+  const keys = overrides[command.id];
+  return Array.isArray(keys) ? keys.filter((k) => typeof k === "string") : command.keys;
+}
+
+// "Ctrl+Shift+Z" for a key event, or null for a lone modifier. The typed key
+// is used so shortcuts follow the keyboard layout; Shift is left out of
+// symbols, where it is already part of the character.
+function shortcutFromEvent(e) {
+  if (["Control", "Alt", "Shift", "Meta"].includes(e.key)) return null;
+
+  let key = e.key;
+  // Option on macOS turns letters into other characters (Alt+D gives "∂")
+  if (e.altKey && key.length === 1 && !/[a-z0-9]/i.test(key)) {
+    if (/^Key[A-Z]$/.test(e.code || "")) key = e.code.slice(3);
+    else if (/^Digit\d$/.test(e.code || "")) key = e.code.slice(5);
+  }
+  if (key === " ") key = "Space";
+  if (key.length === 1) key = key.toUpperCase();
+
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key))) parts.push("Shift");
+  return [...parts, key].join("+");
+}
+
+function formatShortcut(combo) {
+  return combo
+    .split("+")
+    .map((part) => SHORTCUT_KEY_NAMES[part] || part)
+    .join("+");
+}
+
+function formatCommandKeys(command, overrides) {
+  return commandKeys(command, overrides).map(formatShortcut).join(" / ");
+}
+
+function findCommandByShortcut(combo, overrides = loadShortcutOverrides()) {
+  return SHORTCUT_COMMANDS.find((c) => commandKeys(c, overrides).includes(combo)) || null;
+}
+
+function handleShortcutKeyDown(e) {
+  if (e.defaultPrevented || capturingShortcut) return;
+  const combo = shortcutFromEvent(e);
+  const command = combo && findCommandByShortcut(combo);
+  if (!command) return;
+
+  if (Boolean(command.inModal) !== !modal.classList.contains("hidden")) return;
+  if (!command.inModal) {
+    const inField = e.target.closest && e.target.closest("input, textarea, select");
+    // plain keys type into fields; Ctrl/Alt combos still work there
+    if (inField && (command.inFields === false || !/^(Ctrl|Alt)\+/.test(combo))) return;
+  }
+  if (command.when && !command.when(e)) return;
+
+  e.preventDefault();
+  command.run();
+}
+
+// Keeps the button tooltips in step with the configured shortcuts
+function renderShortcutHints() {
+  const overrides = loadShortcutOverrides();
+  SHORTCUT_COMMANDS.forEach((command) => {
+    if (!command.button) return;
+    const keys = formatCommandKeys(command, overrides);
+    command.button.title = keys ? `${command.label} (${keys})` : command.label;
+  });
+}
+
+function focusProjectSearch() {
+  searchInput.focus();
+  searchInput.select();
+}
+
+function handleCardKeyDown(e) {
+  if (!e.target.classList.contains("card")) return;
+  const action = { Enter: "open", Delete: "delete" }[e.key];
+  const button = action && e.target.querySelector(`[data-card-action="${action}"]`);
+  if (!button) return;
+  e.preventDefault();
+  button.click();
+}
+
+// ----- Section tree navigation -----
+
+// Ids of the sections shown in the sidebar, top to bottom
+function visibleSectionIds(sections = appState.chapters, ids = []) {
+  sections.forEach((s) => {
+    ids.push(s.id);
+    if (s.expanded) visibleSectionIds(s.children || [], ids);
+  });
+  return ids;
+}
+
+function selectAndFocusSection(id) {
+  selectSection(id);
+  focusSectionHeader(id);
+}
+
+function selectAdjacentSection(delta) {
+  const ids = visibleSectionIds();
+  if (!ids.length) return;
+
+  const index = ids.indexOf(appState.currentSection);
+  const next = index === -1 ? 0 : Math.min(ids.length - 1, Math.max(0, index + delta));
+  selectAndFocusSection(ids[next]);
+}
+
+function expandOrEnterSection() {
+  const section = getCurrentSection();
+  if (!section || !(section.children || []).length) return;
+
+  if (!section.expanded) {
+    toggleSectionExpansion(section.id);
+    focusSectionHeader(section.id);
+  } else {
+    selectAndFocusSection(section.children[0].id);
+  }
+}
+
+function collapseOrLeaveSection() {
+  const entry = appState.currentSection && findSectionEntry(appState.currentSection);
+  if (!entry) return;
+
+  if (entry.section.expanded && (entry.section.children || []).length) {
+    toggleSectionExpansion(entry.section.id);
+    focusSectionHeader(entry.section.id);
+  } else if (entry.ancestors.length) {
+    selectAndFocusSection(entry.ancestors[entry.ancestors.length - 1].id);
+  }
+}
+
+// ----- Command palette -----
+
+// Matches the query as a subsequence of text, ignoring case, accents and
+// spaces. Consecutive characters and word starts score higher. Returns
+// { score, hits } with the matched indexes of text, or null.
+function fuzzyMatch(query, text) {
+  const q = normalizeForSearch(query.replace(/\s+/g, "")).normalized;
+  const { normalized, map } = normalizeForSearch(text);
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  const hits = [];
+  for (const ch of q) {
+    const i = normalized.indexOf(ch, from);
+    if (i === -1) return null;
+    score += i === previous + 1 ? 3 : 1;
+    if (i === 0 || /[\s›:\-_/(]/.test(normalized[i - 1])) score += 2;
+    hits.push(map[i]);
+    previous = i;
+    from = i + 1;
+  }
+  // among equal matches the shorter text wins
+  return { score: score - normalized.length / 1000, hits };
+}
+
+function highlightFuzzyHits(text, hits) {
+  const marked = new Set(hits);
+  return text
+    .split("")
+    .map((ch, i) => (marked.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch)))
+    .join("");
+}
+
+// Commands first, then sections, when nothing is typed; by score otherwise
+function commandPaletteEntries(query) {
+  const overrides = loadShortcutOverrides();
+  const entries = [];
+
+  SHORTCUT_COMMANDS.filter((c) => !c.inModal && !c.when && c.id !== "palette").forEach(
+    (c) =>
+      entries.push({
+        kind: "command",
+        title: c.label,
+        detail: formatCommandKeys(c, overrides),
+        run: c.run,
+      })
+  );
+  walkSections(appState.chapters, (section, ancestors) =>
+    entries.push({
+      kind: "section",
+      title: section.title || "Sin título",
+      detail: ancestors.length ? sectionPath(section, ancestors) : "Capítulo",
+      run: () => selectAndFocusSection(section.id),
+    })
+  );
+
+  if (!query.trim()) return entries.slice(0, PALETTE_LIMIT).map((e) => ({ ...e, hits: [] }));
+
+  return entries
+    .map((e) => ({ ...e, match: fuzzyMatch(query, e.title) }))
+    .filter((e) => e.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, PALETTE_LIMIT)
+    .map((e) => ({ ...e, hits: e.match.hits }));
+}
+
+function openCommandPalette() {
+  modalContent.innerHTML = `
+    <div class="command-palette">
+      <input id="paletteInput" type="text" autocomplete="off" spellcheck="false"
+        placeholder="Escribe un comando o el título de una sección…" />
+      <ul id="paletteResults" class="palette-results"></ul>
+      <p class="palette-hint">↑ ↓ para elegir · Intro para ejecutar · Esc para cerrar</p>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  const input = document.getElementById("paletteInput");
+  const list = document.getElementById("paletteResults");
+  let entries = [];
+  let active = 0;
+
+  const render = () => {
+    list.innerHTML = entries.length
+      ? entries
+          .map(
+            (e, i) => `
+              <li class="palette-entry${i === active ? " active" : ""}" data-index="${i}">
+                <span class="palette-kind">${e.kind === "command" ? "Comando" : "Sección"}</span>
+                <span class="palette-title">${highlightFuzzyHits(e.title, e.hits)}</span>
+                <span class="palette-detail">${escapeHtml(e.detail)}</span>
+              </li>`
+          )
+          .join("")
+      : `<li class="palette-empty">Sin resultados</li>`;
+    const current = list.querySelector(".palette-entry.active");
+    if (current) current.scrollIntoView({ block: "nearest" });
+  };
+
+  const run = (index) => {
+    const entry = entries[index];
+    if (!entry) return;
+    closeModal();
+    entry.run();
+  };
+
+  input.addEventListener("input", () => {
+    entries = commandPaletteEntries(input.value);
+    active = 0;
+    render();
+  });
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!entries.length) return;
+      active = (active + (e.key === "ArrowDown" ? 1 : -1) + entries.length) % entries.length;
+      render();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(active);
+    }
+  });
+  list.addEventListener("click", (e) => {
+    const li = e.target.closest(".palette-entry");
+    if (li) run(Number(li.dataset.index));
+  });
+
+  entries = commandPaletteEntries("");
+  render();
+  input.focus();
+}
+
+// ----- Help overlay -----
+
+function showShortcutHelp() {
+  const overrides = loadShortcutOverrides();
+  const keysHtml = (keys) =>
+    keys.length
+      ? keys.map((k) => `<kbd>${escapeHtml(formatShortcut(k))}</kbd>`).join(" ")
+      : `<span class="shortcut-none">Sin atajo</span>`;
+
+  modalContent.innerHTML = `
+    <h3>Atajos de teclado</h3>
+    <table class="shortcut-table">
+      <tbody>
+        ${SHORTCUT_COMMANDS.map(
+          (c) => `
+            <tr data-command="${c.id}">
+              <td>${escapeHtml(c.label)}</td>
+              <td class="shortcut-keys">${keysHtml(commandKeys(c, overrides))}</td>
+              <td class="shortcut-actions">
+                <button data-shortcut-action="change">Cambiar</button>
+                <button data-shortcut-action="clear">Quitar</button>
+              </td>
+            </tr>`
+        ).join("")}
+        ${FIXED_SHORTCUTS.map(
+          (s) => `
+            <tr class="shortcut-fixed">
+              <td>${escapeHtml(s.label)}</td>
+              <td class="shortcut-keys"><kbd>${escapeHtml(s.keys)}</kbd></td>
+              <td></td>
+            </tr>`
+        ).join("")}
+      </tbody>
+    </table>
+    <div class="panel-actions">
+      <button id="resetShortcutsBtn">Restablecer atajos</button>
+    </div>
+  `;
+  modal.classList.remove("hidden");
+
+  modalContent.querySelectorAll("[data-shortcut-action]").forEach((btn) => {
+    const command = SHORTCUT_COMMANDS.find(
+      (c) => c.id === btn.closest("tr").dataset.command
+    );
+    btn.onclick = () =>
+      btn.dataset.shortcutAction === "change"
+        ? captureShortcut(command, btn.closest("tr"))
+        : setCommandKeys(command, []);
+  });
+  document.getElementById("resetShortcutsBtn").onclick = () => {
+    if (!confirm("¿Volver a los atajos predeterminados?")) return;
+    saveShortcutOverrides({});
+    renderShortcutHints();
+    showShortcutHelp();
+  };
+}
+
+function setCommandKeys(command, keys) {
+  const overrides = loadShortcutOverrides();
+  overrides[command.id] = keys;
+  saveShortcutOverrides(overrides);
+  renderShortcutHints();
+  showShortcutHelp();
+}
+
+// Waits for the next key combination and assigns it to the command.
+// Esc cancels; a combination used by another command is moved after asking.
+function captureShortcut(command, row) {
+  capturingShortcut = true;
+  row.querySelector(".shortcut-keys").innerHTML =
+    `<span class="shortcut-capture">Pulsa la nueva combinación… (Esc cancela)</span>`;
+
+  const onKeyDown = (e) => {
+    // the help was closed without choosing
+    if (!row.isConnected) {
+      window.removeEventListener("keydown", onKeyDown, true);
+      capturingShortcut = false;
+      return;
+    }
+    const combo = shortcutFromEvent(e);
+    if (!combo) return;
+    e.preventDefault();
+    e.stopPropagation();
+    window.removeEventListener("keydown", onKeyDown, true);
+    capturingShortcut = false;
+
+    if (combo === "Escape") return showShortcutHelp();
+
+    const overrides = loadShortcutOverrides();
+    const other = findCommandByShortcut(combo, overrides);
+    if (other && other !== command) {
+      if (
+        !confirm(
+          `${formatShortcut(combo)} ya se usa para "${other.label}". ` +
+            `¿Asignarlo a "${command.label}"?`
+        )
+      )
+        return showShortcutHelp();
+      overrides[other.id] = commandKeys(other, overrides).filter((k) => k !== combo);
+      saveShortcutOverrides(overrides);
+    }
+    setCommandKeys(command, [combo]);
+  };
+  window.addEventListener("keydown", onKeyDown, true);
+}
+
+// ---------- PDF VIEWER ----------
+// Viewer state for the PDF currently open in the modal (null when closed)
+let pdfViewer = null;
+
+const PDF_MIN_SCALE = 0.3;
+const PDF_MAX_SCALE = 4;
+const PDF_ZOOM_STEP = 1.2;
+const PDF_THUMB_WIDTH = 110;
+
+function openModalWithPDF(pdfBytes, initialPage = 1) {
+  closePdfViewer();
+  closePptxViewer();
+
+  modalContent.innerHTML = `
+    <div class="pdf-viewer">
+      <div class="pdf-toolbar">
+        <button id="pdfPrevBtn" title="Página anterior (←)">◀</button>
+        <input id="pdfPageInput" type="number" min="1" value="1" />
+        <span id="pdfPageCount">/ …</span>
+        <button id="pdfNextBtn" title="Página siguiente (→)">▶</button>
+        <span class="pdf-toolbar-sep"></span>
+        <button id="pdfZoomOutBtn" title="Alejar (-)">−</button>
+        <span id="pdfZoomLevel">100%</span>
+        <button id="pdfZoomInBtn" title="Acercar (+)">+</button>
+        <button id="pdfFitWidthBtn" title="Ajustar al ancho (0)">Ajustar ancho</button>
+        <span class="pdf-toolbar-sep"></span>
+        <button id="closePdfBtn">Cerrar</button>
+      </div>
+      <div class="pdf-body">
+        <div id="pdfThumbs" class="pdf-thumbs"></div>
+        <div id="pdfPages" class="pdf-pages">Cargando PDF…</div>
+      </div>
+    </div>
+  `;
+
+  modal.classList.remove("hidden");
+
+  const loadingTask = pdfjsLib.getDocument({ data: pdfBytes });
+
+  const viewer = {
+    loadingTask,
+    pdf: null,
+    scale: 1,
+    fitWidth: true,
+    currentPage: 1,
+    baseSize: null, // size of page 1 at scale 1, used for placeholders
+    pages: [],
+    pageObserver: null,
+    thumbObserver: null,
+    pagesEl: document.getElementById("pdfPages"),
+    thumbsEl: document.getElementById("pdfThumbs"),
+    onKeyDown: null,
+    onResize: null,
+  };
+  pdfViewer = viewer;
+
+  document.getElementById("pdfPrevBtn").onclick = () =>
+    goToPdfPage(viewer, viewer.currentPage - 1);
+  document.getElementById("pdfNextBtn").onclick = () =>
+    goToPdfPage(viewer, viewer.currentPage + 1);
+  document.getElementById("pdfZoomInBtn").onclick = () =>
+    setPdfScale(viewer, viewer.scale * PDF_ZOOM_STEP);
+  document.getElementById("pdfZoomOutBtn").onclick = () =>
+    setPdfScale(viewer, viewer.scale / PDF_ZOOM_STEP);
+  document.getElementById("pdfFitWidthBtn").onclick = () => fitPdfToWidth(viewer);
+
+  const pageInput = document.getElementById("pdfPageInput");
+  pageInput.addEventListener("change", () =>
+    goToPdfPage(viewer, parseInt(pageInput.value, 10) || 1)
+  );
+
+  viewer.pagesEl.addEventListener("scroll", () => updatePdfCurrentPage(viewer));
+
+  viewer.onKeyDown = (e) => handlePdfKeyDown(viewer, e);
+  document.addEventListener("keydown", viewer.onKeyDown);
+
+  viewer.onResize = () => {
+    if (viewer.fitWidth) fitPdfToWidth(viewer);
+  };
+  window.addEventListener("resize", viewer.onResize);
+
+  loadingTask.promise
+    .then(async (pdf) => {
+      if (pdfViewer !== viewer) return;
+      viewer.pdf = pdf;
+
+      const first = await pdf.getPage(1);
+      const vp = first.getViewport({ scale: 1 });
+      viewer.baseSize = { width: vp.width, height: vp.height };
+
+      buildPdfPages(viewer);
+      fitPdfToWidth(viewer);
+      if (initialPage > 1) goToPdfPage(viewer, initialPage);
+    })
+    .catch((err) => {
+      if (pdfViewer !== viewer) return;
+      modalContent.innerHTML = `<p>Error al cargar el PDF</p>`;
+      console.error(err);
+    });
+
+  document
+    .getElementById("closePdfBtn")
+    .addEventListener("click", closeModal);
+}
+
+// Creates an empty placeholder per page and thumbnail; canvases are only
+// rendered once they scroll into view.
+function buildPdfPages(viewer) {
+  const count = viewer.pdf.numPages;
+
+  document.getElementById("pdfPageCount").textContent = `/ ${count}`;
+  document.getElementById("pdfPageInput").max = count;
+
+  viewer.pagesEl.innerHTML = "";
+  viewer.thumbsEl.innerHTML = "";
+  viewer.pages = [];
+
+  const lazy = "IntersectionObserver" in window;
+
+  if (lazy) {
+    viewer.pageObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting)
+            renderPdfPage(viewer, Number(entry.target.dataset.page));
+        });
+      },
+      { root: viewer.pagesEl, rootMargin: "300px 0px" }
+    );
+
+    viewer.thumbObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            renderPdfThumb(viewer, Number(entry.target.dataset.page));
+            viewer.thumbObserver.unobserve(entry.target);
+          }
+        });
+      },
+      { root: viewer.thumbsEl, rootMargin: "200px 0px" }
+    );
+  }
+
+  for (let num = 1; num <= count; num++) {
+    const pageEl = document.createElement("div");
+    pageEl.className = "pdf-page";
+    pageEl.dataset.page = num;
+    viewer.pagesEl.appendChild(pageEl);
+
+    const thumbEl = document.createElement("button");
+    thumbEl.className = "pdf-thumb";
+    thumbEl.dataset.page = num;
+    thumbEl.innerHTML = `<div class="pdf-thumb-canvas"></div><span>${num}</span>`;
+    thumbEl.onclick = () => goToPdfPage(viewer, num);
+    viewer.thumbsEl.appendChild(thumbEl);
+
+    viewer.pages.push({ el: pageEl, thumbEl, renderedScale: null, renderTask: null });
+
+    if (lazy) viewer.thumbObserver.observe(thumbEl);
+    else renderPdfThumb(viewer, num);
+  }
+}
+
+function renderPdfPage(viewer, num) {
+  const page = viewer.pages[num - 1];
+  const scale = viewer.scale;
+  if (!page || page.renderedScale === scale) return;
+  page.renderedScale = scale;
+
+  viewer.pdf
+    .getPage(num)
+    .then((pdfPage) => {
+      if (pdfViewer !== viewer || viewer.scale !== scale) return;
+
+      const viewport = pdfPage.getViewport({ scale });
+      const ratio = window.devicePixelRatio || 1;
+
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      canvas.style.width = viewport.width + "px";
+      canvas.style.height = viewport.height + "px";
+
+      page.el.style.width = viewport.width + "px";
+      page.el.style.height = viewport.height + "px";
+      page.el.replaceChildren(canvas);
+
+      page.renderTask = pdfPage.render({
+        canvasContext: canvas.getContext("2d"),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+      });
+      return page.renderTask.promise;
+    })
+    .catch((err) => {
+      if (err && err.name === "RenderingCancelledException") return;
+      page.renderedScale = null;
+      console.error("Error renderizando página del PDF:", err);
+    });
+}
+
+function renderPdfThumb(viewer, num) {
+  const page = viewer.pages[num - 1];
+  if (!page) return;
+
+  viewer.pdf
+    .getPage(num)
+    .then((pdfPage) => {
+      if (pdfViewer !== viewer) return;
+
+      const base = pdfPage.getViewport({ scale: 1 });
+      const viewport = pdfPage.getViewport({ scale: PDF_THUMB_WIDTH / base.width });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      page.thumbEl.querySelector(".pdf-thumb-canvas").replaceChildren(canvas);
+
+      return pdfPage.render({ canvasContext: canvas.getContext("2d"), viewport })
+        .promise;
+    })
+    .catch((err) => console.error("Error renderizando miniatura del PDF:", err));
+}
+
+// Re-sizes every placeholder for the new scale and re-renders visible pages
+function setPdfScale(viewer, scale, keepFitWidth) {
+  if (!viewer.pdf) return;
+
+  viewer.scale = Math.min(PDF_MAX_SCALE, Math.max(PDF_MIN_SCALE, scale));
+  viewer.fitWidth = !!keepFitWidth;
+  document.getElementById("pdfZoomLevel").textContent =
+    Math.round(viewer.scale * 100) + "%";
+
+  const current = viewer.currentPage;
+
+  viewer.pages.forEach((page) => {
+    if (page.renderTask) page.renderTask.cancel();
+    page.renderTask = null;
+    page.renderedScale = null;
+    page.el.replaceChildren();
+    page.el.style.width = viewer.baseSize.width * viewer.scale + "px";
+    page.el.style.height = viewer.baseSize.height * viewer.scale + "px";
+  });
+
+  if (viewer.pageObserver) {
+    // re-observing fires the callback again for pages already in view
+    viewer.pageObserver.disconnect();
+    viewer.pages.forEach((page) => viewer.pageObserver.observe(page.el));
+  } else {
+    viewer.pages.forEach((page, i) => renderPdfPage(viewer, i + 1));
+  }
+
+  goToPdfPage(viewer, current);
+}
+
+function fitPdfToWidth(viewer) {
+  if (!viewer.baseSize) return;
+  const available = viewer.pagesEl.clientWidth - 32;
+  const scale = available > 0 ? available / viewer.baseSize.width : 1;
+  setPdfScale(viewer, scale, true);
+}
+
+function goToPdfPage(viewer, num) {
+  if (!viewer.pages.length) return;
+  num = Math.min(viewer.pages.length, Math.max(1, num));
+
+  const page = viewer.pages[num - 1];
+  viewer.pagesEl.scrollTop = page.el.offsetTop;
+  setPdfCurrentPage(viewer, num);
+}
+
+// Tracks the page at the top of the scroll area while the user scrolls.
+// Page and thumb offsets are relative to their (positioned) scroll containers.
+function updatePdfCurrentPage(viewer) {
+  const top = viewer.pagesEl.scrollTop;
+  const page = viewer.pages.find(
+    (p) => p.el.offsetTop + p.el.offsetHeight / 2 > top
+  );
+  if (page) setPdfCurrentPage(viewer, Number(page.el.dataset.page));
+}
+
+function setPdfCurrentPage(viewer, num) {
+  viewer.currentPage = num;
+
+  document.getElementById("pdfPageInput").value = num;
+
+  viewer.pages.forEach((p, i) => p.thumbEl.classList.toggle("active", i === num - 1));
+  const thumb = viewer.pages[num - 1].thumbEl;
+  const thumbs = viewer.thumbsEl;
+  if (
+    thumb.offsetTop < thumbs.scrollTop ||
+    thumb.offsetTop + thumb.offsetHeight > thumbs.scrollTop + thumbs.clientHeight
+  )
+    thumbs.scrollTop = thumb.offsetTop;
+}
+
+function handlePdfKeyDown(viewer, e) {
+  if (modal.classList.contains("hidden") || !viewer.pdf) return;
+  if (e.target.tagName === "INPUT" || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  switch (e.key) {
+    case "ArrowRight":
+    case "PageDown":
+      goToPdfPage(viewer, viewer.currentPage + 1);
+      break;
+    case "ArrowLeft":
+    case "PageUp":
+      goToPdfPage(viewer, viewer.currentPage - 1);
+      break;
+    case "Home":
+      goToPdfPage(viewer, 1);
+      break;
+    case "End":
+      goToPdfPage(viewer, viewer.pages.length);
+      break;
+    case "+":
+    case "=":
+      setPdfScale(viewer, viewer.scale * PDF_ZOOM_STEP);
+      break;
+    case "-":
+      setPdfScale(viewer, viewer.scale / PDF_ZOOM_STEP);
+      break;
+    case "0":
+      fitPdfToWidth(viewer);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+function closePdfViewer() {
+  if (!pdfViewer) return;
+  const viewer = pdfViewer;
+  pdfViewer = null;
+
+  document.removeEventListener("keydown", viewer.onKeyDown);
+  window.removeEventListener("resize", viewer.onResize);
+  if (viewer.pageObserver) viewer.pageObserver.disconnect();
+  if (viewer.thumbObserver) viewer.thumbObserver.disconnect();
+  viewer.loadingTask.destroy();
+}
+
+function closeModal() {
+  closePdfViewer();
+  closePptxViewer();
+  closeAnnotationViewer();
+  modal.classList.add("hidden");
+  modalContent.innerHTML = "";
+}
+
+// ---------- PPTX VIEWER ----------
+// .pptx files are zip packages of XML parts; they are read locally with JSZip.
+// Slides are shown as their text, images and speaker notes (not the layout).
+
+const OOXML_NS = {
+  p: "http://schemas.openxmlformats.org/presentationml/2006/main",
+  a: "http://schemas.openxmlformats.org/drawingml/2006/main",
+  r: "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+  rel: "http://schemas.openxmlformats.org/package/2006/relationships",
+};
+
+// Placeholders that only repeat the slide number, date or footer
+const PPTX_SKIPPED_PLACEHOLDERS = ["sldNum", "dt", "ftr", "hdr"];
+
+// Viewer state for the presentation open in the modal (null when closed)
+let pptxViewer = null;
+
+// "pptx", "ppt" (legacy binary format, not previewable) or null
+function presentationFormat(type, name) {
+  const lower = (name || "").toLowerCase();
+  if (type === MIME_BY_EXTENSION.pptx || lower.endsWith(".pptx")) return "pptx";
+  if (type === MIME_BY_EXTENSION.ppt || lower.endsWith(".ppt")) return "ppt";
+  return null;
+}
+
+async function readPptxXml(zip, path) {
+  const entry = zip.file(path);
+  if (!entry) return null;
+  const doc = new DOMParser().parseFromString(await entry.async("string"), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error(`XML no válido: ${path}`);
+  return doc;
+}
+
+// Relationships of a part: Id -> { type, target } with the target as a zip path
+async function readPptxRels(zip, partPath) {
+  const dir = partPath.slice(0, partPath.lastIndexOf("/"));
+  const doc = await readPptxXml(zip, `${dir}/_rels/${partPath.slice(dir.length + 1)}.rels`);
+  const rels = new Map();
+  if (!doc) return rels;
+
+  [...doc.getElementsByTagNameNS(OOXML_NS.rel, "Relationship")].forEach((rel) => {
+    if (rel.getAttribute("TargetMode") === "External") return;
+    const target = rel.getAttribute("Target") || "";
+    rels.set(rel.getAttribute("Id"), {
+      type: (rel.getAttribute("Type") || "").split("/").pop(),
+      target: target.startsWith("/") ? target.slice(1) : resolveMarkdownPath(dir, target),
+    });
+  });
+  return rels;
+}
+
+// Non-empty paragraphs of a shape as { text, level }
+function pptxParagraphs(el) {
+  return [...el.getElementsByTagNameNS(OOXML_NS.a, "p")]
+    .map((p) => ({
+      text: [...p.getElementsByTagNameNS(OOXML_NS.a, "t")].map((t) => t.textContent).join(""),
+      level: Number(p.getElementsByTagNameNS(OOXML_NS.a, "pPr")[0]?.getAttribute("lvl")) || 0,
+    }))
+    .filter((p) => p.text.trim());
+}
+
+function pptxPlaceholderType(shape) {
+  const ph = shape.getElementsByTagNameNS(OOXML_NS.p, "ph")[0];
+  return ph ? ph.getAttribute("type") || "body" : null;
+}
 
-    diagramsList.appendChild(el);
+async function parsePptxSlide(zip, path, withImages) {
+  const doc = await readPptxXml(zip, path);
+  const rels = await readPptxRels(zip, path);
+  const slide = { title: "", paragraphs: [], images: [], notes: "" };
+  if (!doc) return slide;
+
+  [...doc.getElementsByTagNameNS(OOXML_NS.p, "sp")].forEach((shape) => {
+    const type = pptxPlaceholderType(shape);
+    if (PPTX_SKIPPED_PLACEHOLDERS.includes(type)) return;
+    const paragraphs = pptxParagraphs(shape);
+    if (!slide.title && (type === "title" || type === "ctrTitle"))
+      slide.title = paragraphs.map((p) => p.text).join(" ");
+    else slide.paragraphs.push(...paragraphs);
   });
-}
 
-function openModalForDiagram(d) {
-  if (d.type === "mermaid") {
-    modalContent.innerHTML = `<div class="mermaid">${d.content}</div>`;
+  // tables: one paragraph per row
+  [...doc.getElementsByTagNameNS(OOXML_NS.a, "tr")].forEach((row) => {
+    const cells = [...row.getElementsByTagNameNS(OOXML_NS.a, "tc")].map((cell) =>
+      pptxParagraphs(cell)
+        .map((p) => p.text)
+        .join(" ")
+    );
+    if (cells.some((c) => c.trim())) slide.paragraphs.push({ text: cells.join(" | "), level: 0 });
+  });
 
-    try {
-      mermaid.init(undefined, modalContent.querySelectorAll(".mermaid"));
-    } catch (e) {}
-  } else {
-    // image diagram: load from DB if necessary
-    if (d.fileId && db) {
-      loadFileFromDB(d.fileId)
-        .then((dataUrl) => {
-          if (dataUrl) {
-            modalContent.innerHTML = `
-              <img src="${dataUrl}" style="max-width:100%;height:auto" />
-            `;
-            modal.classList.remove("hidden");
-          } else if (d.content) {
-            modalContent.innerHTML = `
-              <img src="${d.content}" style="max-width:100%;height:auto" />
-            `;
-            modal.classList.remove("hidden");
-          } else {
-            modalContent.innerHTML = `<p>Imagen no encontrada.</p>`;
-            modal.classList.remove("hidden");
-          }
-        })
-        .catch((err) => {
-          console.error("Error cargando imagen en modal:", err);
-          if (d.content) {
-            modalContent.innerHTML = `
-              <img src="${d.content}" style="max-width:100%;height:auto" />
-            `;
-            modal.classList.remove("hidden");
-          } else {
-            modalContent.innerHTML = `<p>Error al cargar la imagen.</p>`;
-            modal.classList.remove("hidden");
-          }
-        });
-    } else if (d.content) {
-      modalContent.innerHTML = `
-        <img src="${d.content}" style="max-width:100%;height:auto" />
-      `;
-      modal.classList.remove("hidden");
-    } else {
-      modalContent.innerHTML = `<p>Imagen no disponible</p>`;
-      modal.classList.remove("hidden");
+  if (withImages) {
+    for (const blip of doc.getElementsByTagNameNS(OOXML_NS.a, "blip")) {
+      const rel = rels.get(blip.getAttributeNS(OOXML_NS.r, "embed"));
+      const mime = rel && mimeFromPath(rel.target);
+      // EMF/WMF and other formats browsers can't show are skipped
+      if (!rel || rel.type !== "image" || !mime.startsWith("image/")) continue;
+      const entry = zip.file(rel.target);
+      if (entry)
+        slide.images.push(new Blob([await entry.async("uint8array")], { type: mime }));
     }
   }
+
+  const notesRel = [...rels.values()].find((r) => r.type === "notesSlide");
+  const notes = notesRel && (await readPptxXml(zip, notesRel.target));
+  if (notes) {
+    slide.notes = [...notes.getElementsByTagNameNS(OOXML_NS.p, "sp")]
+      .filter((shape) => pptxPlaceholderType(shape) === "body")
+      .flatMap((shape) => pptxParagraphs(shape).map((p) => p.text))
+      .join("\n");
+  }
+
+  return slide;
 }
 
-function deleteDiagramById(id) {
-  // delete associated file if present
-  const deleteFileIfExists = (fileId) => {
-    if (fileId && db) {
-      deleteFileFromDB(fileId).catch((err) => {
-        console.warn("No se pudo eliminar archivo del diagrama en DB:", err);
-      });
-    }
+// Resolves with { slides, width, height } (slide size in EMU)
+async function parsePptx(blob, { withImages = true } = {}) {
+  const zip = await JSZip.loadAsync(blob);
+  const presentationPath = "ppt/presentation.xml";
+  const presentation = await readPptxXml(zip, presentationPath);
+  if (!presentation) throw new Error("No es una presentación PPTX");
+
+  const rels = await readPptxRels(zip, presentationPath);
+  const size = presentation.getElementsByTagNameNS(OOXML_NS.p, "sldSz")[0];
+  const slidePaths = [...presentation.getElementsByTagNameNS(OOXML_NS.p, "sldId")]
+    .map((el) => rels.get(el.getAttributeNS(OOXML_NS.r, "id")))
+    .filter(Boolean)
+    .map((rel) => rel.target);
+
+  const slides = [];
+  for (const path of slidePaths) slides.push(await parsePptxSlide(zip, path, withImages));
+
+  return {
+    slides,
+    width: Number(size?.getAttribute("cx")) || 9144000,
+    height: Number(size?.getAttribute("cy")) || 6858000,
   };
+}
 
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
-
-    const toDelete = sub.diagrams.find((x) => x.id === id);
-    if (toDelete && toDelete.fileId) deleteFileIfExists(toDelete.fileId);
+function slideSearchText(slide) {
+  return [slide.title, ...slide.paragraphs.map((p) => p.text), slide.notes]
+    .filter(Boolean)
+    .join("\n");
+}
 
-    sub.diagrams = sub.diagrams.filter((x) => x.id !== id);
-    saveAppState();
-    renderCurrentDiagrams();
-  } else {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const toDelete = ch.diagrams.find((x) => x.id === id);
-    if (toDelete && toDelete.fileId) deleteFileIfExists(toDelete.fileId);
+function openModalWithPptx(d, file, initialSlide = 1) {
+  closePdfViewer();
+  closePptxViewer();
 
-    ch.diagrams = ch.diagrams.filter((x) => x.id !== id);
-    saveAppState();
-    renderCurrentDiagrams();
-  }
-}
+  modalContent.innerHTML = `
+    <div class="pdf-viewer">
+      <div class="pdf-toolbar">
+        <button id="pptxPrevBtn" title="Diapositiva anterior (←)">◀</button>
+        <input id="pptxSlideInput" type="number" min="1" value="1" />
+        <span id="pptxSlideCount">/ …</span>
+        <button id="pptxNextBtn" title="Diapositiva siguiente (→)">▶</button>
+        <span class="pdf-toolbar-sep"></span>
+        <strong class="pptx-title">${escapeHtml(d.title)}</strong>
+        <span class="pdf-toolbar-sep"></span>
+        <button id="pptxDownloadBtn">Descargar</button>
+        <button id="closePptxBtn">Cerrar</button>
+      </div>
+      <div class="pdf-body">
+        <div id="pptxThumbs" class="pdf-thumbs"></div>
+        <div id="pptxStage" class="pdf-pages">Cargando presentación…</div>
+      </div>
+    </div>
+  `;
+  modal.classList.remove("hidden");
 
-// ---------- Documents ----------
-let editingDocId = null;
+  const viewer = {
+    slides: [],
+    current: 1,
+    aspectRatio: "4 / 3",
+    urls: [],
+    stageEl: document.getElementById("pptxStage"),
+    thumbsEl: document.getElementById("pptxThumbs"),
+    onKeyDown: null,
+  };
+  pptxViewer = viewer;
+
+  document.getElementById("pptxPrevBtn").onclick = () =>
+    showPptxSlide(viewer, viewer.current - 1);
+  document.getElementById("pptxNextBtn").onclick = () =>
+    showPptxSlide(viewer, viewer.current + 1);
+  document.getElementById("pptxDownloadBtn").onclick = () =>
+    downloadBlob(file.blob, documentDownloadName(d, file));
+  document.getElementById("closePptxBtn").onclick = closeModal;
+
+  const slideInput = document.getElementById("pptxSlideInput");
+  slideInput.addEventListener("change", () =>
+    showPptxSlide(viewer, parseInt(slideInput.value, 10) || 1)
+  );
 
-function showDocumentEditor() {
-  if (!appState.currentChapter)
-    return alert("Selecciona un capítulo o subcapítulo");
+  viewer.onKeyDown = (e) => handlePptxKeyDown(viewer, e);
+  document.addEventListener("keydown", viewer.onKeyDown);
 
-  documentEditor.classList.remove("hidden");
-  diagramEditor.classList.add("hidden");
+  parsePptx(file.blob)
+    .then(({ slides, width, height }) => {
+      if (pptxViewer !== viewer) return;
+      if (!slides.length) {
+        viewer.stageEl.textContent = "La presentación no tiene diapositivas.";
+        return;
+      }
 
-  editingDocId = null;
+      viewer.slides = slides;
+      viewer.aspectRatio = `${width} / ${height}`;
+      document.getElementById("pptxSlideCount").textContent = `/ ${slides.length}`;
+      slideInput.max = slides.length;
+
+      viewer.thumbsEl.innerHTML = "";
+      slides.forEach((slide, i) => {
+        const thumb = document.createElement("button");
+        thumb.className = "pdf-thumb";
+        thumb.innerHTML = `<span>${i + 1}</span><span class="pptx-thumb-title"></span>`;
+        thumb.querySelector(".pptx-thumb-title").textContent = slide.title;
+        thumb.onclick = () => showPptxSlide(viewer, i + 1);
+        viewer.thumbsEl.appendChild(thumb);
+      });
 
-  documentTitle.value = "";
-  documentDescription.value = "";
-  documentDate.valueAsDate = new Date();
-  documentFile.value = "";
-  documentFileName.textContent = "Ningún archivo seleccionado";
+      showPptxSlide(viewer, initialSlide);
+    })
+    .catch((err) => {
+      if (pptxViewer !== viewer) return;
+      console.error("Error leyendo la presentación:", err);
+      viewer.stageEl.innerHTML = `<p>No se pudo leer la presentación. Puedes descargarla para abrirla con otro programa.</p>`;
+    });
 }
 
-function saveDocument() {
-  const title = documentTitle.value.trim();
-  if (!title) return alert("Ingresa título");
-
-  const desc = documentDescription.value.trim();
-  const date = documentDate.value;
+function showPptxSlide(viewer, num) {
+  if (!viewer.slides.length) return;
+  num = Math.min(viewer.slides.length, Math.max(1, num));
+  viewer.current = num;
 
-  if (!documentFile.files.length) return alert("Selecciona un archivo");
+  viewer.stageEl.replaceChildren(renderPptxSlide(viewer, viewer.slides[num - 1]));
+  viewer.stageEl.scrollTop = 0;
+  document.getElementById("pptxSlideInput").value = num;
 
-  const file = documentFile.files[0];
-  const reader = new FileReader();
+  [...viewer.thumbsEl.children].forEach((thumb, i) => {
+    thumb.classList.toggle("active", i === num - 1);
+    if (i === num - 1) thumb.scrollIntoView({ block: "nearest" });
+  });
+}
 
-  reader.onload = function (e) {
-    const base64 = e.target.result;
+// Slide text is set with textContent: nothing in the file is parsed as HTML
+function renderPptxSlide(viewer, slide) {
+  const wrap = document.createElement("div");
 
-    const docId = editingDocId || generateId();
+  const card = document.createElement("div");
+  card.className = "pptx-slide";
+  card.style.aspectRatio = viewer.aspectRatio;
 
-    const doc = {
-      id: docId,
-      title,
-      description: desc,
-      date,
-      type: file.type || "application/octet-stream",
-      // fileId will reference the actual file stored in IndexedDB
-      fileId: docId,
-    };
+  if (slide.title) {
+    const title = document.createElement("h2");
+    title.textContent = slide.title;
+    card.appendChild(title);
+  }
 
-    // Save file to DB, then metadata to appState
-    if (db) {
-      saveFileToDB(doc.fileId, base64)
-        .then(() => {
-          // attach to app state
-          attachDocumentToState(doc);
-          documentEditor.classList.add("hidden");
-          renderCurrentDocuments();
-          saveAppState();
-        })
-        .catch((err) => {
-          console.error("Error guardando documento en DB:", err);
-          // fallback to storing in-memory content (not ideal)
-          doc.file = base64;
-          attachDocumentToState(doc);
-          documentEditor.classList.add("hidden");
-          renderCurrentDocuments();
-          saveAppState();
-        });
-    } else {
-      // fallback: store inline in case IndexedDB not available
-      doc.file = base64;
-      attachDocumentToState(doc);
-      documentEditor.classList.add("hidden");
-      renderCurrentDocuments();
-      saveAppState();
-    }
-  };
+  if (slide.paragraphs.length) {
+    const list = document.createElement("ul");
+    slide.paragraphs.forEach((p) => {
+      const item = document.createElement("li");
+      item.textContent = p.text;
+      item.style.marginLeft = p.level * 20 + "px";
+      list.appendChild(item);
+    });
+    card.appendChild(list);
+  }
 
-  reader.readAsDataURL(file);
-}
+  if (slide.images.length) {
+    const images = document.createElement("div");
+    images.className = "pptx-images";
+    slide.images.forEach((blob) => {
+      if (!blob.url) {
+        blob.url = URL.createObjectURL(blob);
+        viewer.urls.push(blob.url);
+      }
+      const img = document.createElement("img");
+      img.src = blob.url;
+      img.alt = "Imagen de la diapositiva";
+      images.appendChild(img);
+    });
+    card.appendChild(images);
+  }
 
-function attachDocumentToState(doc) {
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find(
-      (c) => c.id === appState.currentChapter
-    );
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
+  if (!card.children.length) {
+    const empty = document.createElement("p");
+    empty.className = "meta";
+    empty.textContent = "Diapositiva sin texto ni imágenes";
+    card.appendChild(empty);
+  }
+  wrap.appendChild(card);
+
+  if (slide.notes) {
+    const notes = document.createElement("div");
+    notes.className = "pptx-notes";
+    const label = document.createElement("strong");
+    label.textContent = "Notas del orador";
+    const text = document.createElement("p");
+    text.textContent = slide.notes;
+    notes.appendChild(label);
+    notes.appendChild(text);
+    wrap.appendChild(notes);
+  }
 
-    if (!sub.documents) sub.documents = [];
+  return wrap;
+}
 
-    if (editingDocId) {
-      const idx = sub.documents.findIndex((x) => x.id === editingDocId);
-      if (idx >= 0) sub.documents[idx] = doc;
-    } else {
-      sub.documents.push(doc);
-    }
-  } else {
-    const ch = appState.chapters.find(
-      (c) => c.id === appState.currentChapter
-    );
+function handlePptxKeyDown(viewer, e) {
+  if (modal.classList.contains("hidden") || !viewer.slides.length) return;
+  if (e.target.tagName === "INPUT" || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  switch (e.key) {
+    case "ArrowRight":
+    case "PageDown":
+      showPptxSlide(viewer, viewer.current + 1);
+      break;
+    case "ArrowLeft":
+    case "PageUp":
+      showPptxSlide(viewer, viewer.current - 1);
+      break;
+    case "Home":
+      showPptxSlide(viewer, 1);
+      break;
+    case "End":
+      showPptxSlide(viewer, viewer.slides.length);
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
 
-    if (!ch.documents) ch.documents = [];
+function closePptxViewer() {
+  if (!pptxViewer) return;
+  const viewer = pptxViewer;
+  pptxViewer = null;
 
-    if (editingDocId) {
-      const idx = ch.documents.findIndex((x) => x.id === editingDocId);
-      if (idx >= 0) ch.documents[idx] = doc;
-    } else {
-      ch.documents.push(doc);
-    }
-  }
+  document.removeEventListener("keydown", viewer.onKeyDown);
+  viewer.urls.forEach((url) => URL.revokeObjectURL(url));
 }
 
-function renderCurrentDocuments() {
-  let documents = [];
+// ---------- IMAGE ANNOTATIONS ----------
+// Image diagrams can be marked up with arrows, boxes, numbered callouts and
+// text notes. The shapes are vectors in image pixels, kept in the image's
+// IndexedDB record (record.annotations) and drawn as an SVG layer over the
+// image, so the uploaded file never changes. Replacing the image starts a new
+// record without annotations.
+
+const ANNOTATION_TOOLS = [
+  { id: "select", label: "Seleccionar" },
+  { id: "arrow", label: "Flecha" },
+  { id: "rect", label: "Recuadro" },
+  { id: "callout", label: "Número" },
+  { id: "note", label: "Nota" },
+];
+
+// Coordinates each kind of shape keeps, besides id, type and color
+const ANNOTATION_FIELDS = {
+  arrow: ["x1", "y1", "x2", "y2"],
+  rect: ["x", "y", "w", "h"],
+  callout: ["x", "y", "number"],
+  note: ["x", "y"],
+};
 
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
-    documents = sub?.documents || [];
-  } else if (appState.currentChapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    documents = ch?.documents || [];
-  }
+const ANNOTATION_COLORS = ["#e74c3c", "#2980b9", "#27ae60", "#f39c12", "#222222"];
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Viewer state for the annotated image open in the modal (null when closed)
+let annotationViewer = null;
+// whether annotations are drawn, kept while the page is open
+let showAnnotations = true;
+
+// Keeps the well-formed shapes of an imported annotation list
+function cleanAnnotations(list) {
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .filter((s) => s && typeof s === "object" && ANNOTATION_FIELDS[s.type])
+    .map((s) => {
+      const shape = {
+        id: typeof s.id === "string" && SAFE_ID_PATTERN.test(s.id) ? s.id : generateId(),
+        type: s.type,
+        color: /^#[0-9a-f]{3,8}$/i.test(s.color) ? s.color : ANNOTATION_COLORS[0],
+      };
+      ANNOTATION_FIELDS[s.type].forEach((key) => {
+        shape[key] = Number.isFinite(Number(s[key])) ? Number(s[key]) : 0;
+      });
+      if (s.type === "note") shape.text = stripUnsafeMarkup(String(s.text || "")).text;
+      return shape;
+    });
+}
 
-  renderDocuments(documents);
+function loadImageAnnotations(d) {
+  if (!d.fileId || !db) return Promise.resolve([]);
+  return loadFileFromDB(d.fileId).then((record) => record?.annotations || []);
 }
 
-function renderDocuments(docs) {
-  if (!docs || docs.length === 0) {
-    documentsList.innerHTML = `<div class="card">No hay documentos</div>`;
+async function openImageAnnotator(d, blob) {
+  closeAnnotationViewer();
+
+  let img;
+  const url = URL.createObjectURL(blob);
+  try {
+    img = await loadImageElement(url);
+  } catch (err) {
+    console.error("Error cargando la imagen del diagrama:", err);
+    URL.revokeObjectURL(url);
+    modalContent.innerHTML = `<p>Imagen no disponible</p>`;
+    modal.classList.remove("hidden");
     return;
   }
 
-  documentsList.innerHTML = "";
+  let shapes = [];
+  try {
+    shapes = await loadImageAnnotations(d);
+  } catch (err) {
+    console.error("Error cargando las anotaciones:", err);
+  }
 
-  docs.forEach((d) => {
-    const el = document.createElement("div");
-    el.className = "card";
+  // annotations live in IndexedDB, next to the image file
+  const editable = Boolean(d.fileId && db);
+  const width = img.naturalWidth || img.width || 1;
+  const height = img.naturalHeight || img.height || 1;
 
-    el.innerHTML = `
-      <div class="title">${d.title}</div>
-      <div class="meta">${formatDate(d.date)} – ${d.type}</div>
-      <div>${d.description || ""}</div>
-    `;
+  modalContent.innerHTML = `
+    <div class="annotator">
+      <div class="annotator-toolbar">
+        <label><input id="annotationsToggle" type="checkbox" ${
+          showAnnotations ? "checked" : ""
+        } /> Mostrar anotaciones</label>
+        <span class="annotator-tools">
+          ${ANNOTATION_TOOLS.map((t) => `<button data-tool="${t.id}">${t.label}</button>`).join("")}
+        </span>
+        <span class="annotator-colors">
+          ${ANNOTATION_COLORS.map(
+            (c) => `<button class="annotator-color" data-color="${c}" style="background:${c}"></button>`
+          ).join("")}
+        </span>
+        <button id="annotationDeleteBtn" title="Eliminar la anotación seleccionada (Supr)" disabled>Eliminar</button>
+        <button id="annotationPngBtn">Descargar PNG con anotaciones</button>
+        <span id="annotationStatus" class="annotator-status"></span>
+      </div>
+      <div class="annotator-stage">
+        <img src="${url}" alt="${escapeHtml(d.title)}" />
+        <svg class="annotation-layer" xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"></svg>
+      </div>
+      <p class="annotator-hint">${
+        editable
+          ? "Arrastra para dibujar flechas y recuadros; haz clic para colocar números y notas. " +
+            "Doble clic en un número o una nota para cambiarlo."
+          : "Las anotaciones necesitan que la imagen esté guardada en IndexedDB."
+      }</p>
+    </div>
+  `;
+  modal.classList.remove("hidden");
 
-    const actions = document.createElement("div");
-    actions.style.display = "flex";
-    actions.style.gap = "8px";
+  const viewer = {
+    d,
+    fileId: d.fileId,
+    url,
+    width,
+    height,
+    shapes,
+    editable,
+    tool: editable ? "arrow" : "select",
+    color: ANNOTATION_COLORS[0],
+    selectedId: null,
+    drag: null,
+    saving: Promise.resolve(),
+    svg: modalContent.querySelector(".annotation-layer"),
+    onKeyDown: null,
+  };
+  annotationViewer = viewer;
 
-    const btnOpen = document.createElement("button");
-    btnOpen.textContent = "Abrir";
-    btnOpen.onclick = () => openDocument(d);
+  modalContent.querySelectorAll("[data-tool]").forEach((btn) => {
+    btn.onclick = () => {
+      viewer.tool = btn.dataset.tool;
+      renderAnnotationToolbar(viewer);
+    };
+  });
+  modalContent.querySelectorAll("[data-color]").forEach((btn) => {
+    btn.onclick = () => {
+      viewer.color = btn.dataset.color;
+      const selected = viewer.tool === "select" && selectedAnnotation(viewer);
+      if (selected) {
+        selected.color = viewer.color;
+        annotationsChanged(viewer);
+      }
+      renderAnnotationToolbar(viewer);
+    };
+  });
 
-    const btnDownload = document.createElement("button");
-    btnDownload.textContent = "Descargar";
-    btnDownload.onclick = () => downloadDocument(d);
+  document.getElementById("annotationsToggle").addEventListener("change", (e) => {
+    showAnnotations = e.target.checked;
+    viewer.selectedId = null;
+    renderAnnotations(viewer);
+    renderAnnotationToolbar(viewer);
+  });
+  document.getElementById("annotationDeleteBtn").onclick = () => deleteSelectedAnnotation(viewer);
+  document.getElementById("annotationPngBtn").onclick = () => downloadAnnotatedPng(viewer);
 
-    const btnDel = document.createElement("button");
-    btnDel.textContent = "Eliminar";
-    btnDel.onclick = () => {
-      if (confirm("¿Eliminar documento?")) deleteDocument(d.id);
-    };
+  viewer.svg.addEventListener("pointerdown", (e) => handleAnnotationPointerDown(viewer, e));
+  viewer.svg.addEventListener("pointermove", (e) => handleAnnotationPointerMove(viewer, e));
+  viewer.svg.addEventListener("pointerup", () => finishAnnotationDrag(viewer));
+  viewer.svg.addEventListener("pointercancel", () => finishAnnotationDrag(viewer));
+  viewer.svg.addEventListener("dblclick", (e) => editAnnotationText(viewer, e));
 
-    actions.appendChild(btnOpen);
-    actions.appendChild(btnDownload);
-    actions.appendChild(btnDel);
+  viewer.onKeyDown = (e) => handleAnnotationKeyDown(viewer, e);
+  document.addEventListener("keydown", viewer.onKeyDown);
 
-    el.appendChild(actions);
+  renderAnnotations(viewer);
+  renderAnnotationToolbar(viewer);
+}
 
-    documentsList.appendChild(el);
+function closeAnnotationViewer() {
+  if (!annotationViewer) return;
+  const viewer = annotationViewer;
+  annotationViewer = null;
+
+  document.removeEventListener("keydown", viewer.onKeyDown);
+  URL.revokeObjectURL(viewer.url);
+}
+
+function selectedAnnotation(viewer) {
+  return viewer.shapes.find((s) => s.id === viewer.selectedId) || null;
+}
+
+function renderAnnotationToolbar(viewer) {
+  const active = viewer.editable && showAnnotations;
+  modalContent.querySelectorAll("[data-tool]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.tool === viewer.tool);
+    btn.disabled = !active;
+  });
+  modalContent.querySelectorAll("[data-color]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.color === viewer.color);
+    btn.disabled = !active;
   });
+  document.getElementById("annotationDeleteBtn").disabled = !active || !viewer.selectedId;
+  viewer.svg.classList.toggle("drawing", active && viewer.tool !== "select");
 }
 
-function openDocument(d) {
-  // If document file is stored inline (legacy) use it; otherwise load from IndexedDB
-  const openWithDataUrl = (dataUrl) => {
-    if (!dataUrl) {
-      modalContent.innerHTML = `<p>Archivo no disponible</p>`;
-      modal.classList.remove("hidden");
-      return;
+// Stroke width and text size follow the image size so they look the same
+// whatever the resolution of the scan
+function annotationStroke(viewer) {
+  return Math.max(2, Math.round(Math.max(viewer.width, viewer.height) / 300));
+}
+
+function annotationShapeSvg(shape, stroke) {
+  const color = escapeHtml(shape.color);
+  const attrs = `data-id="${escapeHtml(shape.id)}" class="annotation"`;
+
+  switch (shape.type) {
+    case "arrow": {
+      const { x1, y1, x2, y2 } = shape;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = stroke * 5;
+      const point = (a) =>
+        `${x2 - head * Math.cos(angle + a)},${y2 - head * Math.sin(angle + a)}`;
+      return `<g ${attrs}>
+        <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="transparent" stroke-width="${stroke * 5}" />
+        <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="${stroke}" stroke-linecap="round" />
+        <polygon points="${x2},${y2} ${point(0.45)} ${point(-0.45)}" fill="${color}" />
+      </g>`;
     }
-    if (d.type === "application/pdf" || dataUrl.startsWith("data:application/pdf")) {
-      openModalWithPDF(dataUrl);
-    } else {
-      modalContent.innerHTML = `
-        <h3>${d.title}</h3>
-        <p>${d.description || ""}</p>
-        <p>Tipo: ${d.type}</p>
-        <button id="modalDownloadBtn">Descargar</button>
-      `;
-      modal.classList.remove("hidden");
-      document
-        .getElementById("modalDownloadBtn")
-        .addEventListener("click", () => {
-          // trigger download using the data URL
-          const a = document.createElement("a");
-          a.href = dataUrl;
-          let ext = "bin";
-          if (d.type.includes("pdf")) ext = "pdf";
-          else if (d.type.includes("presentation") || d.type.includes("ppt")) ext = "pptx";
-          a.download = `${d.title}.${ext}`;
-          document.body.appendChild(a);
-          a.click();
-          a.remove();
-        });
+    case "rect": {
+      const x = Math.min(shape.x, shape.x + shape.w);
+      const y = Math.min(shape.y, shape.y + shape.h);
+      const size = `width="${Math.abs(shape.w)}" height="${Math.abs(shape.h)}"`;
+      return `<g ${attrs}>
+        <rect x="${x}" y="${y}" ${size} rx="${stroke}" fill="none" stroke="${color}" stroke-width="${stroke}" />
+      </g>`;
     }
-  };
-
-  if (d.fileId && db) {
-    loadFileFromDB(d.fileId)
-      .then((dataUrl) => {
-        openWithDataUrl(dataUrl);
-      })
-      .catch((err) => {
-        console.error("Error cargando documento desde DB:", err);
-        if (d.file) openWithDataUrl(d.file);
-        else {
-          modalContent.innerHTML = `<p>Error al cargar el documento.</p>`;
-          modal.classList.remove("hidden");
-        }
-      });
-  } else if (d.file) {
-    openWithDataUrl(d.file);
-  } else {
-    modalContent.innerHTML = `<p>Documento no disponible</p>`;
-    modal.classList.remove("hidden");
+    case "callout": {
+      const r = stroke * 6;
+      const label = escapeHtml(String(shape.number));
+      return `<g ${attrs}>
+        <circle cx="${shape.x}" cy="${shape.y}" r="${r}" fill="${color}" stroke="white" stroke-width="${stroke / 2}" />
+        <text x="${shape.x}" y="${shape.y}" fill="white" font-size="${r * 1.2}" font-family="Arial, sans-serif"
+          font-weight="bold" text-anchor="middle" dominant-baseline="central">${label}</text>
+      </g>`;
+    }
+    case "note": {
+      const size = stroke * 8;
+      const lines = String(shape.text || "")
+        .split("\n")
+        .map((line, i) => `<tspan x="${shape.x}" dy="${i ? size * 1.2 : 0}">${escapeHtml(line) || " "}</tspan>`)
+        .join("");
+      // the white outline keeps the text readable over the image
+      return `<g ${attrs}>
+        <text x="${shape.x}" y="${shape.y}" fill="${color}" font-size="${size}" font-family="Arial, sans-serif"
+          stroke="white" stroke-width="${stroke * 1.5}" paint-order="stroke" dominant-baseline="hanging">${lines}</text>
+      </g>`;
+    }
+    default:
+      return "";
   }
 }
 
-function downloadDocument(d) {
-  const finishDownload = (dataUrl) => {
-    if (!dataUrl) return alert("Archivo no disponible");
-    const a = document.createElement("a");
-    a.href = dataUrl;
+function renderAnnotations(viewer) {
+  const stroke = annotationStroke(viewer);
+  viewer.svg.style.display = showAnnotations ? "" : "none";
+  viewer.svg.innerHTML = viewer.shapes.map((s) => annotationShapeSvg(s, stroke)).join("");
 
-    let ext = "bin";
-    if (d.type.includes("pdf")) ext = "pdf";
-    else if (d.type.includes("presentation") || d.type.includes("ppt")) ext = "pptx";
+  const selected = [...viewer.svg.querySelectorAll("[data-id]")].find(
+    (g) => g.dataset.id === viewer.selectedId
+  );
+  if (selected) selected.classList.add("selected");
+}
 
-    a.download = `${d.title}.${ext}`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+// Pointer position in image pixels
+function annotationPoint(viewer, e) {
+  const rect = viewer.svg.getBoundingClientRect();
+  const x = rect.width ? ((e.clientX - rect.left) / rect.width) * viewer.width : 0;
+  const y = rect.height ? ((e.clientY - rect.top) / rect.height) * viewer.height : 0;
+  return {
+    x: Math.round(Math.min(viewer.width, Math.max(0, x))),
+    y: Math.round(Math.min(viewer.height, Math.max(0, y))),
   };
+}
 
-  if (d.fileId && db) {
-    loadFileFromDB(d.fileId)
-      .then((dataUrl) => finishDownload(dataUrl))
-      .catch((err) => {
-        console.error("Error descargando desde DB:", err);
-        if (d.file) finishDownload(d.file);
-        else alert("No se pudo descargar el archivo.");
-      });
-  } else if (d.file) {
-    finishDownload(d.file);
-  } else {
-    alert("Archivo no disponible");
+function handleAnnotationPointerDown(viewer, e) {
+  if (!viewer.editable || !showAnnotations || e.button > 0) return;
+  e.preventDefault();
+  const p = annotationPoint(viewer, e);
+  const base = { id: generateId(), color: viewer.color };
+
+  if (viewer.tool === "select") {
+    const target = e.target.closest("[data-id]");
+    viewer.selectedId = target ? target.dataset.id : null;
+    const shape = selectedAnnotation(viewer);
+    if (shape) viewer.drag = { kind: "move", start: p, original: { ...shape }, moved: false };
+  } else if (viewer.tool === "arrow") {
+    const shape = { ...base, type: "arrow", x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+    viewer.shapes.push(shape);
+    viewer.drag = { kind: "draw", shape };
+  } else if (viewer.tool === "rect") {
+    const shape = { ...base, type: "rect", x: p.x, y: p.y, w: 0, h: 0 };
+    viewer.shapes.push(shape);
+    viewer.drag = { kind: "draw", shape };
+  } else if (viewer.tool === "callout") {
+    const numbers = viewer.shapes.filter((s) => s.type === "callout").map((s) => s.number);
+    const number = Math.max(0, ...numbers) + 1;
+    viewer.shapes.push({ ...base, type: "callout", x: p.x, y: p.y, number });
+    viewer.selectedId = base.id;
+    annotationsChanged(viewer);
+  } else if (viewer.tool === "note") {
+    const text = prompt("Texto de la nota:", "");
+    if (!text || !text.trim()) return;
+    viewer.shapes.push({ ...base, type: "note", x: p.x, y: p.y, text: text.trim() });
+    viewer.selectedId = base.id;
+    annotationsChanged(viewer);
   }
+
+  if (viewer.drag && viewer.svg.setPointerCapture) viewer.svg.setPointerCapture(e.pointerId);
+  renderAnnotations(viewer);
+  renderAnnotationToolbar(viewer);
 }
 
-function deleteDocument(id) {
-  if (appState.currentSubchapter) {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const sub = ch.subchapters.find(
-      (s) => s.id === appState.currentSubchapter
-    );
+function handleAnnotationPointerMove(viewer, e) {
+  const drag = viewer.drag;
+  if (!drag) return;
+  const p = annotationPoint(viewer, e);
 
-    const toDelete = sub.documents.find((x) => x.id === id);
-    if (toDelete && toDelete.fileId && db) {
-      deleteFileFromDB(toDelete.fileId).catch((err) => {
-        console.warn("No se pudo eliminar archivo del documento en DB:", err);
-      });
+  if (drag.kind === "draw") {
+    const shape = drag.shape;
+    if (shape.type === "arrow") {
+      shape.x2 = p.x;
+      shape.y2 = p.y;
+    } else {
+      shape.w = p.x - shape.x;
+      shape.h = p.y - shape.y;
     }
-
-    sub.documents = sub.documents.filter((x) => x.id !== id);
-    saveAppState();
-    renderCurrentDocuments();
   } else {
-    const ch = appState.chapters.find((c) => c.id === appState.currentChapter);
-    const toDelete = ch.documents.find((x) => x.id === id);
-    if (toDelete && toDelete.fileId && db) {
-      deleteFileFromDB(toDelete.fileId).catch((err) => {
-        console.warn("No se pudo eliminar archivo del documento en DB:", err);
-      });
+    const dx = p.x - drag.start.x;
+    const dy = p.y - drag.start.y;
+    const shape = selectedAnnotation(viewer);
+    const o = drag.original;
+    if (shape.type === "arrow") {
+      Object.assign(shape, { x1: o.x1 + dx, y1: o.y1 + dy, x2: o.x2 + dx, y2: o.y2 + dy });
+    } else {
+      Object.assign(shape, { x: o.x + dx, y: o.y + dy });
     }
-
-    ch.documents = ch.documents.filter((x) => x.id !== id);
-    saveAppState();
-    renderCurrentDocuments();
+    drag.moved = true;
   }
+  renderAnnotations(viewer);
 }
 
-// ---------- PDF VIEWER ----------
-function base64ToUint8Array(base64) {
-  const raw = atob(base64);
-  const uint8 = new Uint8Array(raw.length);
-
-  for (let i = 0; i < raw.length; i++) {
-    uint8[i] = raw.charCodeAt(i);
+function finishAnnotationDrag(viewer) {
+  const drag = viewer.drag;
+  if (!drag) return;
+  viewer.drag = null;
+
+  if (drag.kind === "draw") {
+    const s = drag.shape;
+    const size =
+      s.type === "arrow"
+        ? Math.hypot(s.x2 - s.x1, s.y2 - s.y1)
+        : Math.min(Math.abs(s.w), Math.abs(s.h));
+    // a click without dragging draws nothing
+    if (size < annotationStroke(viewer) * 2) {
+      viewer.shapes = viewer.shapes.filter((x) => x !== s);
+      renderAnnotations(viewer);
+      return;
+    }
+    if (s.type === "rect") {
+      Object.assign(s, {
+        x: Math.min(s.x, s.x + s.w),
+        y: Math.min(s.y, s.y + s.h),
+        w: Math.abs(s.w),
+        h: Math.abs(s.h),
+      });
+    }
+    viewer.selectedId = s.id;
+    annotationsChanged(viewer);
+  } else if (drag.moved) {
+    annotationsChanged(viewer);
   }
-
-  return uint8;
+  renderAnnotations(viewer);
+  renderAnnotationToolbar(viewer);
 }
 
-function openModalWithPDF(dataUrl) {
-  modalContent.innerHTML = `
-    <div id="pdfContainer">
-      <canvas id="pdfCanvas" style="max-width:100%;border:1px solid #ddd"></canvas>
-    </div>
-    <button id="closePdfBtn">Cerrar</button>
-  `;
-
-  modal.classList.remove("hidden");
-
-  const canvas = document.getElementById("pdfCanvas");
-  const ctx = canvas.getContext("2d");
-
-  // dataUrl is like "data:application/pdf;base64,...."
-  const base64 = dataUrl.split(",")[1];
-  const pdfBytes = base64ToUint8Array(base64);
-
-  const loadingTask = pdfjsLib.getDocument({ data: pdfBytes });
+function editAnnotationText(viewer, e) {
+  if (!viewer.editable || !showAnnotations) return;
+  const target = e.target.closest("[data-id]");
+  const shape = target && viewer.shapes.find((s) => s.id === target.dataset.id);
+  if (!shape) return;
+
+  if (shape.type === "note") {
+    const text = prompt("Texto de la nota:", shape.text);
+    if (text === null) return;
+    if (!text.trim()) {
+      viewer.selectedId = shape.id;
+      return deleteSelectedAnnotation(viewer);
+    }
+    shape.text = text.trim();
+  } else if (shape.type === "callout") {
+    const number = prompt("Número:", String(shape.number));
+    if (number === null || !number.trim()) return;
+    shape.number = Number.isFinite(Number(number)) ? Number(number) : shape.number;
+  } else {
+    return;
+  }
+  annotationsChanged(viewer);
+  renderAnnotations(viewer);
+}
 
-  loadingTask.promise
-    .then((pdf) => {
-      pdf.getPage(1).then((page) => {
-        const scale = 1.2;
-        const viewport = page.getViewport({ scale });
+function deleteSelectedAnnotation(viewer) {
+  if (!viewer.selectedId) return;
+  viewer.shapes = viewer.shapes.filter((s) => s.id !== viewer.selectedId);
+  viewer.selectedId = null;
+  annotationsChanged(viewer);
+  renderAnnotations(viewer);
+  renderAnnotationToolbar(viewer);
+}
 
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
+function handleAnnotationKeyDown(viewer, e) {
+  if (modal.classList.contains("hidden") || !viewer.editable || !showAnnotations) return;
+  if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
+  if (e.key !== "Delete" && e.key !== "Backspace") return;
+  if (!viewer.selectedId) return;
+  e.preventDefault();
+  deleteSelectedAnnotation(viewer);
+}
 
-        const renderCtx = { canvasContext: ctx, viewport };
-        page.render(renderCtx);
+// Every change is saved right away. Consecutive changes to the same image
+// make a single undo entry holding the record as it was before them.
+function annotationsChanged(viewer) {
+  const status = document.getElementById("annotationStatus");
+  if (status) status.textContent = "Guardando…";
+
+  const shapes = viewer.shapes.map((s) => ({ ...s }));
+  viewer.saving = viewer.saving
+    .then(async () => {
+      const record = await loadFileFromDB(viewer.fileId);
+      if (!record) throw new Error("La imagen ya no está en IndexedDB");
+
+      recordHistory("Anotar imagen", {
+        files: await snapshotFiles([viewer.fileId]),
+        coalesceKey: `annotations-${viewer.fileId}`,
       });
+      await saveFileToDB(
+        viewer.fileId,
+        { ...record, annotations: shapes },
+        { projectId: record.projectId }
+      );
+      if (status && annotationViewer === viewer) status.textContent = "Guardado";
     })
     .catch((err) => {
-      modalContent.innerHTML = `<p>Error al cargar el PDF</p>`;
-      console.error(err);
+      console.error("Error guardando las anotaciones:", err);
+      if (status && annotationViewer === viewer) status.textContent = "";
+      alert("No se pudieron guardar las anotaciones.");
     });
+}
 
-  document
-    .getElementById("closePdfBtn")
-    .addEventListener("click", closeModal);
+// The image with its annotations drawn on top, at the image's own size
+async function annotatedImageToPngBlob(viewer) {
+  const image = await loadImageElement(viewer.url);
+  const layer = document.createElementNS(SVG_NS, "svg");
+  layer.setAttribute("xmlns", SVG_NS);
+  layer.setAttribute("width", viewer.width);
+  layer.setAttribute("height", viewer.height);
+  layer.setAttribute("viewBox", `0 0 ${viewer.width} ${viewer.height}`);
+  const stroke = annotationStroke(viewer);
+  layer.innerHTML = viewer.shapes.map((s) => annotationShapeSvg(s, stroke)).join("");
+
+  const shapes = await loadImageElement(
+    "data:image/svg+xml;charset=utf-8," +
+      encodeURIComponent(new XMLSerializer().serializeToString(layer))
+  );
+
+  const canvas = document.createElement("canvas");
+  canvas.width = viewer.width;
+  canvas.height = viewer.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, viewer.width, viewer.height);
+  ctx.drawImage(shapes, 0, 0, viewer.width, viewer.height);
+
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("No se pudo generar el PNG"))),
+      "image/png"
+    )
+  );
 }
 
-function closeModal() {
-  modal.classList.add("hidden");
-  modalContent.innerHTML = "";
+async function downloadAnnotatedPng(viewer) {
+  try {
+    const blob = await annotatedImageToPngBlob(viewer);
+    downloadBlob(blob, `${slugify(viewer.d.title)}-anotado.png`);
+  } catch (err) {
+    console.error("Error exportando la imagen anotada:", err);
+    alert("No se pudo exportar la imagen con sus anotaciones.");
+  }
 }
 
 // ---------- Start ----------